@@ -0,0 +1,189 @@
+// Per-account view of the OAuth credentials. Token files are grouped by provider and account
+// (email, else account id, else the file itself), and joined with usage seen in the proxy logs.
+//
+// Logs name a credential by email, token file name or account id, depending on the line, so the
+// tracker keys usage by whatever identifier it saw and an account sums every identifier it owns.
+// Two kinds of events are tracked:
+//   - requests: the access-log line of a request that was served with this account
+//   - failures: 401/403 (credential rejected) and 429 (throttled) attributed to this account,
+//     including upstream errors that the proxy recovered from by rotating to another account
+
+const MINUTE_MS = 60 * 1000;
+const RECENT_MINUTES = 60;
+const TRACKED_IDENTIFIERS = 500;
+
+export function normalizeAccountIdentifier(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\.disabled$/, "");
+}
+
+function emptyUsage() {
+  return {
+    requests: 0,
+    recentMinutes: new Map(),
+    lastUsedAt: "",
+    lastStatus: null,
+    unauthorized: 0,
+    rateLimited: 0,
+    consecutiveFailures: 0,
+    lastFailureAt: "",
+    lastFailureStatus: null,
+  };
+}
+
+function isCredentialFailure(status) {
+  return status === 401 || status === 403 || status === 429;
+}
+
+export function createAccountUsageTracker({ nowFn = Date.now } = {}) {
+  const usage = new Map();
+
+  const entryFor = (identifier) => {
+    const key = normalizeAccountIdentifier(identifier);
+    if (!key) {
+      return null;
+    }
+    const entry = usage.get(key) || emptyUsage();
+    // Re-insert so the Map stays in least-recently-seen order for eviction.
+    usage.delete(key);
+    usage.set(key, entry);
+    while (usage.size > TRACKED_IDENTIFIERS) {
+      usage.delete(usage.keys().next().value);
+    }
+    return entry;
+  };
+
+  const recordFailure = (entry, status, atIso) => {
+    if (status === 429) {
+      entry.rateLimited += 1;
+    } else {
+      entry.unauthorized += 1;
+    }
+    entry.consecutiveFailures += 1;
+    entry.lastFailureAt = atIso;
+    entry.lastFailureStatus = status;
+  };
+
+  return {
+    recordRequest({ account, status, atMs = nowFn(), failureRecorded = false }) {
+      const entry = entryFor(account);
+      if (!entry) {
+        return;
+      }
+      const atIso = new Date(atMs).toISOString();
+      const minute = Math.floor(atMs / MINUTE_MS);
+      entry.requests += 1;
+      entry.recentMinutes.set(minute, (entry.recentMinutes.get(minute) || 0) + 1);
+      for (const key of entry.recentMinutes.keys()) {
+        if (key <= minute - RECENT_MINUTES) {
+          entry.recentMinutes.delete(key);
+        }
+      }
+      if (atIso > entry.lastUsedAt) {
+        entry.lastUsedAt = atIso;
+        entry.lastStatus = status;
+      }
+      if (isCredentialFailure(status)) {
+        if (!failureRecorded) {
+          recordFailure(entry, status, atIso);
+        }
+      } else if (status !== null && status < 400) {
+        entry.consecutiveFailures = 0;
+      }
+    },
+
+    // Returns true when the status counts as a credential failure and was recorded.
+    recordFailure({ account, status, atMs = nowFn() }) {
+      const entry = isCredentialFailure(status) ? entryFor(account) : null;
+      if (!entry) {
+        return false;
+      }
+      recordFailure(entry, status, new Date(atMs).toISOString());
+      return true;
+    },
+
+    // Usage summed over every identifier of one account.
+    lookup(identifiers) {
+      const nowMinute = Math.floor(nowFn() / MINUTE_MS);
+      const result = {
+        requests: 0,
+        recentRequests: 0,
+        lastUsedAt: "",
+        lastStatus: null,
+        unauthorized: 0,
+        rateLimited: 0,
+        consecutiveFailures: 0,
+        lastFailureAt: "",
+        lastFailureStatus: null,
+      };
+      const seen = new Set();
+      for (const identifier of identifiers) {
+        const key = normalizeAccountIdentifier(identifier);
+        const entry = usage.get(key);
+        if (!entry || seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        result.requests += entry.requests;
+        for (const [minute, count] of entry.recentMinutes) {
+          if (minute > nowMinute - RECENT_MINUTES) {
+            result.recentRequests += count;
+          }
+        }
+        result.unauthorized += entry.unauthorized;
+        result.rateLimited += entry.rateLimited;
+        result.consecutiveFailures = Math.max(result.consecutiveFailures, entry.consecutiveFailures);
+        if (entry.lastUsedAt > result.lastUsedAt) {
+          result.lastUsedAt = entry.lastUsedAt;
+          result.lastStatus = entry.lastStatus;
+        }
+        if (entry.lastFailureAt > result.lastFailureAt) {
+          result.lastFailureAt = entry.lastFailureAt;
+          result.lastFailureStatus = entry.lastFailureStatus;
+        }
+      }
+      return result;
+    },
+  };
+}
+
+export function accountKey(file) {
+  const identity = String(file.email || file.accountId || "").trim().toLowerCase();
+  return `${file.provider || "unknown"}:${identity || `file:${file.file}`}`;
+}
+
+// Every identifier the logs might use for this account.
+export function accountIdentifiers(account) {
+  const identifiers = new Set();
+  if (account.email) {
+    identifiers.add(account.email);
+  }
+  for (const file of account.files) {
+    identifiers.add(file.file);
+    if (file.accountId) {
+      identifiers.add(file.accountId);
+    }
+  }
+  return [...identifiers];
+}
+
+export function groupAccounts(files) {
+  const groups = new Map();
+  for (const file of files) {
+    const key = accountKey(file);
+    const group = groups.get(key) || {
+      key,
+      provider: file.provider || "unknown",
+      email: file.email || "",
+      accountId: file.accountId || "",
+      plan: "",
+      files: [],
+    };
+    group.plan ||= file.plan || "";
+    group.files.push(file);
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
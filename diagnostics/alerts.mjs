@@ -0,0 +1,195 @@
+// Alert state machine and webhook payloads. The server feeds in one observation per alert key
+// on every evaluation; this module decides what changed and what deserves a notification.
+//
+// Rules:
+//   - a new severity must be seen `confirmations` evaluations in a row before it counts,
+//     so a single failed docker call or model-list request does not page anyone
+//   - a firing alert notifies once; staying in the same state is silent (deduplication)
+//   - after a notification the same key stays quiet for `cooldownMs`, unless it escalates
+//   - a "resolved" notification goes out only if the firing one did
+
+export const SEVERITY_RANK = { ok: 0, warning: 1, critical: 2 };
+
+function newAlertEntry(key) {
+  return {
+    key,
+    title: "",
+    message: "",
+    severity: "ok",
+    since: "",
+    firing: false,
+    suppressed: false,
+    notifiedSeverity: "",
+    lastNotifiedAt: "",
+    pendingSeverity: "",
+    pendingCount: 0,
+    details: {},
+  };
+}
+
+function notificationFor(entry, status, atIso) {
+  return {
+    status,
+    key: entry.key,
+    severity: status === "resolved" ? "ok" : entry.severity,
+    title: entry.title,
+    message: entry.message,
+    since: entry.since,
+    at: atIso,
+    details: entry.details,
+  };
+}
+
+export function evaluateAlerts(previous, observations, { nowMs = Date.now(), cooldownMs = 30 * 60 * 1000, confirmations = 2 } = {}) {
+  const state = {};
+  for (const [key, entry] of Object.entries(previous || {})) {
+    state[key] = { ...newAlertEntry(key), ...entry };
+  }
+  const atIso = new Date(nowMs).toISOString();
+  const notifications = [];
+  const seen = new Set();
+
+  const observe = (observation) => {
+    const entry = state[observation.key] || newAlertEntry(observation.key);
+    state[observation.key] = entry;
+    seen.add(observation.key);
+    entry.title = observation.title || entry.title;
+    // No severity means "can't tell right now" (e.g. docker unreachable): keep the current state.
+    if (!observation.severity) {
+      return;
+    }
+    if (observation.severity !== "ok" || !entry.firing) {
+      entry.message = observation.message || "";
+      entry.details = observation.details || {};
+    }
+    const coolingDown = entry.lastNotifiedAt && nowMs - Date.parse(entry.lastNotifiedAt) < cooldownMs;
+
+    if (observation.severity === entry.severity) {
+      entry.pendingSeverity = "";
+      entry.pendingCount = 0;
+      // A firing alert that was held back by the cooldown goes out once the cooldown ends.
+      if (entry.firing && entry.suppressed && !coolingDown) {
+        entry.suppressed = false;
+        entry.notifiedSeverity = entry.severity;
+        entry.lastNotifiedAt = atIso;
+        notifications.push(notificationFor(entry, "firing", atIso));
+      }
+      return;
+    }
+
+    if (entry.pendingSeverity === observation.severity) {
+      entry.pendingCount += 1;
+    } else {
+      entry.pendingSeverity = observation.severity;
+      entry.pendingCount = 1;
+    }
+    if (entry.pendingCount < confirmations) {
+      return;
+    }
+
+    entry.severity = observation.severity;
+    entry.since = atIso;
+    entry.pendingSeverity = "";
+    entry.pendingCount = 0;
+
+    if (observation.severity === "ok") {
+      if (entry.firing && entry.notifiedSeverity) {
+        entry.message = observation.message || entry.message;
+        entry.lastNotifiedAt = atIso;
+        notifications.push(notificationFor(entry, "resolved", atIso));
+      }
+      entry.firing = false;
+      entry.suppressed = false;
+      entry.notifiedSeverity = "";
+      return;
+    }
+
+    entry.firing = true;
+    // Only an alert that is already out can escalate; a re-fire after "resolved" is flapping.
+    const escalated = Boolean(entry.notifiedSeverity) && SEVERITY_RANK[observation.severity] > SEVERITY_RANK[entry.notifiedSeverity];
+    if (!coolingDown || escalated) {
+      entry.suppressed = false;
+      entry.notifiedSeverity = observation.severity;
+      entry.lastNotifiedAt = atIso;
+      notifications.push(notificationFor(entry, "firing", atIso));
+    } else {
+      entry.suppressed = true;
+    }
+  };
+
+  for (const observation of observations) {
+    observe(observation);
+  }
+  // Keys that disappeared (e.g. a provider with no credentials left) count as recovered.
+  for (const key of Object.keys(state)) {
+    if (!seen.has(key) && state[key].severity !== "ok") {
+      observe({ key, severity: "ok", title: state[key].title, message: "No longer reported" });
+    }
+  }
+
+  return { state, notifications };
+}
+
+// DIAG_ALERT_WEBHOOKS entries are URLs, optionally prefixed with a format: "ntfy=https://...".
+// Without a prefix the format is guessed from the host.
+export function parseWebhookTargets(raw) {
+  return String(raw || "")
+    .split(/[,\s]+/)
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const explicit = item.match(/^(slack|discord|ntfy|json)=(.+)$/i);
+      const url = explicit ? explicit[2] : item;
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return { url, format: "invalid", host: "" };
+      }
+      let format = explicit ? explicit[1].toLowerCase() : "json";
+      if (!explicit) {
+        if (parsed.hostname === "hooks.slack.com") {
+          format = "slack";
+        } else if (/(^|\.)discord(app)?\.com$/.test(parsed.hostname) && parsed.pathname.startsWith("/api/webhooks")) {
+          format = "discord";
+        } else if (/(^|\.)ntfy\.sh$/.test(parsed.hostname)) {
+          format = "ntfy";
+        }
+      }
+      return { url, format, host: parsed.host };
+    });
+}
+
+function headline(notification) {
+  const label = notification.status === "firing" ? notification.severity.toUpperCase() : notification.status.toUpperCase();
+  return `[${label}] ${notification.title}`;
+}
+
+export function buildWebhookRequest(target, notification, { source = "api4llm-diagnostics", dashboardUrl = "" } = {}) {
+  const lines = [notification.message, dashboardUrl ? `Dashboard: ${dashboardUrl}` : ""].filter(Boolean);
+  const text = `${headline(notification)}\n${lines.join("\n")}`.trim();
+
+  if (target.format === "slack") {
+    return { headers: { "Content-Type": "application/json" }, body: JSON.stringify({ text }) };
+  }
+  if (target.format === "discord") {
+    return { headers: { "Content-Type": "application/json" }, body: JSON.stringify({ content: text.slice(0, 2000) }) };
+  }
+  if (target.format === "ntfy") {
+    const resolved = notification.status === "resolved";
+    return {
+      headers: {
+        "Content-Type": "text/plain; charset=utf-8",
+        Title: headline(notification),
+        Priority: resolved ? "default" : notification.severity === "critical" ? "urgent" : "high",
+        Tags: resolved ? "white_check_mark" : notification.severity === "critical" ? "rotating_light" : "warning",
+        ...(dashboardUrl ? { Click: dashboardUrl } : {}),
+      },
+      body: lines.join("\n") || headline(notification),
+    };
+  }
+  return {
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ source, text, ...notification, dashboardUrl: dashboardUrl || undefined }),
+  };
+}
@@ -0,0 +1,141 @@
+// Lifecycle timeline of the proxy container from `docker events --format "{{json .}}"`.
+// Polling `docker ps` every few seconds misses a container that dies and is restarted by its
+// restart policy in between; the event stream sees every start and die with its exit code.
+//
+// A crash is a `die` with a non-zero exit code or one that follows an `oom`. A `die` right after
+// a `kill` or `stop` from someone (compose down, the dashboard's restart button) is not a crash.
+// A crash loop is `threshold` crashes within `windowMs`.
+
+const TRACKED_ACTIONS = new Set(["create", "start", "restart", "die", "oom", "kill", "stop", "destroy", "pause", "unpause", "health_status"]);
+// `podman events` names these differently.
+const PODMAN_ACTIONS = { died: "die", remove: "destroy" };
+const CRASH_LOOP_WINDOW_MS = 10 * 60 * 1000;
+const CRASH_LOOP_THRESHOLD = 3;
+// How long a kill/stop marks the following die as intentional.
+const INTENT_WINDOW_MS = 60 * 1000;
+const TRACKED_EVENTS = 500;
+const CRASHES_WITH_LOGS = 20;
+
+function toInteger(value) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Returns a timeline entry, or null for lines that are not a tracked container event.
+// Podman's records carry Status, Name, Image and ContainerExitCode at the top level, and Time
+// as an RFC 3339 string (or epoch seconds in `--format json`).
+export function parseDockerEvent(line) {
+  let record;
+  try {
+    record = JSON.parse(String(line || "").trim());
+  } catch {
+    return null;
+  }
+  if (!record || (record.Type && record.Type !== "container")) {
+    return null;
+  }
+  // health_status arrives as "health_status: healthy".
+  const [rawAction, rawDetail = ""] = String(record.Action || record.status || record.Status || "").split(/:\s*/, 2);
+  const action = PODMAN_ACTIONS[rawAction] || rawAction;
+  if (!TRACKED_ACTIONS.has(action)) {
+    return null;
+  }
+  const detail = rawDetail || (action === "health_status" ? String(record.HealthStatus || "") : "");
+  const attributes = record.Actor?.Attributes || record.Attributes || {};
+  const timeMs = record.timeNano
+    ? Math.floor(Number(record.timeNano) / 1e6)
+    : typeof record.Time === "string"
+      ? Date.parse(record.Time)
+      : Number(record.time ?? record.Time) * 1000;
+  if (!Number.isFinite(timeMs) || timeMs <= 0) {
+    return null;
+  }
+  return {
+    id: `${timeMs}-${action}`,
+    at: new Date(timeMs).toISOString(),
+    action,
+    detail,
+    container: attributes.name || record.Name || "",
+    containerId: String(record.Actor?.ID || record.id || record.ID || "").slice(0, 12),
+    image: attributes.image || record.from || record.Image || "",
+    exitCode: action === "die" ? toInteger(attributes.exitCode ?? record.ContainerExitCode) : null,
+    signal: action === "kill" ? attributes.signal || "" : "",
+  };
+}
+
+export function createContainerTimeline({ nowFn = Date.now, events = [] } = {}) {
+  const timeline = events.slice(-TRACKED_EVENTS);
+
+  const recentBefore = (atMs, actions) =>
+    timeline.findLast((event) => actions.includes(event.action) && atMs - Date.parse(event.at) <= INTENT_WINDOW_MS && Date.parse(event.at) <= atMs);
+
+  return {
+    // Returns the stored entry, or null when the event was already recorded (a reconnect
+    // with --since replays events around the cut-off).
+    record(event) {
+      if (timeline.some((item) => item.id === event.id)) {
+        return null;
+      }
+      const entry = { ...event };
+      if (entry.action === "die") {
+        const atMs = Date.parse(entry.at);
+        entry.oom = Boolean(recentBefore(atMs, ["oom"]));
+        entry.intentional = !entry.oom && Boolean(recentBefore(atMs, ["kill", "stop"]));
+        entry.crash = entry.oom || (!entry.intentional && entry.exitCode !== 0);
+      }
+      timeline.push(entry);
+      timeline.sort((a, b) => a.at.localeCompare(b.at));
+      if (timeline.length > TRACKED_EVENTS) {
+        timeline.splice(0, timeline.length - TRACKED_EVENTS);
+      }
+      return entry;
+    },
+
+    // Attaches the log lines captured for a crash; only the newest crashes keep theirs.
+    attachLogs(id, lines, error = "") {
+      const entry = timeline.find((item) => item.id === id);
+      if (!entry) {
+        return;
+      }
+      entry.logs = lines;
+      entry.logError = error;
+      const withLogs = timeline.filter((item) => item.logs);
+      for (const item of withLogs.slice(0, Math.max(0, withLogs.length - CRASHES_WITH_LOGS))) {
+        delete item.logs;
+      }
+    },
+
+    get(id) {
+      return timeline.find((item) => item.id === id) || null;
+    },
+
+    lastEventAt() {
+      return timeline.length > 0 ? timeline[timeline.length - 1].at : "";
+    },
+
+    crashLoop({ windowMs = CRASH_LOOP_WINDOW_MS, threshold = CRASH_LOOP_THRESHOLD } = {}) {
+      const sinceMs = nowFn() - windowMs;
+      const crashes = timeline.filter((event) => event.crash && Date.parse(event.at) >= sinceMs);
+      return {
+        looping: crashes.length >= threshold,
+        crashes: crashes.length,
+        threshold,
+        windowMinutes: Math.round(windowMs / 60000),
+        lastCrashAt: crashes.length > 0 ? crashes[crashes.length - 1].at : "",
+        lastExitCode: crashes.length > 0 ? crashes[crashes.length - 1].exitCode : null,
+      };
+    },
+
+    // Newest first; `logs` is replaced by a line count so the list stays small.
+    list(limit = 100) {
+      return timeline
+        .slice(-limit)
+        .reverse()
+        .map(({ logs, ...event }) => ({ ...event, logLines: logs ? logs.length : 0 }));
+    },
+
+    entries() {
+      return timeline.map((event) => ({ ...event }));
+    },
+  };
+}
@@ -0,0 +1,182 @@
+// Container resource samples from `docker stats --format "{{json .}}"` (or `podman stats`) or
+// the Engine API stats stream. The CLI prints sizes as human strings ("12.5MiB / 1.944GiB", "1.2kB / 648B") and
+// redraws the terminal between samples, so its lines arrive wrapped in ANSI escape codes. The
+// API sends raw counters, from which CPU and memory are computed the way the CLI does.
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1e3,
+  mb: 1e6,
+  gb: 1e9,
+  tb: 1e12,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4,
+};
+// Cursor movement and screen clearing that `docker stats` emits in streaming mode.
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+export function parseSize(raw) {
+  const match = String(raw || "")
+    .trim()
+    .match(/^([0-9.]+)\s*([a-z]*)$/i);
+  if (!match) {
+    return null;
+  }
+  const factor = SIZE_UNITS[(match[2] || "b").toLowerCase()];
+  return factor ? Math.round(Number.parseFloat(match[1]) * factor) : null;
+}
+
+function parsePercent(raw) {
+  const value = Number.parseFloat(String(raw || "").replace("%", ""));
+  return Number.isFinite(value) ? value : null;
+}
+
+function parsePair(raw) {
+  const [left, right] = String(raw || "").split("/");
+  return [parseSize(left), parseSize(right)];
+}
+
+function sumOrNull(values) {
+  const numbers = values.filter((value) => Number.isFinite(value));
+  return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) : null;
+}
+
+// CPU share of one core, times online cores, between this read and the previous one; memory
+// without the page cache (inactive_file on cgroup v2, total_inactive_file on v1).
+function sampleFromEngineStats(record, atMs) {
+  const cpu = record.cpu_stats || {};
+  const precpu = record.precpu_stats || {};
+  const cpuDelta = (cpu.cpu_usage?.total_usage || 0) - (precpu.cpu_usage?.total_usage || 0);
+  const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+  const cores = cpu.online_cpus || cpu.cpu_usage?.percpu_usage?.length || 1;
+  const cpuPercent = systemDelta > 0 && cpuDelta > 0 ? Math.round((cpuDelta / systemDelta) * cores * 10000) / 100 : 0;
+
+  const memory = record.memory_stats || {};
+  const inactive = memory.stats?.total_inactive_file ?? memory.stats?.inactive_file ?? 0;
+  const memBytes = Number.isFinite(memory.usage) ? (inactive < memory.usage ? memory.usage - inactive : memory.usage) : null;
+  const memLimitBytes = Number.isFinite(memory.limit) && memory.limit > 0 ? memory.limit : null;
+
+  const networks = Object.values(record.networks || {});
+  const blockIO = record.blkio_stats?.io_service_bytes_recursive || [];
+  const blockBytes = (op) => sumOrNull(blockIO.filter((entry) => String(entry.op).toLowerCase() === op).map((entry) => entry.value));
+  return {
+    t: new Date(atMs).toISOString(),
+    cpuPercent,
+    memBytes,
+    memLimitBytes,
+    memPercent: memBytes !== null && memLimitBytes ? Math.round((memBytes / memLimitBytes) * 10000) / 100 : null,
+    netRxBytes: sumOrNull(networks.map((network) => network.rx_bytes)),
+    netTxBytes: sumOrNull(networks.map((network) => network.tx_bytes)),
+    blockReadBytes: blockBytes("read") ?? (record.blkio_stats ? 0 : null),
+    blockWriteBytes: blockBytes("write") ?? (record.blkio_stats ? 0 : null),
+    pids: Number.isFinite(record.pids_stats?.current) ? record.pids_stats.current : null,
+  };
+}
+
+// `podman stats --format "{{json .}}"` prints its raw report: numbers instead of human strings,
+// CPU already as a percentage, and PIDs with a capital S.
+function sampleFromPodmanStats(record, atMs) {
+  const number = (value) => (Number.isFinite(value) ? value : null);
+  return {
+    t: new Date(atMs).toISOString(),
+    cpuPercent: number(record.CPU),
+    memBytes: number(record.MemUsage),
+    memLimitBytes: Number.isFinite(record.MemLimit) && record.MemLimit > 0 ? record.MemLimit : null,
+    memPercent: number(record.MemPerc),
+    netRxBytes: number(record.NetInput),
+    netTxBytes: number(record.NetOutput),
+    blockReadBytes: number(record.BlockInput),
+    blockWriteBytes: number(record.BlockOutput),
+    pids: number(record.PIDs),
+  };
+}
+
+// Returns a numeric sample, or null for lines that are not a stats record.
+export function parseStatsLine(line, atMs = Date.now()) {
+  const text = String(line || "").replace(ANSI_PATTERN, "").trim();
+  if (!text.startsWith("{")) {
+    return null;
+  }
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (record.cpu_stats) {
+    return sampleFromEngineStats(record, atMs);
+  }
+  if (typeof record.MemUsage === "number") {
+    return sampleFromPodmanStats(record, atMs);
+  }
+  const [memBytes, memLimitBytes] = parsePair(record.MemUsage);
+  const [netRxBytes, netTxBytes] = parsePair(record.NetIO);
+  const [blockReadBytes, blockWriteBytes] = parsePair(record.BlockIO);
+  const pids = Number.parseInt(record.PIDs, 10);
+  return {
+    t: new Date(atMs).toISOString(),
+    cpuPercent: parsePercent(record.CPUPerc),
+    memBytes,
+    memLimitBytes,
+    memPercent: parsePercent(record.MemPerc),
+    netRxBytes,
+    netTxBytes,
+    blockReadBytes,
+    blockWriteBytes,
+    pids: Number.isFinite(pids) ? pids : null,
+  };
+}
+
+// Per-second rates between consecutive samples for the cumulative counters. A counter that
+// went down means the container restarted; that interval has no rate.
+export function withRates(samples) {
+  return samples.map((sample, idx) => {
+    const previous = samples[idx - 1];
+    const seconds = previous ? (Date.parse(sample.t) - Date.parse(previous.t)) / 1000 : 0;
+    const rate = (key) => {
+      if (!previous || seconds <= 0 || sample[key] === null || previous[key] === null || sample[key] < previous[key]) {
+        return null;
+      }
+      return Math.round((sample[key] - previous[key]) / seconds);
+    };
+    return {
+      ...sample,
+      netRxRate: rate("netRxBytes"),
+      netTxRate: rate("netTxBytes"),
+      blockReadRate: rate("blockReadBytes"),
+      blockWriteRate: rate("blockWriteBytes"),
+    };
+  });
+}
+
+// Least-squares slope of memory use in bytes per hour. A steady positive slope over a long
+// window is what a leak looks like; short windows are too noisy to say anything.
+export function memoryTrend(samples, { minSpanMs = 10 * 60 * 1000 } = {}) {
+  const points = samples.filter((sample) => sample.memBytes !== null).map((sample) => [Date.parse(sample.t), sample.memBytes]);
+  if (points.length < 3 || points[points.length - 1][0] - points[0][0] < minSpanMs) {
+    return null;
+  }
+  const origin = points[0][0];
+  const n = points.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+  for (const [t, y] of points) {
+    const x = (t - origin) / 3600000;
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumXX += x * x;
+  }
+  const denominator = n * sumXX - sumX * sumX;
+  if (denominator === 0) {
+    return null;
+  }
+  return {
+    bytesPerHour: Math.round((n * sumXY - sumX * sumY) / denominator),
+    spanMinutes: Math.round((points[n - 1][0] - origin) / 60000),
+  };
+}
@@ -0,0 +1,241 @@
+// Minimal Docker Engine API client over the local Unix socket, covering what the dashboard
+// polls and follows: container list, inspect, start/stop/restart, logs, events and stats.
+// Paths are unversioned so the daemon answers with its own API version.
+//
+// Requests resolve to { ok, status, data, error, unreachable } and never throw; `unreachable`
+// means the socket itself failed (missing, refused, no permission), as opposed to an HTTP error.
+//
+// Streaming endpoints return a child-process lookalike, so callers handle the socket and a
+// spawned `docker` the same way: `stdout`/`stderr` emit "data" and can be paused and resumed like
+// a pipe (which pauses the socket), "close" fires with an exit code (0 when the stream ended, 1
+// on an HTTP error), "error" when the socket cannot be reached, and kill() stops it.
+//   - logs: demultiplexed into stdout and stderr, as `docker logs --timestamps` prints them
+//   - events, stats: one JSON object per line on stdout, the same records `--format "{{json .}}"`
+//     prints for events (stats use the API's raw counters)
+import { EventEmitter } from "node:events";
+import http from "node:http";
+
+const REQUEST_TIMEOUT_MS = 10000;
+// Log frame header without a TTY: [stream (1 = stdout, 2 = stderr), 0, 0, 0, size (uint32 BE)].
+const FRAME_HEADER_BYTES = 8;
+
+function describeError(status, text, data) {
+  return String(data?.message || text || `HTTP ${status}`).trim();
+}
+
+function request(socketPath, method, apiPath, { query = null, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const search = query ? `?${new URLSearchParams(query)}` : "";
+    const req = http.request({ socketPath, method, path: `${apiPath}${search}`, headers: { Host: "docker" } }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        let data = null;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch {
+          // Plain-text bodies (`/_ping` answers "OK").
+        }
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        resolve({ ok, status: res.statusCode, data, error: ok ? "" : describeError(res.statusCode, text, data), unreachable: false });
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Docker API ${method} ${apiPath} timed out after ${timeoutMs}ms`)));
+    req.on("error", (error) => {
+      const unreachable = ["ENOENT", "ECONNREFUSED", "EACCES", "EPERM"].includes(error.code);
+      resolve({ ok: false, status: 0, data: null, error: error.message, unreachable });
+    });
+    req.end();
+  });
+}
+
+// Splits framed log output into stdout and stderr. A container with a TTY sends raw bytes
+// instead; the first bytes tell which: raw log text never starts with a 0-2 byte and three zeros.
+function createLogDemuxer(child) {
+  let pending = Buffer.alloc(0);
+  let raw = null;
+  return (chunk) => {
+    if (raw) {
+      child.stdout.emit("data", chunk);
+      return;
+    }
+    pending = Buffer.concat([pending, chunk]);
+    if (raw === null) {
+      if (pending.length < 4) {
+        return;
+      }
+      raw = !(pending[0] <= 2 && pending[1] === 0 && pending[2] === 0 && pending[3] === 0);
+      if (raw) {
+        child.stdout.emit("data", pending);
+        pending = Buffer.alloc(0);
+        return;
+      }
+    }
+    while (pending.length >= FRAME_HEADER_BYTES) {
+      const size = pending.readUInt32BE(4);
+      if (pending.length < FRAME_HEADER_BYTES + size) {
+        break;
+      }
+      const payload = pending.subarray(FRAME_HEADER_BYTES, FRAME_HEADER_BYTES + size);
+      (pending[0] === 2 ? child.stderr : child.stdout).emit("data", payload);
+      pending = pending.subarray(FRAME_HEADER_BYTES + size);
+    }
+  };
+}
+
+function openStream(socketPath, apiPath, query, { multiplexed = false } = {}) {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.killed = false;
+  let finished = false;
+  let responded = false;
+  let response = null;
+
+  // Both outputs come from one response, so it flows only while neither side is paused.
+  const paused = new Set();
+  for (const output of [child.stdout, child.stderr]) {
+    output.pause = () => {
+      paused.add(output);
+      response?.pause();
+      return output;
+    };
+    output.resume = () => {
+      paused.delete(output);
+      if (paused.size === 0) {
+        response?.resume();
+      }
+      return output;
+    };
+  }
+
+  const finish = (code, signal = null) => {
+    if (!finished) {
+      finished = true;
+      child.emit("close", code, signal);
+    }
+  };
+
+  const search = query ? `?${new URLSearchParams(query)}` : "";
+  const req = http.request({ socketPath, method: "GET", path: `${apiPath}${search}`, headers: { Host: "docker" } }, (res) => {
+    responded = true;
+    if (res.statusCode !== 200) {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        let data = null;
+        try {
+          data = JSON.parse(text);
+        } catch {
+          // Not JSON; the text itself is the message.
+        }
+        child.stderr.emit("data", Buffer.from(`Error response from daemon: ${describeError(res.statusCode, text, data)}\n`));
+        finish(1);
+      });
+      return;
+    }
+    const demux = multiplexed ? createLogDemuxer(child) : null;
+    response = res;
+    res.on("data", (chunk) => (demux ? demux(chunk) : child.stdout.emit("data", chunk)));
+    if (paused.size > 0) {
+      res.pause();
+    }
+    res.on("end", () => finish(0));
+    res.on("close", () => finish(child.killed ? null : 0, child.killed ? "SIGTERM" : null));
+  });
+  req.on("error", (error) => {
+    if (child.killed || finished) {
+      finish(null, "SIGTERM");
+    } else if (responded) {
+      child.stderr.emit("data", Buffer.from(`${error.message}\n`));
+      finish(1);
+    } else {
+      finished = true;
+      child.emit("error", error);
+    }
+  });
+  req.end();
+
+  child.kill = () => {
+    if (!child.killed) {
+      child.killed = true;
+      req.destroy();
+    }
+    return true;
+  };
+  return child;
+}
+
+// `docker logs --since/--until` values (RFC 3339 or a duration such as "2h") as the
+// seconds.nanoseconds form the API expects. The CLI converts them client-side too.
+export function toUnixTimestamp(value, nowMs = Date.now()) {
+  const text = String(value || "").trim();
+  if (!text) {
+    return "";
+  }
+  const duration = text.match(/^(\d+(?:\.\d+)?)([smh])$/);
+  const ms = duration
+    ? nowMs - Number.parseFloat(duration[1]) * { s: 1000, m: 60000, h: 3600000 }[duration[2]]
+    : Date.parse(text);
+  if (!Number.isFinite(ms)) {
+    return "";
+  }
+  const seconds = Math.floor(ms / 1000);
+  return `${seconds}.${String(Math.round(ms - seconds * 1000) * 1e6).padStart(9, "0")}`;
+}
+
+export function createDockerEngine({ socketPath }) {
+  const call = (method, apiPath, options) => request(socketPath, method, apiPath, options);
+  const containerPath = (name) => `/containers/${encodeURIComponent(name)}`;
+
+  return {
+    socketPath,
+
+    ping() {
+      return call("GET", "/_ping", { timeoutMs: 3000 });
+    },
+
+    listContainers({ all = true, filters = {} } = {}) {
+      return call("GET", "/containers/json", { query: { all: all ? "1" : "0", filters: JSON.stringify(filters) } });
+    },
+
+    inspectContainer(name) {
+      return call("GET", `${containerPath(name)}/json`);
+    },
+
+    // 304 means the container already was in the requested state, which is what the caller wanted.
+    async containerAction(name, action, { timeoutMs = 120000 } = {}) {
+      const query = action === "start" ? null : { t: "10" };
+      const result = await call("POST", `${containerPath(name)}/${action}`, { query, timeoutMs });
+      return result.status === 304 ? { ...result, ok: true } : result;
+    },
+
+    logs(name, { follow = false, tail = "", since = "", until = "" } = {}) {
+      const query = { stdout: "1", stderr: "1", timestamps: "1", follow: follow ? "1" : "0" };
+      if (tail !== "") {
+        query.tail = String(tail);
+      }
+      if (since) {
+        query.since = toUnixTimestamp(since);
+      }
+      if (until) {
+        query.until = toUnixTimestamp(until);
+      }
+      return openStream(socketPath, `${containerPath(name)}/logs`, query, { multiplexed: true });
+    },
+
+    events({ since = "", filters = {} } = {}) {
+      const query = { filters: JSON.stringify(filters) };
+      if (since) {
+        query.since = toUnixTimestamp(since);
+      }
+      return openStream(socketPath, "/events", query);
+    },
+
+    stats(name) {
+      return openStream(socketPath, `${containerPath(name)}/stats`, { stream: "1" });
+    },
+  };
+}
@@ -0,0 +1,191 @@
+// Append-only health history: one JSONL file per UTC day under the history dir. Daily files
+// keep retention trivial (delete whole files) and let range queries skip days they don't need.
+import { appendFile, mkdir, readdir, readFile, unlink } from "node:fs/promises";
+import path from "node:path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+export const HISTORY_RANGES = {
+  "24h": { spanMs: DAY_MS, bucketMs: 60 * 60 * 1000 },
+  "7d": { spanMs: 7 * DAY_MS, bucketMs: 6 * 60 * 60 * 1000 },
+  "30d": { spanMs: 30 * DAY_MS, bucketMs: DAY_MS },
+};
+
+function dayStamp(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export async function appendHistory(dir, records) {
+  const list = Array.isArray(records) ? records : [records];
+  if (list.length === 0) {
+    return;
+  }
+  await mkdir(dir, { recursive: true, mode: 0o700 });
+  // Group by day so a batch written across midnight still lands in the right files.
+  const byDay = new Map();
+  for (const record of list) {
+    const day = dayStamp(Date.parse(record.at) || Date.now());
+    byDay.set(day, `${byDay.get(day) || ""}${JSON.stringify(record)}\n`);
+  }
+  for (const [day, lines] of byDay) {
+    await appendFile(path.join(dir, `history-${day}.jsonl`), lines, { mode: 0o600 });
+  }
+}
+
+async function listHistoryFiles(dir) {
+  let names = [];
+  try {
+    names = await readdir(dir);
+  } catch {
+    return [];
+  }
+  return names
+    .map((name) => ({ name, match: name.match(FILE_PATTERN) }))
+    .filter((item) => item.match)
+    .map((item) => ({ name: item.name, day: item.match[1] }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+export async function readHistory(dir, sinceMs, untilMs = Date.now()) {
+  const firstDay = dayStamp(sinceMs);
+  const lastDay = dayStamp(untilMs);
+  const records = [];
+  for (const file of await listHistoryFiles(dir)) {
+    if (file.day < firstDay || file.day > lastDay) {
+      continue;
+    }
+    let text = "";
+    try {
+      text = await readFile(path.join(dir, file.name), "utf8");
+    } catch {
+      continue;
+    }
+    for (const line of text.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      let record = null;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A crash mid-append can leave a torn last line; skip it rather than fail the range.
+        continue;
+      }
+      const at = Date.parse(record?.at || "");
+      if (Number.isFinite(at) && at >= sinceMs && at <= untilMs) {
+        records.push({ ...record, atMs: at });
+      }
+    }
+  }
+  return records;
+}
+
+export async function pruneHistory(dir, retentionDays, nowMs = Date.now()) {
+  const cutoff = dayStamp(nowMs - retentionDays * DAY_MS);
+  const removed = [];
+  for (const file of await listHistoryFiles(dir)) {
+    if (file.day < cutoff) {
+      await unlink(path.join(dir, file.name)).catch(() => {});
+      removed.push(file.name);
+    }
+  }
+  return removed;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1));
+  return sorted[idx];
+}
+
+function summarizeProbes(records) {
+  const latencies = records
+    .filter((record) => record.ok && Number.isFinite(record.latencyMs))
+    .map((record) => record.latencyMs)
+    .sort((a, b) => a - b);
+  const ok = records.filter((record) => record.ok).length;
+  return {
+    total: records.length,
+    ok,
+    failed: records.length - ok,
+    availability: records.length > 0 ? ok / records.length : null,
+    p50: percentile(latencies, 0.5),
+    p95: percentile(latencies, 0.95),
+    p99: percentile(latencies, 0.99),
+  };
+}
+
+// Rolls raw records up into fixed buckets for the charts. Buckets are aligned to the bucket
+// size (UTC) so the same range queried twice a minute apart lines up.
+export function summarizeHistory(records, rangeName, nowMs = Date.now()) {
+  const range = HISTORY_RANGES[rangeName] || HISTORY_RANGES["24h"];
+  const end = Math.floor(nowMs / range.bucketMs) * range.bucketMs + range.bucketMs;
+  const start = end - Math.ceil(range.spanMs / range.bucketMs) * range.bucketMs;
+  const bucketCount = Math.round((end - start) / range.bucketMs);
+  const bucketIndex = (atMs) => Math.floor((atMs - start) / range.bucketMs);
+
+  const probesByProvider = new Map();
+  const containerChecks = [];
+  for (const record of records) {
+    if (record.atMs < start || record.atMs >= end) {
+      continue;
+    }
+    if (record.type === "probe") {
+      const list = probesByProvider.get(record.provider) || [];
+      list.push(record);
+      probesByProvider.set(record.provider, list);
+    } else if (record.type === "container") {
+      containerChecks.push(record);
+    }
+  }
+
+  const providers = [...probesByProvider.entries()].map(([provider, list]) => {
+    const buckets = Array.from({ length: bucketCount }, () => []);
+    const errors = new Map();
+    for (const record of list) {
+      buckets[bucketIndex(record.atMs)].push(record);
+      if (!record.ok) {
+        const key = record.status ? String(record.status) : "network";
+        errors.set(key, (errors.get(key) || 0) + 1);
+      }
+    }
+    const lastFailure = list.filter((record) => !record.ok).sort((a, b) => b.atMs - a.atMs)[0] || null;
+    return {
+      provider,
+      ...summarizeProbes(list),
+      models: [...new Set(list.map((record) => record.model))].sort(),
+      errorsByStatus: Object.fromEntries([...errors.entries()].sort((a, b) => b[1] - a[1])),
+      lastFailure: lastFailure ? { at: lastFailure.at, model: lastFailure.model, status: lastFailure.status, error: lastFailure.error } : null,
+      series: buckets.map((bucket, idx) => ({ t: new Date(start + idx * range.bucketMs).toISOString(), ...summarizeProbes(bucket) })),
+    };
+  });
+
+  const containerBuckets = Array.from({ length: bucketCount }, () => ({ checks: 0, running: 0 }));
+  for (const record of containerChecks) {
+    const bucket = containerBuckets[bucketIndex(record.atMs)];
+    bucket.checks += 1;
+    bucket.running += record.running ? 1 : 0;
+  }
+  const runningChecks = containerChecks.filter((record) => record.running).length;
+
+  return {
+    range: rangeName in HISTORY_RANGES ? rangeName : "24h",
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    bucketMs: range.bucketMs,
+    providers,
+    container: {
+      checks: containerChecks.length,
+      running: runningChecks,
+      uptime: containerChecks.length > 0 ? runningChecks / containerChecks.length : null,
+      series: containerBuckets.map((bucket, idx) => ({
+        t: new Date(start + idx * range.bucketMs).toISOString(),
+        checks: bucket.checks,
+        uptime: bucket.checks > 0 ? bucket.running / bucket.checks : null,
+      })),
+    },
+  };
+}
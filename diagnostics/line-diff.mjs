@@ -0,0 +1,141 @@
+// Line-based unified diff for the config editor preview. Config files are small, so a
+// plain LCS table is fast enough and keeps this dependency-free.
+
+const MAX_DIFF_CELLS = 4_000_000;
+
+function splitLines(text) {
+  const normalized = String(text ?? "").replace(/\r\n?/g, "\n");
+  if (normalized === "") {
+    return [];
+  }
+  const lines = normalized.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+function buildEditScript(before, after) {
+  // Trim the common prefix/suffix first so the LCS table only covers the changed middle.
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start += 1;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore -= 1;
+    endAfter -= 1;
+  }
+
+  const midBefore = before.slice(start, endBefore);
+  const midAfter = after.slice(start, endAfter);
+  const rows = midBefore.length;
+  const cols = midAfter.length;
+  const ops = [];
+
+  for (let i = 0; i < start; i += 1) {
+    ops.push({ type: "equal", line: before[i] });
+  }
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    for (const line of midBefore) {
+      ops.push({ type: "remove", line });
+    }
+    for (const line of midAfter) {
+      ops.push({ type: "add", line });
+    }
+  } else {
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i -= 1) {
+      for (let j = cols - 1; j >= 0; j -= 1) {
+        table[i][j] = midBefore[i] === midAfter[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (midBefore[i] === midAfter[j]) {
+        ops.push({ type: "equal", line: midBefore[i] });
+        i += 1;
+        j += 1;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        ops.push({ type: "remove", line: midBefore[i] });
+        i += 1;
+      } else {
+        ops.push({ type: "add", line: midAfter[j] });
+        j += 1;
+      }
+    }
+    for (; i < rows; i += 1) {
+      ops.push({ type: "remove", line: midBefore[i] });
+    }
+    for (; j < cols; j += 1) {
+      ops.push({ type: "add", line: midAfter[j] });
+    }
+  }
+
+  for (let i = endBefore; i < before.length; i += 1) {
+    ops.push({ type: "equal", line: before[i] });
+  }
+  return ops;
+}
+
+export function diffLines(beforeText, afterText, contextLines = 3) {
+  const ops = buildEditScript(splitLines(beforeText), splitLines(afterText));
+
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map((op) => {
+    const entry = { ...op, oldLine: op.type === "add" ? null : oldLine, newLine: op.type === "remove" ? null : newLine };
+    if (op.type !== "add") {
+      oldLine += 1;
+    }
+    if (op.type !== "remove") {
+      newLine += 1;
+    }
+    return entry;
+  });
+
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  numbered.forEach((op, idx) => {
+    if (op.type === "equal") {
+      return;
+    }
+    const from = Math.max(0, idx - contextLines);
+    if (current && from <= lastChange + contextLines + 1) {
+      current.end = idx;
+    } else {
+      if (current) {
+        hunks.push(current);
+      }
+      current = { start: from, end: idx };
+    }
+    lastChange = idx;
+  });
+  if (current) {
+    hunks.push(current);
+  }
+
+  const added = ops.filter((op) => op.type === "add").length;
+  const removed = ops.filter((op) => op.type === "remove").length;
+
+  return {
+    changed: added > 0 || removed > 0,
+    added,
+    removed,
+    hunks: hunks.map((hunk) => {
+      const lines = numbered.slice(hunk.start, Math.min(numbered.length, hunk.end + contextLines + 1));
+      const oldStart = lines.find((line) => line.oldLine !== null)?.oldLine ?? 0;
+      const newStart = lines.find((line) => line.newLine !== null)?.newLine ?? 0;
+      const oldCount = lines.filter((line) => line.type !== "add").length;
+      const newCount = lines.filter((line) => line.type !== "remove").length;
+      return {
+        header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+        lines: lines.map((line) => ({ type: line.type, text: line.line, oldLine: line.oldLine, newLine: line.newLine })),
+      };
+    }),
+  };
+}
@@ -0,0 +1,43 @@
+// Ring buffer of recent live-log entries for one container, shared by every dashboard tab that
+// follows it. Each entry gets an SSE event id of the form `<epoch>-<seq>`: `seq` increases by one
+// per entry, and `epoch` is fixed per buffer, so an id handed out before a server restart (or by
+// a buffer that has since been dropped) is recognised as foreign instead of resuming at the
+// wrong line.
+
+export function createLogBuffer({ capacity = 2000, epoch = Date.now().toString(36) } = {}) {
+  const slots = new Array(capacity);
+  let seq = 0;
+  let size = 0;
+
+  const at = (index) => slots[(seq - size + index) % capacity];
+  const latest = (limit) => {
+    const count = Math.min(size, Math.max(0, limit));
+    return Array.from({ length: count }, (_, idx) => at(size - count + idx));
+  };
+
+  return {
+    epoch,
+
+    push(entry) {
+      const stored = { ...entry, id: `${epoch}-${seq + 1}` };
+      slots[seq % capacity] = stored;
+      seq += 1;
+      size = Math.min(capacity, size + 1);
+      return stored;
+    },
+
+    latest,
+
+    // Entries after `lastEventId`. `resumed` is false when the id is empty, from another
+    // epoch, or older than the oldest entry still held; the caller then gets the newest
+    // `fallback` entries and should tell the client its view has a gap.
+    since(lastEventId, fallback) {
+      const match = String(lastEventId || "").match(/^([a-z0-9]+)-(\d+)$/);
+      const lastSeq = match && match[1] === epoch ? Number.parseInt(match[2], 10) : null;
+      if (lastSeq === null || lastSeq > seq || lastSeq < seq - size) {
+        return { entries: latest(fallback), resumed: false };
+      }
+      return { entries: latest(seq - lastSeq), resumed: true };
+    },
+  };
+}
@@ -0,0 +1,317 @@
+// Parser for CLIProxyAPI log lines as they come out of `docker logs --timestamps`.
+//
+// CLIProxyAPI logs through logrus with a bracketed prefix, and the gin middleware adds an
+// access-log body:
+//   2025-10-19T12:00:00.123Z [2025-10-19 12:00:00] [a1b2c3d4] [info ] [gin_logger.go:80] 200 |  1.2s |  172.18.0.1 | POST "/v1/chat/completions"
+// Older releases omit the request id, and some messages use logfmt (`level=warn msg=...`).
+// gin's own default logger prints access lines without the logrus prefix:
+//   [GIN] 2025/10/19 - 12:00:00 | 500 |     1.2ms |  172.18.0.1 | POST     "/v1/chat/completions"
+// Every field is optional; anything we cannot recognise stays in `message`.
+
+const LEVEL_ALIASES = {
+  trace: "debug",
+  debug: "debug",
+  info: "info",
+  information: "info",
+  notice: "info",
+  warn: "warn",
+  warning: "warn",
+  error: "error",
+  err: "error",
+  fatal: "error",
+  panic: "error",
+  critical: "error",
+};
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const DOCKER_TS_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2}))\s+/;
+const BRACKET_PATTERN = /^\[([^\]]*)\]\s*/;
+const TIMESTAMP_PATTERN = /^\d{4}[-/]\d{2}[-/]\d{2}[ T]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const SOURCE_PATTERN = /^[\w./-]+\.go:\d+$/;
+const REQUEST_ID_PATTERN = /^(?:[0-9a-f]{6,40}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const ACCESS_LOG_PATTERN =
+  /^(\d{3})\s*\|\s*([0-9.]+\s*(?:ns|µs|us|ms|s|m|h)(?:[0-9.]+\s*(?:ns|µs|us|ms|s))*)\s*\|\s*([^|]*?)\s*\|\s*([A-Z]+)\s+"?([^"\s]+)"?/;
+const GIN_PREFIX_PATTERN = /^\[GIN\]\s*(\d{4}\/\d{2}\/\d{2})\s*-\s*(\d{2}:\d{2}:\d{2})\s*\|\s*/;
+const LOGFMT_PATTERN = /(\w[\w.-]*)=("(?:[^"\\]|\\.)*"|\S+)/g;
+// The credential a line talks about: "Use OAuth me@example.com for model ...", auth=codex-me.json,
+// or just an email address or token file name somewhere in the message.
+const ACCOUNT_PHRASE_PATTERN = /\b(?:use|using|selected|switch(?:ed|ing)? to)\s+(?:oauth|account|auth|credential)\s+"?([^\s",;]+)/i;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const AUTH_FILE_PATTERN = /\b[\w.@+-]+\.json\b/;
+const DURATION_PART_PATTERN = /([0-9.]+)\s*(ns|µs|us|ms|s|m|h)/g;
+// A bracket group is only taken as the provider when it names one; any other lowercase tag
+// (`[main]`, `[server]`) would otherwise end up in metrics and problems as a provider.
+const KNOWN_PROVIDERS = new Set([
+  "aistudio",
+  "antigravity",
+  "claude",
+  "codex",
+  "gemini",
+  "gemini-cli",
+  "iflow",
+  "openai",
+  "openai-compatibility",
+  "qwen",
+  "vertex",
+]);
+const DURATION_UNITS_MS = { ns: 1e-6, "µs": 1e-3, us: 1e-3, ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+export function normalizeLevel(raw) {
+  return LEVEL_ALIASES[String(raw || "").trim().toLowerCase()] || "";
+}
+
+// Go's time.Duration.String(): "1.5s", "350.2ms", "1m2.5s".
+export function parseGoDuration(raw) {
+  const text = String(raw || "").replace(/\s+/g, "");
+  let total = 0;
+  let matched = false;
+  for (const match of text.matchAll(DURATION_PART_PATTERN)) {
+    total += Number.parseFloat(match[1]) * DURATION_UNITS_MS[match[2]];
+    matched = true;
+  }
+  return matched ? Math.round(total * 100) / 100 : null;
+}
+
+function toISOTime(raw) {
+  const text = String(raw || "").trim().replace(/\//g, "-").replace(",", ".");
+  // CLIProxyAPI prints local wall-clock time without a zone; leave it as-is rather than guess.
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return text.replace("T", " ");
+  }
+  const parsed = Date.parse(text);
+  return Number.isFinite(parsed) ? new Date(parsed).toISOString() : text;
+}
+
+function unquote(value) {
+  if (value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  return value;
+}
+
+function pickField(message, names) {
+  for (const name of names) {
+    const match = message.match(new RegExp(`\\b${name}\\s*[=:]\\s*"?([^"\\s,;]+)"?`, "i"));
+    if (match) {
+      return match[1];
+    }
+  }
+  return "";
+}
+
+export function parseLogLine(rawLine, { inferProvider = null } = {}) {
+  const line = String(rawLine ?? "");
+  const fields = {
+    dockerTime: "",
+    time: "",
+    level: "",
+    requestId: "",
+    source: "",
+    method: "",
+    path: "",
+    status: null,
+    latencyMs: null,
+    clientIP: "",
+    model: "",
+    provider: "",
+    account: "",
+    message: "",
+  };
+
+  let rest = line;
+  const dockerTs = rest.match(DOCKER_TS_PATTERN);
+  if (dockerTs) {
+    fields.dockerTime = dockerTs[1];
+    rest = rest.slice(dockerTs[0].length);
+  }
+
+  // Consume the leading [..] groups, classifying each one by shape.
+  for (let guard = 0; guard < 6; guard += 1) {
+    const bracket = rest.match(BRACKET_PATTERN);
+    if (!bracket) {
+      break;
+    }
+    const value = bracket[1].trim();
+    if (!fields.time && TIMESTAMP_PATTERN.test(value)) {
+      fields.time = toISOTime(value);
+    } else if (!fields.level && normalizeLevel(value)) {
+      fields.level = normalizeLevel(value);
+    } else if (!fields.source && SOURCE_PATTERN.test(value)) {
+      fields.source = value;
+    } else if (!fields.requestId && (REQUEST_ID_PATTERN.test(value) || /^-+$/.test(value))) {
+      fields.requestId = /^-+$/.test(value) ? "" : value;
+    } else if (!fields.provider && KNOWN_PROVIDERS.has(value.toLowerCase())) {
+      fields.provider = value.toLowerCase();
+    } else {
+      break;
+    }
+    rest = rest.slice(bracket[0].length);
+  }
+
+  let message = rest.trim();
+
+  const gin = message.match(GIN_PREFIX_PATTERN);
+  if (gin) {
+    fields.time = fields.time || toISOTime(`${gin[1]} ${gin[2]}`);
+    message = message.slice(gin[0].length);
+  }
+
+  // Go's standard logger: "2025/10/19 12:00:03 message".
+  const goLogTime = message.match(/^(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?)\s+/);
+  if (goLogTime) {
+    fields.time = fields.time || toISOTime(goLogTime[1]);
+    message = message.slice(goLogTime[0].length);
+  }
+
+  // logfmt lines: level=warn msg="..." status=429
+  if (/\b(?:level|msg)=/.test(message)) {
+    const pairs = {};
+    for (const match of message.matchAll(LOGFMT_PATTERN)) {
+      pairs[match[1].toLowerCase()] = unquote(match[2]);
+    }
+    fields.level = fields.level || normalizeLevel(pairs.level || pairs.lvl);
+    fields.time = fields.time || (pairs.time ? toISOTime(pairs.time) : "");
+    if (pairs.msg !== undefined) {
+      const extras = Object.entries(pairs)
+        .filter(([key]) => !["level", "lvl", "time", "msg"].includes(key))
+        .map(([key, value]) => `${key}=${value}`);
+      message = [pairs.msg, ...extras].join(" ");
+    }
+  } else if (!fields.level) {
+    // Go's log package and some upstream SDKs prefix the level in the message itself.
+    const prefix = message.match(/^(DEBUG|INFO|WARN(?:ING)?|ERROR|FATAL|PANIC)\b[:\s]*/);
+    if (prefix) {
+      fields.level = normalizeLevel(prefix[1]);
+      message = message.slice(prefix[0].length);
+    }
+  }
+
+  const access = message.match(ACCESS_LOG_PATTERN);
+  if (access) {
+    fields.status = Number.parseInt(access[1], 10);
+    fields.latencyMs = parseGoDuration(access[2]);
+    fields.clientIP = access[3].trim();
+    fields.method = access[4];
+    fields.path = access[5];
+  } else {
+    const request = message.match(/\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+"?(\/[^\s"]*)"?/);
+    if (request) {
+      fields.method = request[1];
+      fields.path = request[2];
+    }
+    const status = pickField(message, ["status_code", "status", "statusCode", "code"]) || message.match(/\bstatus(?: code)?:? (\d{3})\b/i)?.[1];
+    if (status && /^\d{3}$/.test(status)) {
+      fields.status = Number.parseInt(status, 10);
+    }
+    const latency = pickField(message, ["latency", "duration", "elapsed", "took"]);
+    if (latency) {
+      fields.latencyMs = parseGoDuration(latency);
+    }
+  }
+
+  fields.requestId = fields.requestId || pickField(message, ["request_id", "requestId", "request-id", "req_id", "reqid"]);
+  fields.model = pickField(message, ["model"]) || message.match(/\bfor model\s+"?([\w.:/-]+)"?/i)?.[1] || "";
+  fields.provider = fields.provider || pickField(message, ["provider"]).toLowerCase();
+  fields.account =
+    message.match(ACCOUNT_PHRASE_PATTERN)?.[1] ||
+    pickField(message, ["auth_id", "auth", "account", "email", "credential"]) ||
+    message.match(EMAIL_PATTERN)?.[0] ||
+    message.match(AUTH_FILE_PATTERN)?.[0] ||
+    "";
+  if (!fields.provider && fields.model && typeof inferProvider === "function") {
+    fields.provider = inferProvider(fields.model) || "";
+  }
+
+  // Without an explicit level, an HTTP status is the best signal we have.
+  if (!fields.level && fields.status !== null) {
+    fields.level = fields.status >= 500 ? "error" : fields.status >= 400 ? "warn" : "info";
+  }
+
+  fields.message = message;
+  return fields;
+}
+
+// `docker logs --timestamps` prints RFC 3339 with up to nine fractional digits and drops trailing
+// zeros, so two stamps only compare as strings once the fraction is padded. "" when unparseable.
+export function dockerTimeKey(raw) {
+  const text = String(raw || "");
+  const match = text.match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?Z$/);
+  if (match) {
+    return `${match[1]}.${(match[2] || "").padEnd(9, "0")}`;
+  }
+  const ms = Date.parse(text);
+  return Number.isFinite(ms) ? dockerTimeKey(new Date(ms).toISOString()) : "";
+}
+
+// Skips the lines a follower has already seen when it reconnects with `--since` the last one.
+// `--since` includes lines stamped exactly at the cut-off, and several lines can share a stamp
+// (always at the millisecond precision of process mode), so the filter also counts how many
+// lines carried the newest stamp and skips that many of them on replay.
+export function createReplayFilter() {
+  let lastTime = "";
+  let lastKey = "";
+  let lastKeyCount = 0;
+  let replayKey = "";
+  let replaySkip = 0;
+
+  return {
+    get lastTime() {
+      return lastTime;
+    },
+
+    // Arms the filter for a reconnect and returns the `--since` value to ask for ("" if nothing
+    // has been seen yet).
+    resume() {
+      replayKey = lastKey;
+      replaySkip = lastKeyCount;
+      return lastTime;
+    },
+
+    // False for a replayed line. Lines without a timestamp are always accepted.
+    accept(dockerTime) {
+      const key = dockerTimeKey(dockerTime);
+      if (!key) {
+        return true;
+      }
+      if (replayKey) {
+        if (key < replayKey || (key === replayKey && replaySkip > 0)) {
+          replaySkip -= key === replayKey ? 1 : 0;
+          return false;
+        }
+        replayKey = "";
+      }
+      lastKeyCount = key === lastKey ? lastKeyCount + 1 : 1;
+      lastKey = key;
+      lastTime = dockerTime;
+      return true;
+    },
+  };
+}
+
+const LEVEL_RANK = { debug: 0, info: 1, warn: 2, error: 3 };
+
+export function statusBucket(status) {
+  return typeof status === "number" ? `${Math.floor(status / 100)}xx` : "";
+}
+
+// Same semantics as the dashboard filters: `level` is a minimum (lines without a level count
+// as info), `status` is a class like "4xx" or "failed" for 4xx and 5xx together.
+export function matchesLogFilter(fields, { level = "all", status = "all" } = {}) {
+  if (level !== "all" && level in LEVEL_RANK) {
+    if ((LEVEL_RANK[fields.level] ?? LEVEL_RANK.info) < LEVEL_RANK[level]) {
+      return false;
+    }
+  }
+  if (status !== "all") {
+    const bucket = statusBucket(fields.status);
+    if (status === "failed" ? bucket !== "4xx" && bucket !== "5xx" : bucket !== status) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,233 @@
+// Request metrics built from CLIProxyAPI access-log lines. Two views are kept:
+//   - per-minute buckets for the last hour (rates, error ratios, recent percentiles)
+//   - cumulative counters and histograms since start (for scrapers that compute their own rates)
+// Latency percentiles are estimated from fixed histogram buckets, like Prometheus does.
+
+export const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000];
+const MINUTE_MS = 60 * 1000;
+const RETAINED_MINUTES = 60;
+const UNKNOWN = "unknown";
+
+function emptyStats() {
+  return { count: 0, errors4xx: 0, errors5xx: 0, latencySum: 0, latencyCount: 0, buckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0) };
+}
+
+function addSample(stats, sample) {
+  stats.count += 1;
+  if (sample.statusClass === "4xx") {
+    stats.errors4xx += 1;
+  } else if (sample.statusClass === "5xx") {
+    stats.errors5xx += 1;
+  }
+  if (Number.isFinite(sample.latencyMs)) {
+    stats.latencySum += sample.latencyMs;
+    stats.latencyCount += 1;
+    const idx = LATENCY_BUCKETS_MS.findIndex((bound) => sample.latencyMs <= bound);
+    stats.buckets[idx < 0 ? LATENCY_BUCKETS_MS.length : idx] += 1;
+  }
+}
+
+function mergeStats(target, source) {
+  target.count += source.count;
+  target.errors4xx += source.errors4xx;
+  target.errors5xx += source.errors5xx;
+  target.latencySum += source.latencySum;
+  target.latencyCount += source.latencyCount;
+  source.buckets.forEach((value, idx) => {
+    target.buckets[idx] += value;
+  });
+  return target;
+}
+
+// Linear interpolation inside the bucket that holds the target rank.
+export function histogramQuantile(buckets, fraction) {
+  const total = buckets.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return null;
+  }
+  const rank = fraction * total;
+  let seen = 0;
+  for (let idx = 0; idx < buckets.length; idx += 1) {
+    if (seen + buckets[idx] >= rank && buckets[idx] > 0) {
+      const lower = idx === 0 ? 0 : LATENCY_BUCKETS_MS[idx - 1];
+      // The overflow bucket has no upper bound; report its lower edge.
+      if (idx >= LATENCY_BUCKETS_MS.length) {
+        return lower;
+      }
+      const upper = LATENCY_BUCKETS_MS[idx];
+      return Math.round(lower + ((rank - seen) / buckets[idx]) * (upper - lower));
+    }
+    seen += buckets[idx];
+  }
+  return LATENCY_BUCKETS_MS[LATENCY_BUCKETS_MS.length - 1];
+}
+
+function describeStats(stats, minutes) {
+  const errors = stats.errors4xx + stats.errors5xx;
+  return {
+    requests: stats.count,
+    requestsPerMin: minutes > 0 ? Math.round((stats.count / minutes) * 100) / 100 : 0,
+    errors,
+    errors4xx: stats.errors4xx,
+    errors5xx: stats.errors5xx,
+    errorRate: stats.count > 0 ? errors / stats.count : null,
+    avgLatencyMs: stats.latencyCount > 0 ? Math.round(stats.latencySum / stats.latencyCount) : null,
+    p50: histogramQuantile(stats.buckets, 0.5),
+    p95: histogramQuantile(stats.buckets, 0.95),
+  };
+}
+
+// Endpoint labels come from client-supplied paths, so only the proxy's own routes are kept as
+// labels and anything else is counted as "other". Gemini-style paths carry the model in the URL;
+// it is folded out so endpoints group sensibly.
+const KNOWN_PATHS = new Set([
+  "/v1/models",
+  "/v1/chat/completions",
+  "/v1/completions",
+  "/v1/messages",
+  "/v1/messages/count_tokens",
+  "/v1/responses",
+  "/v1beta/models",
+]);
+const GEMINI_ACTIONS = new Set(["generateContent", "streamGenerateContent", "countTokens", "embedContent", "batchEmbedContents"]);
+const KNOWN_METHODS = new Set(["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"]);
+export const OTHER = "other";
+
+export function normalizeEndpoint(rawPath) {
+  const pathOnly = String(rawPath || "").split("?")[0] || "/";
+  if (KNOWN_PATHS.has(pathOnly)) {
+    return { endpoint: pathOnly, model: "" };
+  }
+  const gemini = pathOnly.match(/^(\/v1(?:beta)?\/models\/)([^/:]+)(?::(\w+))?$/);
+  if (gemini && (!gemini[3] || GEMINI_ACTIONS.has(gemini[3]))) {
+    let model = gemini[2];
+    try {
+      model = decodeURIComponent(model);
+    } catch {
+      // Malformed escapes come straight from client requests; keep the raw segment.
+    }
+    return { endpoint: `${gemini[1]}{model}${gemini[3] ? `:${gemini[3]}` : ""}`, model };
+  }
+  const internal = pathOnly.match(/^\/v1internal:(\w+)$/);
+  if (internal && GEMINI_ACTIONS.has(internal[1])) {
+    return { endpoint: pathOnly, model: "" };
+  }
+  if (pathOnly.startsWith("/v0/management/")) {
+    return { endpoint: "/v0/management/*", model: "" };
+  }
+  return { endpoint: OTHER, model: "" };
+}
+
+// "METHOD endpoint", or "other" when either half is not one the proxy serves.
+export function endpointLabel(method, endpoint) {
+  const verb = String(method || "").toUpperCase();
+  return endpoint === OTHER || !KNOWN_METHODS.has(verb) ? OTHER : `${verb} ${endpoint}`;
+}
+
+// Models still come from requests, so the number of label sets is capped as well; once it is
+// reached, new combinations are counted under provider, model and endpoint "other".
+export const MAX_LABEL_SETS = 1000;
+
+export function createMetricsStore({ nowFn = Date.now, maxLabelSets = MAX_LABEL_SETS } = {}) {
+  const startedAt = nowFn();
+  const minutes = new Map();
+  const totals = new Map();
+
+  const prune = (nowMs) => {
+    const oldest = Math.floor(nowMs / MINUTE_MS) * MINUTE_MS - RETAINED_MINUTES * MINUTE_MS;
+    for (const minute of minutes.keys()) {
+      if (minute < oldest) {
+        minutes.delete(minute);
+      }
+    }
+  };
+
+  const record = (sample) => {
+    const atMs = Number.isFinite(sample.atMs) ? sample.atMs : nowFn();
+    let labels = {
+      provider: sample.provider || UNKNOWN,
+      model: sample.model || UNKNOWN,
+      endpoint: sample.endpoint || UNKNOWN,
+      statusClass: sample.statusClass || UNKNOWN,
+    };
+    let key = JSON.stringify([labels.provider, labels.model, labels.endpoint, labels.statusClass]);
+    if (!totals.has(key) && totals.size >= maxLabelSets) {
+      labels = { provider: OTHER, model: OTHER, endpoint: OTHER, statusClass: labels.statusClass };
+      key = JSON.stringify([OTHER, OTHER, OTHER, labels.statusClass]);
+    }
+
+    const minute = Math.floor(atMs / MINUTE_MS) * MINUTE_MS;
+    let bucket = minutes.get(minute);
+    if (!bucket) {
+      bucket = new Map();
+      minutes.set(minute, bucket);
+      prune(atMs);
+    }
+    for (const map of [bucket, totals]) {
+      let entry = map.get(key);
+      if (!entry) {
+        entry = { labels, stats: emptyStats() };
+        map.set(key, entry);
+      }
+      addSample(entry.stats, { statusClass: labels.statusClass, latencyMs: sample.latencyMs });
+    }
+  };
+
+  const summarize = (windowMinutes = 15) => {
+    const nowMs = nowFn();
+    prune(nowMs);
+    const window = Math.min(RETAINED_MINUTES, Math.max(1, Math.round(windowMinutes)));
+    const currentMinute = Math.floor(nowMs / MINUTE_MS) * MINUTE_MS;
+    const firstMinute = currentMinute - (window - 1) * MINUTE_MS;
+    // Don't divide by minutes the collector wasn't running for.
+    const coveredMinutes = Math.max(1, Math.min(window, (nowMs - Math.max(startedAt, firstMinute)) / MINUTE_MS));
+
+    const overall = emptyStats();
+    const groups = { provider: new Map(), model: new Map(), endpoint: new Map(), statusClass: new Map() };
+    const series = [];
+    for (let minute = firstMinute; minute <= currentMinute; minute += MINUTE_MS) {
+      const perMinute = emptyStats();
+      for (const entry of (minutes.get(minute) || new Map()).values()) {
+        mergeStats(perMinute, entry.stats);
+        for (const [dimension, map] of Object.entries(groups)) {
+          const name = entry.labels[dimension];
+          map.set(name, mergeStats(map.get(name) || emptyStats(), entry.stats));
+        }
+      }
+      mergeStats(overall, perMinute);
+      series.push({ t: new Date(minute).toISOString(), ...describeStats(perMinute, 1) });
+    }
+
+    const describeGroup = (map) =>
+      [...map.entries()]
+        .map(([name, stats]) => ({
+          name,
+          ...describeStats(stats, coveredMinutes),
+          share: overall.count > 0 ? stats.count / overall.count : 0,
+        }))
+        .sort((a, b) => b.requests - a.requests || a.name.localeCompare(b.name));
+
+    return {
+      windowMinutes: window,
+      startedAt: new Date(startedAt).toISOString(),
+      totals: describeStats(overall, coveredMinutes),
+      series,
+      providers: describeGroup(groups.provider),
+      models: describeGroup(groups.model),
+      endpoints: describeGroup(groups.endpoint),
+      statusClasses: describeGroup(groups.statusClass),
+    };
+  };
+
+  // Cumulative series for exporters: one entry per label combination.
+  const snapshot = () =>
+    [...totals.values()].map((entry) => ({
+      labels: { ...entry.labels },
+      count: entry.stats.count,
+      latencySum: entry.stats.latencySum,
+      latencyCount: entry.stats.latencyCount,
+      buckets: [...entry.stats.buckets],
+    }));
+
+  return { record, summarize, snapshot };
+}
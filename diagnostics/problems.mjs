@@ -0,0 +1,232 @@
+// Known upstream failure signatures and what to do about them. Log lines and probe errors are
+// matched against the catalog in order; the first match wins, so specific signatures come
+// before generic ones (an expired refresh token before a bare 401).
+//
+// A signature is { id, category, severity, title, pattern, status?, remediation }, where
+// `remediation` may be a function of { provider, providerLabel, model } for a concrete hint.
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const SAMPLE_LIMIT = 300;
+const RETAINED_MS = 24 * 60 * 60 * 1000;
+const TRACKED_PROBLEMS = 200;
+
+const providerName = (context) => context.providerLabel || context.provider || "provider";
+const providerSubject = (context) => context.providerLabel || context.provider || "The provider";
+
+export const ERROR_SIGNATURES = [
+  {
+    id: "refresh-token-reused",
+    category: "auth",
+    severity: "critical",
+    title: "Refresh token already used",
+    pattern: /refresh_token_reused|refresh token (?:has )?already been used|token.*was already used/i,
+    remediation: (context) =>
+      `Another copy of this ${providerName(context)} token refreshed first. Re-run the ${providerName(context)} login and do not share the token file between machines.`,
+  },
+  {
+    id: "invalid-grant",
+    category: "auth",
+    severity: "critical",
+    title: "Refresh token expired or revoked",
+    pattern: /invalid_grant|token has been expired or revoked|refresh token (?:is )?(?:expired|invalid|revoked)|oauth token has expired/i,
+    remediation: (context) => `Re-run the ${providerName(context)} login (Provider Health > Re-authenticate).`,
+  },
+  {
+    id: "no-credentials",
+    category: "auth",
+    severity: "critical",
+    title: "No usable credentials",
+    pattern: /auth_not_found|no auth(?:s)? available|no (?:available|valid) (?:credentials?|accounts?|auths?)/i,
+    remediation: (context) =>
+      `Every ${providerName(context)} credential is missing, disabled or locked. Log in, enable a disabled token file, or wait for a cooldown to end.`,
+  },
+  {
+    id: "account-disabled",
+    category: "auth",
+    severity: "critical",
+    title: "Account or organization disabled",
+    pattern: /organization has been disabled|account (?:has been )?(?:suspended|disabled|deactivated)|permission_error.*disabled/i,
+    remediation: (context) => `The upstream disabled this ${providerName(context)} account. Disable or quarantine its token file so the proxy stops rotating to it.`,
+  },
+  {
+    id: "region-blocked",
+    category: "region",
+    severity: "critical",
+    title: "Blocked in this region",
+    pattern: /unsupported_country|country,? region,? or territory|not available in your (?:country|region)|user location is not supported|request not allowed.*region/i,
+    remediation: () =>
+      "The upstream refuses the proxy's egress location. Set `proxy-url` in config.yaml to a proxy in a supported region, or run the stack elsewhere.",
+  },
+  {
+    id: "empty-text-block",
+    category: "request",
+    severity: "warning",
+    title: "Empty text content block rejected",
+    pattern: /text content blocks must (?:be non-empty|contain non-whitespace text)/i,
+    remediation: () =>
+      "The proxy image was built without docker/patches/0001-drop-empty-claude-text-blocks.patch. Rebuild it with `docker compose build --no-cache api4llm` and restart.",
+  },
+  {
+    id: "project-not-set",
+    category: "config",
+    severity: "critical",
+    title: "Google Cloud project missing or not enabled",
+    pattern: /cloud code (?:private )?api has not been used|cloudaicompanion|project(?:_id)? (?:is )?(?:required|not found|missing)|SERVICE_DISABLED/i,
+    remediation: () =>
+      "The Gemini token points at a project without the Gemini for Google Cloud API. Enable it in that project, or re-run the Gemini login with a valid project ID.",
+  },
+  {
+    id: "model-not-found",
+    category: "config",
+    severity: "warning",
+    title: "Model not available",
+    pattern: /model_not_found|unknown model|model (?:"[^"]*" |[\w.:/-]+ )?(?:does not exist|not found|is not supported)|no provider (?:found )?for model|not found for api version/i,
+    remediation: (context) =>
+      `${context.model ? `"${context.model}"` : "The requested model"} is not served by any configured upstream. Pick a model from the catalog, or add an alias for it in config.yaml.`,
+  },
+  {
+    id: "quota-exhausted",
+    category: "quota",
+    severity: "warning",
+    title: "Usage limit or quota reached",
+    pattern: /usage[ _-]?limit|insufficient_quota|exceeded your current quota|daily limit|out of credits/i,
+    remediation: (context) =>
+      `This ${providerName(context)} account is out of quota. Wait for the cooldown in Provider Health, or add another account to the rotation.`,
+  },
+  {
+    id: "rate-limited",
+    category: "quota",
+    severity: "info",
+    title: "Rate limited",
+    status: 429,
+    pattern: /rate[ _-]?limit|too many requests|resource[ _-]?exhausted/i,
+    remediation: () => "Requests are throttled upstream. Back off until the cooldown in Provider Health ends.",
+  },
+  {
+    id: "context-too-long",
+    category: "request",
+    severity: "info",
+    title: "Prompt too long",
+    pattern: /prompt is too long|context_length_exceeded|maximum context length|input is too long/i,
+    remediation: (context) => `The client sent more tokens than ${context.model || "the model"} accepts. Trim the conversation or use a model with a larger context.`,
+  },
+  {
+    id: "invalid-credentials",
+    category: "auth",
+    severity: "critical",
+    title: "Credentials rejected",
+    status: 401,
+    pattern: /invalid[ _-]?(?:x-)?api[ _-]?key|authentication_error|unauthorized|invalid authentication|invalid bearer/i,
+    remediation: (context) =>
+      `${providerSubject(context)} rejected the credential. For OAuth accounts re-run the login; for static keys check the key in config.yaml.`,
+  },
+  {
+    id: "upstream-overloaded",
+    category: "upstream",
+    severity: "warning",
+    title: "Upstream overloaded or down",
+    status: 529,
+    pattern: /overloaded_error|\boverloaded\b|service unavailable|bad gateway|upstream connect error/i,
+    remediation: (context) => `${providerSubject(context)} is having trouble. Retry later and check the provider's status page.`,
+  },
+  {
+    id: "network-error",
+    category: "network",
+    severity: "warning",
+    title: "Cannot reach upstream",
+    pattern: /dial tcp|connection refused|no such host|i\/o timeout|tls handshake timeout|connection reset by peer|context deadline exceeded|network is unreachable/i,
+    remediation: () =>
+      "The proxy container cannot reach the upstream. Check DNS and outbound access from the api4llm container, and `proxy-url` in config.yaml if one is set.",
+  },
+  {
+    id: "config-load-failed",
+    category: "config",
+    severity: "critical",
+    title: "Proxy config failed to load",
+    pattern: /failed to (?:load|parse|read) config|error loading config|yaml: (?:line \d+|unmarshal)/i,
+    remediation: () => "CLIProxyAPI could not read config.yaml. Validate it in the Config Editor, fix the reported line, and restart the proxy.",
+  },
+];
+
+// Returns the matching signature as a plain problem, or null.
+export function classifyError(text, { status = null, provider = "", providerLabel = "", model = "" } = {}) {
+  const message = String(text || "");
+  for (const signature of ERROR_SIGNATURES) {
+    const statusMatch = signature.status !== undefined && status === signature.status;
+    if (!statusMatch && !signature.pattern.test(message)) {
+      continue;
+    }
+    const context = { provider, providerLabel, model };
+    return {
+      id: signature.id,
+      category: signature.category,
+      severity: signature.severity,
+      title: signature.title,
+      remediation: typeof signature.remediation === "function" ? signature.remediation(context) : signature.remediation,
+    };
+  }
+  return null;
+}
+
+// Occurrences are grouped by signature and provider, so one broken token file is one problem
+// with a count rather than a page of identical rows.
+export function createProblemStore({ nowFn = Date.now } = {}) {
+  const problems = new Map();
+
+  const prune = (nowMs) => {
+    for (const [key, problem] of problems) {
+      if (Date.parse(problem.lastSeenAt) < nowMs - RETAINED_MS) {
+        problems.delete(key);
+      }
+    }
+    while (problems.size > TRACKED_PROBLEMS) {
+      problems.delete(problems.keys().next().value);
+    }
+  };
+
+  return {
+    record(problem, { provider = "", account = "", model = "", source = "log", sample = "", atMs = nowFn() } = {}) {
+      const key = `${problem.id}|${provider}`;
+      const atIso = new Date(atMs).toISOString();
+      const existing = problems.get(key);
+      const entry = existing || { key, ...problem, provider, count: 0, firstSeenAt: atIso, accounts: [], models: [], sources: [] };
+      problems.delete(key);
+      entry.count += 1;
+      entry.lastSeenAt = atIso;
+      entry.remediation = problem.remediation;
+      entry.sample = String(sample || "").slice(0, SAMPLE_LIMIT);
+      entry.dismissedAt = "";
+      for (const [list, value] of [
+        [entry.accounts, account],
+        [entry.models, model],
+        [entry.sources, source],
+      ]) {
+        if (value && !list.includes(value)) {
+          list.push(value);
+          if (list.length > 10) {
+            list.shift();
+          }
+        }
+      }
+      problems.set(key, entry);
+      prune(atMs);
+    },
+
+    // Dismissed problems stay hidden until they happen again.
+    dismiss(key) {
+      const entry = problems.get(key);
+      if (!entry) {
+        return false;
+      }
+      entry.dismissedAt = new Date(nowFn()).toISOString();
+      return true;
+    },
+
+    list({ includeDismissed = false } = {}) {
+      prune(nowFn());
+      return [...problems.values()]
+        .filter((entry) => includeDismissed || !entry.dismissedAt)
+        .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.lastSeenAt.localeCompare(a.lastSeenAt));
+    },
+  };
+}
@@ -0,0 +1,314 @@
+// Runs the CLIProxyAPI binary as a child of the dashboard when there is no container to manage
+// (`DIAG_DOCKER_MODE=process`). It starts, stops and restarts the binary, and restarts it with
+// exponential backoff when it exits on its own.
+//
+// Output is kept as `docker logs --timestamps` lines ("<RFC 3339> <text>") and served by logs(),
+// which returns the same child-process lookalike as the Docker Engine client, so log readers do
+// not care where the lines come from. Lifecycle changes go to `onEvent` as
+// { action: "start" | "stop" | "kill" | "die", at, pid, exitCode, signal }.
+import { spawn } from "node:child_process";
+import { EventEmitter } from "node:events";
+import { constants } from "node:os";
+
+// Like `docker stop`, which waits 10 seconds before SIGKILL.
+const STOP_TIMEOUT_MS = 10 * 1000;
+const RESTART_BACKOFF_MIN_MS = 1000;
+const RESTART_BACKOFF_MAX_MS = 60 * 1000;
+// A run at least this long resets the backoff.
+const STABLE_RUN_MS = 60 * 1000;
+// Lines over the limit are dropped in batches rather than one per new line.
+const TRIM_BATCH = 500;
+
+// A process killed by a signal reports 128 + the signal number, as a container does.
+function exitCodeOf(code, signal) {
+  if (Number.isInteger(code)) {
+    return code;
+  }
+  const number = signal ? constants.signals[signal] : undefined;
+  return number ? 128 + number : null;
+}
+
+// `--since`/`--until` values as `docker logs` takes them: RFC 3339 or a duration such as "2h".
+function parseTimeBound(value, nowMs) {
+  const text = String(value || "").trim();
+  if (!text) {
+    return null;
+  }
+  const duration = text.match(/^(\d+(?:\.\d+)?)([smh])$/);
+  const ms = duration ? nowMs - Number.parseFloat(duration[1]) * { s: 1000, m: 60000, h: 3600000 }[duration[2]] : Date.parse(text);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export function createProcessSupervisor({ command, args = [], cwd, env = process.env, logLines = 20000, nowFn = Date.now, spawnFn = spawn, onEvent = () => {} }) {
+  const lines = [];
+  const followers = new Set();
+  const status = { state: "stopped", pid: null, startedAt: "", exitedAt: "", exitCode: null, signal: "", restarts: 0, nextRestartAt: "", error: "" };
+  // The running child: { proc, exited, stopRequested }.
+  let current = null;
+  let wanted = false;
+  let failures = 0;
+  let restartTimer = null;
+
+  const isoNow = () => new Date(nowFn()).toISOString();
+  const emit = (action, extra = {}) => onEvent({ action, at: isoNow(), pid: status.pid, exitCode: null, signal: "", ...extra });
+
+  const record = (stream, text) => {
+    const atMs = nowFn();
+    const entry = { atMs, stream, line: `${new Date(atMs).toISOString()} ${text}` };
+    lines.push(entry);
+    if (lines.length > logLines + TRIM_BATCH) {
+      lines.splice(0, lines.length - logLines);
+    }
+    for (const follower of followers) {
+      follower(entry);
+    }
+  };
+
+  const cancelRestart = () => {
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    status.nextRestartAt = "";
+  };
+
+  // Resolves once the binary is running ({ ok, pid }) or could not be started ({ ok, error }).
+  const launch = () => {
+    cancelRestart();
+    status.state = "starting";
+    status.error = "";
+    const startedAtMs = nowFn();
+    const proc = spawnFn(command, args, { cwd, env, stdio: ["ignore", "pipe", "pipe"] });
+    const run = { proc, stopRequested: false, spawned: false };
+    current = run;
+
+    const buffers = { stdout: "", stderr: "" };
+    const consume = (name) => (chunk) => {
+      const parts = (buffers[name] + chunk.toString("utf8")).split(/\r?\n/);
+      buffers[name] = parts.pop() || "";
+      for (const text of parts) {
+        if (text) {
+          record(name, text);
+        }
+      }
+    };
+    proc.stdout.on("data", consume("stdout"));
+    proc.stderr.on("data", consume("stderr"));
+
+    let resolveStarted;
+    const started = new Promise((resolve) => {
+      resolveStarted = resolve;
+    });
+    run.exited = new Promise((resolveExited) => {
+      let finished = false;
+      const onExit = (code, signal, error = null) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        for (const [name, rest] of Object.entries(buffers)) {
+          if (rest.trim()) {
+            record(name, rest.trim());
+          }
+        }
+        if (current === run) {
+          current = null;
+        }
+        const nowMs = nowFn();
+        status.exitedAt = new Date(nowMs).toISOString();
+        status.exitCode = error ? null : exitCodeOf(code, signal);
+        status.signal = signal || "";
+        if (error) {
+          status.error = error.message;
+          record("stderr", `failed to start ${command}: ${error.message}`);
+          resolveStarted({ ok: false, error: error.message });
+        } else {
+          emit("die", { exitCode: status.exitCode, signal: status.signal });
+        }
+        status.pid = null;
+
+        if (wanted && !run.stopRequested) {
+          failures = nowMs - startedAtMs >= STABLE_RUN_MS ? 1 : failures + 1;
+          const delayMs = Math.min(RESTART_BACKOFF_MAX_MS, RESTART_BACKOFF_MIN_MS * 2 ** (failures - 1));
+          status.state = "backoff";
+          status.nextRestartAt = new Date(nowMs + delayMs).toISOString();
+          restartTimer = setTimeout(() => {
+            status.restarts += 1;
+            launch();
+          }, delayMs);
+          restartTimer.unref();
+        } else {
+          status.state = error ? "failed" : "stopped";
+        }
+        resolveExited();
+      };
+      proc.on("spawn", () => {
+        run.spawned = true;
+        status.state = "running";
+        status.pid = proc.pid;
+        status.startedAt = new Date(startedAtMs).toISOString();
+        status.exitCode = null;
+        status.signal = "";
+        emit("start");
+        resolveStarted({ ok: true, pid: proc.pid });
+      });
+      proc.on("close", (code, signal) => onExit(code, signal));
+      // After a successful spawn "error" means a signal could not be delivered, not an exit.
+      proc.on("error", (error) => {
+        if (run.spawned) {
+          status.error = error.message;
+        } else {
+          onExit(null, null, error);
+        }
+      });
+    });
+    return started;
+  };
+
+  const stopCurrent = async () => {
+    const run = current;
+    if (!run) {
+      return;
+    }
+    run.stopRequested = true;
+    status.state = "stopping";
+    emit("stop");
+    run.proc.kill("SIGTERM");
+    const timer = setTimeout(() => {
+      emit("kill", { signal: "SIGKILL" });
+      run.proc.kill("SIGKILL");
+    }, STOP_TIMEOUT_MS);
+    await run.exited;
+    clearTimeout(timer);
+  };
+
+  return {
+    command,
+    args,
+    cwd,
+
+    async start() {
+      wanted = true;
+      if (current) {
+        return { ok: true, pid: status.pid, message: `already running (pid ${status.pid})` };
+      }
+      failures = 0;
+      const result = await launch();
+      return result.ok ? { ...result, message: `started pid ${result.pid}` } : result;
+    },
+
+    async stop() {
+      wanted = false;
+      cancelRestart();
+      if (!current) {
+        if (status.state === "backoff") {
+          status.state = "stopped";
+          return { ok: true, message: "cancelled the pending restart" };
+        }
+        return { ok: true, message: "not running" };
+      }
+      const pid = status.pid;
+      await stopCurrent();
+      return { ok: true, message: `stopped pid ${pid} (exit code ${status.exitCode ?? "unknown"})` };
+    },
+
+    async restart() {
+      wanted = true;
+      cancelRestart();
+      await stopCurrent();
+      failures = 0;
+      const result = await launch();
+      return result.ok ? { ...result, message: `restarted as pid ${result.pid}` } : result;
+    },
+
+    status() {
+      const uptimeMs = status.state === "running" || status.state === "stopping" ? Math.max(0, nowFn() - Date.parse(status.startedAt)) : 0;
+      return { ...status, uptimeMs };
+    },
+
+    // Lines in the range, oldest first; with `follow` the stream then stays open across restarts
+    // until kill(). stdout and stderr lines come out on the matching stream. Lines are queued
+    // and handed out only while neither output is paused, so a slow reader holds back the
+    // backlog instead of receiving it all at once.
+    logs({ follow = false, tail = "", since = "", until = "" } = {}) {
+      const stream = new EventEmitter();
+      stream.stdout = new EventEmitter();
+      stream.stderr = new EventEmitter();
+      stream.killed = false;
+      const queue = [];
+      const paused = new Set();
+      let next = 0;
+      let ending = false;
+      let finished = false;
+
+      const finish = (code, signal = null) => {
+        followers.delete(enqueue);
+        if (!finished) {
+          finished = true;
+          queue.length = 0;
+          stream.emit("close", code, signal);
+        }
+      };
+      const flush = () => {
+        while (next < queue.length && paused.size === 0 && !finished) {
+          const entry = queue[next];
+          next += 1;
+          stream[entry.stream].emit("data", Buffer.from(`${entry.line}\n`));
+        }
+        if (next >= queue.length) {
+          queue.length = 0;
+          next = 0;
+          if (ending) {
+            finish(0);
+          }
+        }
+      };
+      const enqueue = (entry) => {
+        queue.push(entry);
+        flush();
+      };
+      for (const output of [stream.stdout, stream.stderr]) {
+        output.pause = () => {
+          paused.add(output);
+          return output;
+        };
+        output.resume = () => {
+          paused.delete(output);
+          // Deferred like a pipe's resume, so a reader resuming from a "drain" handler
+          // does not re-enter its own write loop.
+          setImmediate(flush);
+          return output;
+        };
+      }
+      stream.kill = () => {
+        if (!stream.killed) {
+          stream.killed = true;
+          finish(null, "SIGTERM");
+        }
+        return true;
+      };
+
+      // Deferred so the caller can attach listeners first, like a spawned process.
+      setImmediate(() => {
+        if (stream.killed) {
+          return;
+        }
+        const nowMs = nowFn();
+        const sinceMs = parseTimeBound(since, nowMs);
+        const untilMs = parseTimeBound(until, nowMs);
+        let backlog = lines.filter((entry) => (sinceMs === null || entry.atMs >= sinceMs) && (untilMs === null || entry.atMs <= untilMs));
+        if (tail !== "" && Number.isInteger(Number(tail))) {
+          backlog = Number(tail) > 0 ? backlog.slice(-Number(tail)) : [];
+        }
+        for (const entry of backlog) {
+          queue.push(entry);
+        }
+        if (follow) {
+          followers.add(enqueue);
+        } else {
+          ending = true;
+        }
+        flush();
+      });
+      return stream;
+    },
+  };
+}
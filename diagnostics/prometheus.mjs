@@ -0,0 +1,78 @@
+// Prometheus text exposition format (version 0.0.4) without a client library.
+// A family is { name, help, type, samples: [{ labels, value, suffix? }] }.
+
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabelValue(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n");
+}
+
+export function formatSampleValue(value) {
+  if (value === true) {
+    return "1";
+  }
+  if (value === false) {
+    return "0";
+  }
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    return "NaN";
+  }
+  if (number === Infinity) {
+    return "+Inf";
+  }
+  if (number === -Infinity) {
+    return "-Inf";
+  }
+  return String(number);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+export function renderPrometheus(families) {
+  const lines = [];
+  for (const family of families) {
+    // Families with no samples are omitted entirely, which is what scrapers expect.
+    const samples = (family.samples || []).filter((sample) => sample.value !== null && sample.value !== undefined);
+    if (samples.length === 0) {
+      continue;
+    }
+    lines.push(`# HELP ${family.name} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${family.name} ${family.type || "gauge"}`);
+    for (const sample of samples) {
+      lines.push(`${family.name}${sample.suffix || ""}${formatLabels(sample.labels)} ${formatSampleValue(sample.value)}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Expands per-bucket counts into the cumulative `_bucket`/`_sum`/`_count` samples of a histogram.
+// `bounds` are upper bounds in the family's unit; `counts` has one extra overflow slot.
+export function histogramSamples(labels, bounds, counts, sum) {
+  const samples = [];
+  let cumulative = 0;
+  bounds.forEach((bound, idx) => {
+    cumulative += counts[idx] || 0;
+    samples.push({ suffix: "_bucket", labels: { ...labels, le: formatSampleValue(bound) }, value: cumulative });
+  });
+  cumulative += counts[bounds.length] || 0;
+  samples.push({ suffix: "_bucket", labels: { ...labels, le: "+Inf" }, value: cumulative });
+  samples.push({ suffix: "_sum", labels, value: sum });
+  samples.push({ suffix: "_count", labels, value: cumulative });
+  return samples;
+}
@@ -1,16 +1,48 @@
 const state = {
+  session: null,
   summary: null,
   auth: null,
   providerModels: null,
   lastModelSyncAt: 0,
+  probing: new Set(),
+  metrics: null,
+  metricsWindow: 15,
+  statsWindow: 15,
+  history: null,
+  historyRange: "24h",
+  lastHistorySyncAt: 0,
+  alerts: null,
+  openModelGroups: new Set(),
+  config: null,
+  lastConfigSyncAt: 0,
+  accessKeys: null,
+  oauthSession: null,
+  oauthPollTimer: null,
+  editorBaseHash: "",
+  editorLoaded: false,
   eventSource: null,
+  stateSource: null,
+  stateConnected: false,
   resolutionBlocked: false,
   autoScroll: true,
   currentContainer: "api4llm",
   maxLogLines: 1200,
   logLineCount: 0,
+  logLevelFilter: "all",
+  logStatusFilter: "all",
+  logTextFilter: null,
+  logsPaused: false,
+  pausedLogLines: [],
+  lastLogEventId: "",
+  logStreamContainer: "",
+  logSearch: null,
 };
 
+const LOG_LEVEL_RANK = { debug: 0, info: 1, warn: 2, error: 3 };
+const LOG_SEARCH_PAGE_SIZE = 200;
+// Parsed fields per rendered log line, for the detail view; entries go away with their spans.
+const logLineFields = new WeakMap();
+
 const MIN_VIEWPORT_WIDTH = 1366;
 const MIN_VIEWPORT_HEIGHT = 768;
 
@@ -26,16 +58,101 @@ const el = {
   composeFilePath: document.getElementById("composeFilePath"),
   mechanismCards: document.getElementById("mechanismCards"),
   providerCards: document.getElementById("providerCards"),
+  oauthLogin: document.getElementById("oauthLogin"),
   oauthRows: document.getElementById("oauthRows"),
+  accountsMeta: document.getElementById("accountsMeta"),
+  accountRows: document.getElementById("accountRows"),
+  authImportForm: document.getElementById("authImportForm"),
+  authImportFile: document.getElementById("authImportFile"),
+  authImportName: document.getElementById("authImportName"),
+  authImportIssues: document.getElementById("authImportIssues"),
+  quarantineRows: document.getElementById("quarantineRows"),
   authMeta: document.getElementById("authMeta"),
   providerMeta: document.getElementById("providerMeta"),
   modelMeta: document.getElementById("modelMeta"),
   modelCards: document.getElementById("modelCards"),
+  probeStream: document.getElementById("probeStream"),
+  configMeta: document.getElementById("configMeta"),
+  configHighlights: document.getElementById("configHighlights"),
+  configUpstreams: document.getElementById("configUpstreams"),
+  configSettings: document.getElementById("configSettings"),
+  trafficMeta: document.getElementById("trafficMeta"),
+  trafficWindows: document.getElementById("trafficWindows"),
+  trafficTotals: document.getElementById("trafficTotals"),
+  trafficChart: document.getElementById("trafficChart"),
+  trafficRows: document.getElementById("trafficRows"),
+  resourcesMeta: document.getElementById("resourcesMeta"),
+  resourceWindows: document.getElementById("resourceWindows"),
+  resourceTotals: document.getElementById("resourceTotals"),
+  resourceCharts: document.getElementById("resourceCharts"),
+  alertsMeta: document.getElementById("alertsMeta"),
+  alertTest: document.getElementById("alertTest"),
+  alertRows: document.getElementById("alertRows"),
+  eventsMeta: document.getElementById("eventsMeta"),
+  crashLoopBanner: document.getElementById("crashLoopBanner"),
+  eventRows: document.getElementById("eventRows"),
+  crashLogs: document.getElementById("crashLogs"),
+  crashLogsTitle: document.getElementById("crashLogsTitle"),
+  crashLogsOutput: document.getElementById("crashLogsOutput"),
+  crashLogsClose: document.getElementById("crashLogsClose"),
+  problemsMeta: document.getElementById("problemsMeta"),
+  problemRows: document.getElementById("problemRows"),
+  alertNotificationRows: document.getElementById("alertNotificationRows"),
+  historyMeta: document.getElementById("historyMeta"),
+  historyRanges: document.getElementById("historyRanges"),
+  historyRows: document.getElementById("historyRows"),
+  keysMeta: document.getElementById("keysMeta"),
+  keyCreateForm: document.getElementById("keyCreateForm"),
+  keyLabel: document.getElementById("keyLabel"),
+  keyOwner: document.getElementById("keyOwner"),
+  keyRestart: document.getElementById("keyRestart"),
+  keyReveal: document.getElementById("keyReveal"),
+  keyRevealValue: document.getElementById("keyRevealValue"),
+  keyRevealCopy: document.getElementById("keyRevealCopy"),
+  keyRevealDismiss: document.getElementById("keyRevealDismiss"),
+  keyRows: document.getElementById("keyRows"),
+  revokedKeyRows: document.getElementById("revokedKeyRows"),
+  editorMeta: document.getElementById("editorMeta"),
+  configEditor: document.getElementById("configEditor"),
+  editorReload: document.getElementById("editorReload"),
+  editorValidate: document.getElementById("editorValidate"),
+  editorSave: document.getElementById("editorSave"),
+  editorRestart: document.getElementById("editorRestart"),
+  editorIssues: document.getElementById("editorIssues"),
+  editorDiff: document.getElementById("editorDiff"),
+  backupRows: document.getElementById("backupRows"),
   logsOutput: document.getElementById("logsOutput"),
   logsState: document.getElementById("logsState"),
   autoScroll: document.getElementById("autoScroll"),
   clearLogs: document.getElementById("clearLogs"),
+  logLevelFilter: document.getElementById("logLevelFilter"),
+  logStatusFilter: document.getElementById("logStatusFilter"),
+  logTextFilter: document.getElementById("logTextFilter"),
+  pauseLogs: document.getElementById("pauseLogs"),
+  logDetail: document.getElementById("logDetail"),
+  logDetailBody: document.getElementById("logDetailBody"),
+  logDetailClose: document.getElementById("logDetailClose"),
+  logSearchForm: document.getElementById("logSearchForm"),
+  logSearchMeta: document.getElementById("logSearchMeta"),
+  logSearchQuery: document.getElementById("logSearchQuery"),
+  logSearchSince: document.getElementById("logSearchSince"),
+  logSearchUntil: document.getElementById("logSearchUntil"),
+  logSearchLevel: document.getElementById("logSearchLevel"),
+  logSearchStatus: document.getElementById("logSearchStatus"),
+  logSearchRegex: document.getElementById("logSearchRegex"),
+  logSearchCase: document.getElementById("logSearchCase"),
+  logSearchDownloadText: document.getElementById("logSearchDownloadText"),
+  logSearchDownloadJSON: document.getElementById("logSearchDownloadJSON"),
+  logSearchOutput: document.getElementById("logSearchOutput"),
+  logSearchPrev: document.getElementById("logSearchPrev"),
+  logSearchNext: document.getElementById("logSearchNext"),
+  logSearchPage: document.getElementById("logSearchPage"),
+  logSearchDetail: document.getElementById("logSearchDetail"),
+  logSearchDetailBody: document.getElementById("logSearchDetailBody"),
+  logSearchDetailClose: document.getElementById("logSearchDetailClose"),
   refreshNow: document.getElementById("refreshNow"),
+  logout: document.getElementById("logout"),
+  sessionInfo: document.getElementById("sessionInfo"),
   resolutionGate: document.getElementById("resolutionGate"),
   resolutionCurrent: document.getElementById("resolutionCurrent"),
 };
@@ -150,14 +267,24 @@ function applyResolutionGate() {
 
   if (blocked) {
     disconnectLogs();
+    disconnectState();
     el.logsState.textContent = gateMessage();
   }
   return true;
 }
 
+function redirectToLogin() {
+  disconnectLogs();
+  disconnectState();
+  window.location.replace("/login.html");
+}
+
 async function fetchJSON(url, options = {}) {
   const response = await fetch(url, { ...options, cache: "no-store" });
   const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    redirectToLogin();
+  }
   if (!response.ok) {
     const message = data.error || data.details || response.statusText;
     throw new Error(message);
@@ -179,14 +306,17 @@ function updateSummary(summary) {
   el.serviceState.className = chipClassForState(primary?.state || summary.overallState);
 
   el.containerName.textContent = primary?.container || summary.defaultContainer || "-";
-  el.containerStatus.textContent = primary?.status || summary.commandError || "-";
+  const restarts = summary.process?.restarts ? ` | ${formatCount(summary.process.restarts)} automatic restarts` : "";
+  el.containerStatus.textContent = `${primary?.status || summary.commandError || "-"}${restarts}`;
   el.imageName.textContent = primary?.image || "-";
   el.runningFor.textContent = primary?.runningFor || "-";
 
-  const backend = summary.backend ? ` (${summary.backend})` : "";
+  const runtime = summary.runtime === "podman" ? "Podman " : "";
+  const transport = summary.transport === "api" ? ` via ${runtime}API` : summary.transport === "cli" ? ` via ${runtime}CLI` : "";
+  const backend = summary.backend ? ` (${summary.backend}${transport})` : "";
   el.dockerHealth.textContent = `${summary.dockerAvailable ? "Available" : "Unavailable"}${backend}`;
   el.dockerHealth.className = summary.dockerAvailable ? "chip ok" : "chip bad";
-  el.composeFilePath.textContent = summary.composeFile || "-";
+  el.composeFilePath.textContent = summary.process ? [summary.process.command, ...summary.process.args].join(" ") : summary.composeFile || "-";
 
   return primary?.container || summary.defaultContainer || state.currentContainer;
 }
@@ -230,6 +360,44 @@ function renderMechanisms(auth) {
   `;
 }
 
+function formatCountdown(ms) {
+  if (!Number.isFinite(ms) || ms <= 0) {
+    return "ending";
+  }
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, "0")}s` : `${seconds}s`;
+}
+
+// Cooldown chips carry their reset time; a one-second timer keeps the countdown moving
+// between the 8s data refreshes.
+function renderCooldown(cooldown) {
+  if (!cooldown) {
+    return `<span class="muted">-</span>`;
+  }
+  const label = cooldown.kind === "quota" ? "Quota" : "Rate limit";
+  const remaining = Date.parse(cooldown.resetAt) - Date.now();
+  const tooltip = [
+    `${label} until ${formatDate(cooldown.resetAt)}${cooldown.estimated ? " (estimated, no reset time reported)" : ""}`,
+    cooldown.entries > 1 ? `${cooldown.entries} accounts locked; shows the first to reset` : "",
+    cooldown.message || "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+  return `<span class="${cooldown.kind === "quota" ? "chip bad" : "chip warn"}" title="${escapeHTML(tooltip)}">${label} ${cooldown.estimated ? "~" : ""}<span data-countdown="${escapeHTML(cooldown.resetAt)}">${escapeHTML(formatCountdown(remaining))}</span></span>`;
+}
+
+function updateCountdowns() {
+  for (const node of document.querySelectorAll("[data-countdown]")) {
+    node.textContent = formatCountdown(Date.parse(node.dataset.countdown) - Date.now());
+  }
+}
+
 function renderProviderCards(auth) {
   const providers = auth.providerHealth || [];
   if (providers.length === 0) {
@@ -237,9 +405,15 @@ function renderProviderCards(auth) {
     return;
   }
 
+  const operator = isOperator();
   const rows = providers
     .map((provider) => {
       const statusClass = chipClassForHealth(provider.status);
+      const needsLogin = ["error", "expired", "stale", "warning"].includes(provider.status);
+      const loginButton =
+        operator && provider.loginSupported
+          ? `<button class="${needsLogin ? "" : "ghost"}" data-oauth-login="${escapeHTML(provider.provider)}">${provider.oauthCount > 0 ? "Re-authenticate" : "Log in"}</button>`
+          : "";
       return `
         <tr>
           <td>${escapeHTML(provider.label)}</td>
@@ -249,7 +423,9 @@ function renderProviderCards(auth) {
           <td>${formatCount(provider.staticKeyCount)}</td>
           <td>${formatCount(provider.expiringSoonCount)}</td>
           <td>${formatCount(provider.expiredCount)}</td>
+          <td>${renderCooldown(provider.cooldown)}</td>
           <td class="cell-muted" title="${escapeHTML(provider.statusMessage || "-")}">${escapeHTML(truncateText(provider.statusMessage || "-", 96))}</td>
+          <td>${loginButton}</td>
         </tr>
       `;
     })
@@ -267,7 +443,9 @@ function renderProviderCards(auth) {
             <th>Static</th>
             <th>Expiring &lt;24h</th>
             <th>Expired</th>
+            <th>Cooldown</th>
             <th>Notes</th>
+            <th></th>
           </tr>
         </thead>
         <tbody>${rows}</tbody>
@@ -276,30 +454,234 @@ function renderProviderCards(auth) {
   `;
 }
 
-function renderOAuthRows(auth) {
-  const files = auth.oauthFiles || [];
-  if (files.length === 0) {
-    el.oauthRows.innerHTML = `<tr><td colspan="5" class="muted">No OAuth files in ${escapeHTML(auth.dataDir || "data/")}.</td></tr>`;
+function renderAccounts(view) {
+  const accounts = view?.accounts || [];
+  const usageNote = view?.usageSource === "disabled" ? "usage tracking off (DIAG_METRICS=0)" : `usage from logs: ${view?.usageSource || "-"}`;
+  el.accountsMeta.textContent = `${formatCount(accounts.length)} accounts | ${formatCount(view?.duplicates)} with duplicate files | ${formatCount(view?.failing)} failing | ${usageNote}`;
+  if (accounts.length === 0) {
+    el.accountRows.innerHTML = `<p class="muted">No OAuth accounts.</p>`;
     return;
   }
-
-  el.oauthRows.innerHTML = files
-    .map((file) => {
-      const expiresLabel = file.expiresAt ? formatDate(file.expiresAt) : "-";
-      const email = file.email || "(not set)";
-      const provider = file.provider || "unknown";
-      const parseSuffix = file.parseError ? ` (parse error: ${file.parseError})` : "";
+  const rows = accounts
+    .map((account) => {
+      const usage = account.usage || {};
+      const files = account.files
+        .map((file) => `<div class="${file.disabled ? "cell-muted" : ""}">${escapeHTML(file.file)}${file.disabled ? " (disabled)" : ""}</div>`)
+        .join("");
+      const lastUsed = usage.lastUsedAt ? `${formatDate(usage.lastUsedAt)}${usage.lastStatus ? ` (${usage.lastStatus})` : ""}` : "not seen";
+      const failures = [
+        usage.unauthorized ? `${usage.unauthorized}x 401/403` : "",
+        usage.rateLimited ? `${usage.rateLimited}x 429` : "",
+      ]
+        .filter(Boolean)
+        .join(", ");
+      const failureTitle = usage.lastFailureAt ? `last ${usage.lastFailureStatus} at ${formatDate(usage.lastFailureAt)}` : "";
       return `
-        <tr>
-          <td>${escapeHTML(provider)}</td>
-          <td>${escapeHTML(email)}</td>
-          <td>${escapeHTML(file.file)}${escapeHTML(parseSuffix)}</td>
-          <td>${escapeHTML(expiresLabel)}</td>
-          <td>${escapeHTML(formatDate(file.modifiedAt))}</td>
+        <tr class="${account.failing ? "account-failing" : ""}">
+          <td>${escapeHTML(account.label)}</td>
+          <td>
+            ${escapeHTML(account.email || account.accountId || "(no email)")}
+            ${account.plan ? `<span class="chip configured">${escapeHTML(account.plan)}</span>` : ""}
+            ${account.duplicate ? `<span class="chip warn" title="${account.activeFiles} active files hold this account; the proxy rotates through each one">duplicate</span>` : ""}
+            ${account.cooldown ? renderCooldown(account.cooldown) : ""}
+          </td>
+          <td><span class="${chipClassForHealth(account.status)}" title="${escapeHTML(account.statusMessage)}">${escapeHTML(normalizeStatusLabel(account.status))}</span></td>
+          <td class="cell-wrap">${files}</td>
+          <td>${escapeHTML(lastUsed)}</td>
+          <td>${formatCount(usage.recentRequests)} (${escapeHTML(formatPercent(account.share))})</td>
+          <td title="${escapeHTML(failureTitle)}">
+            ${escapeHTML(failures || "-")}
+            ${account.failing ? `<span class="chip bad">failing</span>` : ""}
+          </td>
         </tr>
       `;
     })
     .join("");
+  el.accountRows.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>Provider</th>
+            <th>Account</th>
+            <th>Freshness</th>
+            <th>Files</th>
+            <th>Last Used</th>
+            <th>Requests 1h (share)</th>
+            <th>Failures</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderTokenMetadata(file) {
+  const where = [file.organization, file.workspace, file.projectId ? `project ${file.projectId}` : ""].filter(Boolean);
+  const plan = file.plan ? `<span class="chip configured">${escapeHTML(file.plan)}</span>` : `<span class="muted">-</span>`;
+  const facts = [
+    file.accountId ? ["Account", file.accountId] : null,
+    file.scopes?.length ? ["Scopes", file.scopes.join(" ")] : null,
+    ...(file.claims || []).map((claim) => [
+      claim.token,
+      [
+        claim.issuer && `iss ${claim.issuer}`,
+        claim.subject && `sub ${claim.subject}`,
+        claim.audience && `aud ${claim.audience}`,
+        claim.issuedAt && `issued ${formatDate(claim.issuedAt)}`,
+        claim.expiresAt && `expires ${formatDate(claim.expiresAt)}`,
+      ]
+        .filter(Boolean)
+        .join(", "),
+    ]),
+  ].filter(Boolean);
+  const details =
+    facts.length === 0
+      ? ""
+      : `
+        <details class="token-claims">
+          <summary>Claims</summary>
+          <dl>
+            ${facts.map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value || "-")}</dd>`).join("")}
+          </dl>
+        </details>
+      `;
+  return `${plan}${where.length ? `<p class="muted">${escapeHTML(where.join(" · "))}</p>` : ""}${details}`;
+}
+
+function renderOAuthRows(auth) {
+  const files = [...(auth.oauthFiles || []), ...(auth.disabledFiles || [])];
+  const operator = isOperator();
+  if (files.length === 0) {
+    el.oauthRows.innerHTML = `<tr><td colspan="7" class="muted">No OAuth files in ${escapeHTML(auth.dataDir || "data/")}.</td></tr>`;
+  } else {
+    el.oauthRows.innerHTML = files
+      .map((file) => {
+        const expiresLabel = file.expiresAt ? formatDate(file.expiresAt) : "-";
+        const email = file.email || "(not set)";
+        const provider = file.provider || "unknown";
+        const parseSuffix = file.parseError ? ` (parse error: ${file.parseError})` : "";
+        const name = escapeHTML(file.file);
+        const actions = operator
+          ? `
+            <button class="ghost" data-auth-file-action="${file.disabled ? "enable" : "disable"}" data-auth-file="${name}">${file.disabled ? "Enable" : "Disable"}</button>
+            <button class="ghost" data-auth-file-action="quarantine" data-auth-file="${name}">Quarantine</button>
+            <button class="danger" data-auth-file-action="delete" data-auth-file="${name}">Delete</button>
+          `
+          : "";
+        return `
+          <tr>
+            <td>${escapeHTML(provider)}${file.disabled ? ` <span class="chip configured">disabled</span>` : ""}</td>
+            <td>${escapeHTML(email)}</td>
+            <td>${renderTokenMetadata(file)}</td>
+            <td>${name}${escapeHTML(parseSuffix)}</td>
+            <td>${escapeHTML(expiresLabel)}</td>
+            <td>${escapeHTML(formatDate(file.modifiedAt))}</td>
+            <td>${actions}</td>
+          </tr>
+        `;
+      })
+      .join("");
+  }
+
+  const quarantined = auth.quarantinedFiles || [];
+  el.quarantineRows.innerHTML =
+    quarantined.length === 0
+      ? `<p class="muted">Nothing in quarantine.</p>`
+      : `
+        <div class="table-wrap">
+          <table class="dense-table">
+            <thead>
+              <tr>
+                <th>Provider</th>
+                <th>Email / Account</th>
+                <th>Original File</th>
+                <th>Quarantined</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${quarantined
+                .map(
+                  (file) => `
+                    <tr>
+                      <td>${escapeHTML(file.provider || "unknown")}</td>
+                      <td>${escapeHTML(file.email || "(not set)")}</td>
+                      <td>${escapeHTML(file.originalFile)}</td>
+                      <td>${escapeHTML(formatDate(file.quarantinedAt))}</td>
+                      <td>
+                        ${
+                          operator
+                            ? `
+                              <button class="ghost" data-quarantine-action="restore" data-auth-file="${escapeHTML(file.file)}">Restore</button>
+                              <button class="danger" data-quarantine-action="delete" data-auth-file="${escapeHTML(file.file)}">Delete</button>
+                            `
+                            : ""
+                        }
+                      </td>
+                    </tr>
+                  `,
+                )
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+      `;
+}
+
+async function runAuthFileAction(name, action, { quarantined = false } = {}) {
+  const base = `/api/auth-files/${quarantined ? "quarantine/" : ""}${encodeURIComponent(name)}`;
+  let url = `${base}/${action}`;
+  let method = "POST";
+  if (action === "delete") {
+    if (!window.confirm(`Delete ${name} permanently? This cannot be undone.`)) {
+      return;
+    }
+    url = `${base}?confirm=${encodeURIComponent(name)}`;
+    method = "DELETE";
+  } else if (action === "quarantine" && !window.confirm(`Move ${name} to quarantine? The proxy stops using it.`)) {
+    return;
+  }
+  try {
+    const result = await fetchJSON(url, { method });
+    appendLogLine(`[auth-files] ${action} ${name}${result.result ? ` -> ${result.result}` : ""}`, "status");
+  } catch (error) {
+    appendLogLine(`[auth-files] ${action} ${name} failed: ${error.message}`, "error");
+  }
+  await refreshData(false);
+}
+
+async function importAuthFile() {
+  const file = el.authImportFile.files?.[0];
+  if (!file) {
+    return;
+  }
+  const content = await file.text();
+  const send = async (overwrite) => {
+    const response = await fetch("/api/auth-files/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      cache: "no-store",
+      body: JSON.stringify({ content, fileName: el.authImportName.value.trim(), overwrite }),
+    });
+    return { response, data: await response.json().catch(() => ({})) };
+  };
+
+  let { response, data } = await send(false);
+  if (response.status === 409 && window.confirm(`${data.fileName || file.name} already exists. Replace it? The current file is moved to quarantine.`)) {
+    ({ response, data } = await send(true));
+  }
+  el.authImportIssues.hidden = false;
+  if (!response.ok) {
+    const errors = data.errors?.length ? data.errors : [{ path: "", message: data.error || `HTTP ${response.status}` }];
+    renderIssues(el.authImportIssues, { errors, warnings: data.warnings });
+    return;
+  }
+  renderIssues(el.authImportIssues, { warnings: data.warnings });
+  appendLogLine(`[auth-files] imported ${data.fileName}${data.replaced ? " (previous file quarantined)" : ""}`, "status");
+  el.authImportForm.reset();
+  await refreshData(false);
 }
 
 function updateAuth(auth) {
@@ -307,7 +689,7 @@ function updateAuth(auth) {
   const providers = Object.entries(auth.oauthSummary || {})
     .map(([key, value]) => `${key}: ${value}`)
     .join(" | ");
-  const cfgStatus = auth.configReadable ? "config loaded" : "config unreadable";
+  const cfgStatus = !auth.configReadable ? "config unreadable" : auth.configParseError ? "config has YAML errors" : "config loaded";
   const configuredCount = (auth.mechanisms || []).filter((item) => item.configured).length;
   el.authMeta.textContent = `${cfgStatus} | ${configuredCount}/${formatCount((auth.mechanisms || []).length)} configured${providers ? ` | OAuth: ${providers}` : ""}`;
 
@@ -316,9 +698,216 @@ function updateAuth(auth) {
 
   renderMechanisms(auth);
   renderProviderCards(auth);
+  renderAccounts(auth.accountView);
   renderOAuthRows(auth);
 }
 
+const OAUTH_STATE_CHIPS = {
+  starting: "chip unknown",
+  waiting: "chip warn",
+  completed: "chip ok",
+  failed: "chip bad",
+  timeout: "chip bad",
+  cancelled: "chip configured",
+};
+
+function describeOAuthState(session) {
+  if (session.state === "completed") {
+    return `Signed in${session.account ? ` as ${session.account}` : ""}; saved ${session.authFile}.`;
+  }
+  if (session.state === "waiting") {
+    if (session.callbackReceived) {
+      return "Authorization received, waiting for the token to be saved...";
+    }
+    if (!session.callbackPort) {
+      return `Open the link${session.userCode ? ` and enter code ${session.userCode}` : ""}, then approve the login.`;
+    }
+    return `Open the link and approve the login. The browser is redirected to localhost:${session.callbackPort}; if that page does not load, paste its URL below.`;
+  }
+  if (session.state === "starting") {
+    return "Starting the login inside the proxy container...";
+  }
+  return session.error || session.state;
+}
+
+function renderOAuthLogin() {
+  const session = state.oauthSession;
+  if (!session) {
+    el.oauthLogin.hidden = true;
+    el.oauthLogin.innerHTML = "";
+    return;
+  }
+  const link = session.authUrl
+    ? `
+      <div class="oauth-login-url">
+        <a href="${escapeHTML(session.authUrl)}" target="_blank" rel="noopener noreferrer" title="${escapeHTML(session.authUrl)}">${escapeHTML(session.authUrl)}</a>
+        <button class="ghost" data-oauth-copy>Copy</button>
+      </div>
+    `
+    : "";
+  const callbackForm =
+    session.active && session.authUrl && session.callbackPort
+      ? `
+        <form class="oauth-login-form" data-oauth-form="callback">
+          <input type="text" name="value" placeholder="http://localhost:${session.callbackPort}/... (only if the redirect page failed to load)" />
+          <button type="submit" class="ghost">Send Callback</button>
+        </form>
+      `
+      : "";
+  const inputForm = session.active
+    ? `
+      <form class="oauth-login-form" data-oauth-form="input">
+        <input type="text" name="value" placeholder="Answer a prompt from the login (e.g. a project choice)" />
+        <button type="submit" class="ghost">Send</button>
+      </form>
+    `
+    : "";
+  // The box re-renders on every poll; keep whatever the user is typing and the output toggle.
+  const drafts = {};
+  el.oauthLogin.querySelectorAll("form[data-oauth-form]").forEach((form) => {
+    drafts[form.dataset.oauthForm] = { value: form.elements.value.value, focused: document.activeElement === form.elements.value };
+  });
+  const outputOpen = el.oauthLogin.querySelector("details")?.open || false;
+  el.oauthLogin.innerHTML = `
+    <div class="oauth-login-header">
+      <h4>${escapeHTML(session.label)} login</h4>
+      <span class="${OAUTH_STATE_CHIPS[session.state] || "chip unknown"}">${escapeHTML(session.state)}</span>
+      ${session.active ? `<button class="danger" data-oauth-cancel>Cancel</button>` : `<button class="ghost" data-oauth-dismiss>Close</button>`}
+    </div>
+    <p class="muted">${escapeHTML(describeOAuthState(session))}</p>
+    ${link}
+    ${callbackForm}
+    ${inputForm}
+    <details class="config-section"${outputOpen ? " open" : ""}>
+      <summary>CLI output</summary>
+      <pre class="oauth-login-output">${escapeHTML((session.output || []).join("\n") || "(no output yet)")}</pre>
+    </details>
+  `;
+  el.oauthLogin.querySelectorAll("form[data-oauth-form]").forEach((form) => {
+    const draft = drafts[form.dataset.oauthForm];
+    if (draft) {
+      form.elements.value.value = draft.value;
+      if (draft.focused) {
+        form.elements.value.focus();
+      }
+    }
+  });
+  el.oauthLogin.hidden = false;
+}
+
+function setOAuthSession(session) {
+  const wasActive = state.oauthSession?.active;
+  state.oauthSession = session;
+  renderOAuthLogin();
+  window.clearTimeout(state.oauthPollTimer);
+  if (session?.active) {
+    state.oauthPollTimer = window.setTimeout(pollOAuthSession, 2000);
+  } else if (wasActive && session) {
+    appendLogLine(`[login] ${session.label} login ${session.state}${session.error ? `: ${session.error}` : ""}`, session.state === "completed" ? "status" : "error");
+    refreshData(false);
+  }
+}
+
+async function pollOAuthSession() {
+  const current = state.oauthSession;
+  if (!current) {
+    return;
+  }
+  try {
+    setOAuthSession(await fetchJSON(`/api/oauth/sessions/${current.id}`));
+  } catch (error) {
+    state.oauthPollTimer = window.setTimeout(pollOAuthSession, 5000);
+  }
+}
+
+async function startOAuthLogin(provider) {
+  let projectId = "";
+  if (provider === "gemini") {
+    const answer = window.prompt("Google Cloud project ID (leave empty to choose during login)", "");
+    if (answer === null) {
+      return;
+    }
+    projectId = answer.trim();
+  }
+  try {
+    const session = await fetchJSON("/api/oauth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ provider, projectId }),
+    });
+    appendLogLine(`[login] started ${session.label} login in ${session.container}`, "status");
+    setOAuthSession(session);
+  } catch (error) {
+    el.providerMeta.textContent = `Login failed to start: ${error.message}`;
+  }
+}
+
+async function sendOAuthForm(kind, value) {
+  const session = state.oauthSession;
+  if (!session || !value.trim()) {
+    return;
+  }
+  const payload = kind === "callback" ? { url: value } : { text: value };
+  try {
+    setOAuthSession(
+      await fetchJSON(`/api/oauth/sessions/${session.id}/${kind}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      }),
+    );
+  } catch (error) {
+    appendLogLine(`[login] ${kind === "callback" ? "callback" : "input"} failed: ${error.message}`, "error");
+  }
+}
+
+async function cancelOAuthLogin() {
+  const session = state.oauthSession;
+  if (!session) {
+    return;
+  }
+  try {
+    setOAuthSession(await fetchJSON(`/api/oauth/sessions/${session.id}`, { method: "DELETE" }));
+  } catch (error) {
+    appendLogLine(`[login] cancel failed: ${error.message}`, "error");
+  }
+}
+
+// Pick up a login that is still running, e.g. after reloading the page mid-flow.
+async function resumeOAuthLogin() {
+  if (!isOperator()) {
+    return;
+  }
+  try {
+    const payload = await fetchJSON("/api/oauth/sessions");
+    const active = (payload.sessions || []).find((item) => item.active);
+    if (active) {
+      setOAuthSession(active);
+    }
+  } catch {
+    // Older servers or a viewer session: nothing to resume.
+  }
+}
+
+function describeProbe(probe) {
+  if (!probe) {
+    return `<span class="cell-muted">never</span>`;
+  }
+  const label = probe.ok ? `ok ${probe.status}` : `failed${probe.status ? ` ${probe.status}` : ""}`;
+  const timing = [
+    probe.latencyMs !== null ? `${formatCount(probe.latencyMs)} ms` : "",
+    probe.ttftMs !== null ? `TTFT ${formatCount(probe.ttftMs)} ms` : "",
+  ]
+    .filter(Boolean)
+    .join(" | ");
+  const error = probe.error ? `<div class="cell-muted" title="${escapeHTML(probe.error)}">${escapeHTML(truncateText(probe.error, 96))}</div>` : "";
+  return `
+    <span class="${probe.ok ? "chip ok" : "chip bad"}" title="${escapeHTML(formatDate(probe.checkedAt))}">${escapeHTML(label)}</span>
+    <span class="cell-muted">${escapeHTML(timing || "-")}</span>
+    ${error}
+  `;
+}
+
 function renderProviderModelCards(payload) {
   const groups = payload?.providerModels || [];
   if (groups.length === 0) {
@@ -326,38 +915,102 @@ function renderProviderModelCards(payload) {
     return;
   }
 
-  const rows = groups
+  const operator = isOperator();
+  el.modelCards.innerHTML = groups
     .map((group) => {
       const models = group.models || [];
-      const preview = models.map((model) => model.id).join(", ");
       const sources = [...new Set(models.flatMap((model) => model.sources || []))].join(", ");
+      const probed = models.filter((model) => model.lastProbe);
+      const failed = probed.filter((model) => !model.lastProbe.ok).length;
+      const probeSummary = probed.length > 0 ? ` | probes: ${probed.length - failed} ok, ${failed} failed` : "";
+      const groupBusy = models.some((model) => state.probing.has(`${group.provider}::${model.id}`));
+
+      const rows = models
+        .map((model) => {
+          const busy = state.probing.has(`${group.provider}::${model.id}`);
+          const action = operator
+            ? `<button class="ghost" data-probe-model="${escapeHTML(model.id)}" data-probe-provider="${escapeHTML(group.provider)}" ${busy ? "disabled" : ""}>${busy ? "Probing..." : "Probe"}</button>`
+            : "";
+          return `
+            <tr>
+              <td class="cell-mono" title="${escapeHTML(model.displayName || model.id)}">${escapeHTML(model.id)}</td>
+              <td class="cell-muted">${escapeHTML((model.sources || []).join(", ") || "-")}</td>
+              <td>${describeProbe(model.lastProbe)}</td>
+              <td>${action}</td>
+            </tr>
+          `;
+        })
+        .join("");
+
+      const probeAll = operator
+        ? `<button class="ghost" data-probe-all="${escapeHTML(group.provider)}" ${groupBusy ? "disabled" : ""}>Probe all ${formatCount(models.length)}</button>`
+        : "";
 
       return `
-        <tr>
-          <td>${escapeHTML(group.label || group.provider || "unknown")}</td>
-          <td>${formatCount(group.count)}</td>
-          <td class="cell-wrap" title="${escapeHTML(preview || "-")}">${escapeHTML(preview || "-")}</td>
-          <td class="cell-muted">${escapeHTML(sources || "-")}</td>
-        </tr>
+        <details class="config-section model-group" data-provider="${escapeHTML(group.provider)}" ${state.openModelGroups.has(group.provider) ? "open" : ""}>
+          <summary>${escapeHTML(group.label || group.provider || "unknown")} | ${formatCount(group.count)} models | ${escapeHTML(sources || "-")}${escapeHTML(probeSummary)}</summary>
+          ${probeAll}
+          <div class="table-wrap">
+            <table class="dense-table model-table">
+              <thead>
+                <tr>
+                  <th>Model</th>
+                  <th>Source API</th>
+                  <th>Last Probe</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        </details>
       `;
     })
     .join("");
+}
 
-  el.modelCards.innerHTML = `
-    <div class="table-wrap">
-      <table class="dense-table model-table">
-        <thead>
-          <tr>
-            <th>Provider</th>
-            <th>Model Count</th>
-            <th>Model IDs (sample)</th>
-            <th>Source API</th>
-          </tr>
-        </thead>
-        <tbody>${rows}</tbody>
-      </table>
-    </div>
-  `;
+function applyProbeResults(results) {
+  for (const result of results) {
+    for (const group of state.providerModels?.providerModels || []) {
+      if (group.provider !== result.provider) {
+        continue;
+      }
+      const model = (group.models || []).find((item) => item.id === result.model);
+      if (model) {
+        model.lastProbe = result;
+      }
+    }
+  }
+}
+
+async function runProbe(provider, models) {
+  if (!isOperator() || models.length === 0) {
+    return;
+  }
+  const keys = models.map((model) => `${provider}::${model}`);
+  keys.forEach((key) => state.probing.add(key));
+  renderProviderModelCards(state.providerModels);
+
+  const body = { provider, stream: el.probeStream.checked };
+  if (models.length === 1) {
+    body.model = models[0];
+  }
+  try {
+    const payload = await fetchJSON("/api/probe", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    applyProbeResults(payload.results || []);
+    const target = models.length === 1 ? models[0] : `${provider} (${formatCount(payload.total)} models)`;
+    appendLogLine(`[probe] ${target}: ${formatCount(payload.total - payload.failed)} ok, ${formatCount(payload.failed)} failed`, "status");
+  } catch (error) {
+    appendLogLine(`[probe] ${provider} failed: ${error.message}`, "error");
+  } finally {
+    keys.forEach((key) => state.probing.delete(key));
+    renderProviderModelCards(state.providerModels);
+  }
+  loadHistory();
 }
 
 function updateProviderModels(payload) {
@@ -383,112 +1036,1599 @@ function updateProviderModels(payload) {
   renderProviderModelCards(payload);
 }
 
-function trimLogs() {
-  const lines = el.logsOutput.textContent.split("\n");
-  if (lines.length <= state.maxLogLines) {
-    return;
-  }
-  const trimmed = lines.slice(lines.length - state.maxLogLines).join("\n");
-  el.logsOutput.textContent = trimmed;
-  state.logLineCount = state.maxLogLines;
-}
+function renderConfigHighlights(view) {
+  const highlights = view.highlights || {};
+  const rows = [
+    ["Port", highlights.port ?? "-"],
+    ["Auth dir", highlights.authDir || "-"],
+    ["Debug logging", highlights.debug ? "on" : "off"],
+    ["Outbound proxy", highlights.proxyUrl || "-"],
+    ["Proxy access keys", formatCount(highlights.proxyAccessKeys)],
+  ]
+    .map(
+      ([label, value]) => `
+        <tr>
+          <td>${escapeHTML(label)}</td>
+          <td class="cell-mono">${escapeHTML(String(value))}</td>
+        </tr>
+      `,
+    )
+    .join("");
 
-function appendLogLine(text, kind = "log") {
-  const span = document.createElement("span");
-  if (kind === "error") {
-    span.className = "log-error";
-  }
-  if (kind === "status") {
-    span.className = "log-status";
-  }
-  span.textContent = `${text}\n`;
-  el.logsOutput.append(span);
-  state.logLineCount += 1;
+  el.configHighlights.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
 
-  if (state.logLineCount > state.maxLogLines + 80) {
-    trimLogs();
+function renderConfigUpstreams(view) {
+  const upstreams = view.upstreams || [];
+  if (upstreams.length === 0) {
+    el.configUpstreams.innerHTML = `<p class="muted">No static upstreams configured; OAuth providers use their default endpoints.</p>`;
+    return;
   }
 
-  if (state.autoScroll) {
-    el.logsOutput.scrollTop = el.logsOutput.scrollHeight;
-  }
-}
+  const rows = upstreams
+    .map((upstream) => {
+      const aliases = (upstream.models || [])
+        .map((model) => (model.alias ? `${model.alias} → ${model.name}` : model.name))
+        .join(", ");
+      return `
+        <tr>
+          <td>${escapeHTML(upstream.name || upstream.label)}</td>
+          <td class="cell-muted">${escapeHTML(upstream.source)}</td>
+          <td class="cell-mono cell-wrap">${escapeHTML(upstream.baseUrl || "-")}</td>
+          <td>${formatCount(upstream.keyCount)}</td>
+          <td class="cell-wrap">${escapeHTML(aliases || "-")}</td>
+        </tr>
+      `;
+    })
+    .join("");
 
-function disconnectLogs() {
-  if (state.eventSource) {
-    state.eventSource.close();
-    state.eventSource = null;
-  }
+  el.configUpstreams.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>Upstream</th>
+            <th>Config Entry</th>
+            <th>Base URL</th>
+            <th>Keys</th>
+            <th>Models / Aliases</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
 }
 
-function connectLogs() {
-  if (state.resolutionBlocked) {
+function renderConfigSettings(view) {
+  const settings = view.settings || [];
+  if (settings.length === 0) {
+    el.configSettings.innerHTML = `<p class="muted">No settings found.</p>`;
     return;
   }
-  disconnectLogs();
-  const targetContainer = state.currentContainer || "api4llm";
-  const target = encodeURIComponent(targetContainer);
-  const source = new EventSource(`/api/logs/stream?container=${target}`);
-  state.eventSource = source;
-  el.logsState.textContent = `Streaming ${targetContainer}...`;
 
-  source.onmessage = (event) => {
-    try {
-      const payload = JSON.parse(event.data);
-      appendLogLine(payload.line, payload.kind);
-    } catch {
-      appendLogLine(event.data, "log");
-    }
-  };
+  const rows = settings
+    .map(
+      (setting) => `
+        <tr>
+          <td class="cell-mono">${escapeHTML(setting.path)}</td>
+          <td class="cell-mono cell-wrap">${escapeHTML(setting.value)}</td>
+          <td class="cell-muted">${escapeHTML(setting.secret ? "secret (masked)" : setting.type)}</td>
+        </tr>
+      `,
+    )
+    .join("");
 
-  source.onerror = () => {
-    el.logsState.textContent = "Disconnected. Reconnecting...";
-    disconnectLogs();
-    window.setTimeout(connectLogs, 1800);
-  };
+  el.configSettings.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>Setting</th>
+            <th>Value</th>
+            <th>Type</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
 }
 
-async function refreshData(forceModelRefresh = false) {
-  if (state.resolutionBlocked) {
-    return;
+function updateConfig(view) {
+  state.config = view;
+  state.lastConfigSyncAt = Date.now();
+
+  if (!view.readable) {
+    el.configMeta.textContent = `config unreadable: ${view.readError || view.configPath}`;
+  } else if (view.parseError) {
+    el.configMeta.textContent = `YAML error: ${view.parseError}`;
+  } else {
+    const debug = view.highlights?.debug ? "debug on" : "debug off";
+    el.configMeta.textContent = `${view.configPath} | ${formatCount((view.settings || []).length)} settings | ${debug}`;
   }
-  try {
-    const [summary, auth] = await Promise.all([fetchJSON("/api/summary"), fetchJSON("/api/auth-mechanisms")]);
-    const previousContainer = state.currentContainer;
-    const nextContainer = updateSummary(summary);
-    updateAuth(auth);
 
-    if (nextContainer) {
-      state.currentContainer = nextContainer;
-    }
+  renderConfigHighlights(view);
+  renderConfigUpstreams(view);
+  renderConfigSettings(view);
+}
 
-    if (!state.eventSource || (nextContainer && nextContainer !== previousContainer)) {
-      connectLogs();
-    }
+function formatPercent(ratio) {
+  if (ratio === null || ratio === undefined) {
+    return "-";
+  }
+  return `${(ratio * 100).toFixed(ratio >= 0.999 || ratio === 0 ? 0 : 1)}%`;
+}
 
-    const needsModelsRefresh =
-      forceModelRefresh || !state.providerModels || Date.now() - state.lastModelSyncAt >= 60 * 1000;
+function formatLatency(ms) {
+  return ms === null || ms === undefined ? "-" : `${formatCount(ms)} ms`;
+}
 
-    if (needsModelsRefresh) {
-      try {
-        const providerModels = await fetchJSON("/api/provider-models");
-        updateProviderModels(providerModels);
-      } catch (modelError) {
-        el.modelMeta.textContent = `Model sync failed: ${modelError.message}`;
-        if (!state.providerModels) {
-          el.modelCards.innerHTML = `<p class="muted">Unable to load models right now.</p>`;
-        }
+// Bars show availability per bucket; the line overlays p95 latency scaled to the busiest bucket.
+function renderHistoryChart(series, valueKey, latencyKey = "") {
+  const width = 300;
+  const height = 40;
+  const slot = width / Math.max(1, series.length);
+  const bars = series
+    .map((bucket, idx) => {
+      const value = bucket[valueKey];
+      const tooltip = `${formatDate(bucket.t)}: ${value === null ? "no data" : formatPercent(value)}${
+        latencyKey && bucket[latencyKey] !== null ? `, p95 ${formatLatency(bucket[latencyKey])}` : ""
+      }${bucket.failed ? `, ${bucket.failed} failed` : ""}`;
+      if (value === null) {
+        return `<rect class="bar-empty" x="${idx * slot + 0.5}" y="${height - 2}" width="${Math.max(1, slot - 1)}" height="2"><title>${escapeHTML(tooltip)}</title></rect>`;
+      }
+      const barHeight = Math.max(2, value * height);
+      const cls = value >= 0.99 ? "bar-ok" : value >= 0.9 ? "bar-warn" : "bar-bad";
+      return `<rect class="${cls}" x="${idx * slot + 0.5}" y="${height - barHeight}" width="${Math.max(1, slot - 1)}" height="${barHeight}"><title>${escapeHTML(tooltip)}</title></rect>`;
+    })
+    .join("");
+
+  let line = "";
+  if (latencyKey) {
+    const maxLatency = Math.max(0, ...series.map((bucket) => bucket[latencyKey] || 0));
+    if (maxLatency > 0) {
+      const points = series
+        .map((bucket, idx) =>
+          bucket[latencyKey] === null ? null : `${(idx * slot + slot / 2).toFixed(1)},${(height - (bucket[latencyKey] / maxLatency) * (height - 4) - 2).toFixed(1)}`,
+        )
+        .filter(Boolean);
+      if (points.length > 1) {
+        line = `<polyline class="latency-line" points="${points.join(" ")}" />`;
       }
     }
-  } catch (error) {
-    el.lastUpdated.textContent = `Refresh failed: ${error.message}`;
   }
+
+  return `<svg class="history-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">${bars}${line}</svg>`;
 }
 
-async function runAction(action) {
+function renderHistory(payload) {
+  const container = payload.container || {};
+  const providers = payload.providers || [];
+  const containerRow = `
+    <tr>
+      <td>Proxy container</td>
+      <td>${escapeHTML(formatPercent(container.uptime))}</td>
+      <td class="cell-muted">${formatCount(container.checks)} checks</td>
+      <td class="cell-muted">-</td>
+      <td>${renderHistoryChart(container.series || [], "uptime")}</td>
+    </tr>
+  `;
+  const providerRows = providers
+    .map((item) => {
+      const errors = Object.entries(item.errorsByStatus || {})
+        .map(([status, count]) => `${status}: ${count}`)
+        .join(", ");
+      const lastFailure = item.lastFailure
+        ? `last: ${formatDate(item.lastFailure.at)} ${item.lastFailure.model} ${item.lastFailure.error || ""}`
+        : "";
+      return `
+        <tr>
+          <td>${escapeHTML(item.label || item.provider)}</td>
+          <td>${escapeHTML(formatPercent(item.availability))}<div class="cell-muted">${formatCount(item.total)} probes</div></td>
+          <td class="cell-mono">${escapeHTML(`${formatLatency(item.p50)} / ${formatLatency(item.p95)} / ${formatLatency(item.p99)}`)}</td>
+          <td class="${item.failed ? "" : "cell-muted"}" title="${escapeHTML(lastFailure)}">${formatCount(item.failed)}${errors ? ` <span class="cell-muted">(${escapeHTML(errors)})</span>` : ""}</td>
+          <td>${renderHistoryChart(item.series || [], "availability", "p95")}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const empty =
+    providers.length === 0
+      ? `<p class="muted">No probe history in this range. Run probes from Provider Models or set DIAG_PROBE_INTERVAL_MINUTES.</p>`
+      : "";
+  el.historyRows.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>Target</th>
+            <th>Availability</th>
+            <th>Latency p50 / p95 / p99</th>
+            <th>Errors</th>
+            <th>${escapeHTML(payload.range)} trend</th>
+          </tr>
+        </thead>
+        <tbody>${containerRow}${providerRows}</tbody>
+      </table>
+    </div>
+    ${empty}
+  `;
+}
+
+function updateHistory(payload) {
+  state.history = payload;
+  state.lastHistorySyncAt = Date.now();
+  const schedule = payload.schedule || {};
+  const probeText = schedule.probeIntervalMinutes
+    ? `probes every ${schedule.probeIntervalMinutes} min${schedule.nextProbeRunAt ? `, next ${formatDate(schedule.nextProbeRunAt)}` : ""}`
+    : "scheduled probes off";
+  const checkText = schedule.healthCheckSeconds ? `checks every ${schedule.healthCheckSeconds}s` : "container checks off";
+  const errors = Object.values(schedule.errors || {}).filter(Boolean);
+  el.historyMeta.textContent = `${checkText} | ${probeText} | kept ${formatCount(schedule.retentionDays)}d${errors.length ? ` | error: ${errors[0]}` : ""}`;
+  renderHistory(payload);
+}
+
+async function loadHistory() {
+  try {
+    updateHistory(await fetchJSON(`/api/history?range=${encodeURIComponent(state.historyRange)}`));
+  } catch (error) {
+    el.historyMeta.textContent = `History load failed: ${error.message}`;
+  }
+}
+
+function alertChipClass(severity) {
+  if (severity === "critical") {
+    return "chip bad";
+  }
+  if (severity === "warning") {
+    return "chip warn";
+  }
+  return "chip ok";
+}
+
+function renderAlerts(payload) {
+  const active = (payload.alerts || []).filter((item) => item.firing || item.pending);
+  if (active.length === 0) {
+    el.alertRows.innerHTML = `<p class="muted">All clear. ${formatCount((payload.alerts || []).length)} conditions watched.</p>`;
+  } else {
+    const rows = active
+      .map((item) => {
+        const pending = item.pending ? `<div class="cell-muted">${escapeHTML(`${item.pending.severity} pending (${item.pending.count}/${payload.confirmations})`)}</div>` : "";
+        const notified = item.suppressed ? "held (cooldown)" : item.lastNotifiedAt ? formatDate(item.lastNotifiedAt) : "-";
+        return `
+          <tr>
+            <td>${escapeHTML(item.title || item.key)}</td>
+            <td><span class="${alertChipClass(item.severity)}">${escapeHTML(item.severity)}</span>${pending}</td>
+            <td>${escapeHTML(item.since ? formatDate(item.since) : "-")}</td>
+            <td class="cell-muted">${escapeHTML(item.message || "-")}</td>
+            <td class="cell-muted">${escapeHTML(notified)}</td>
+          </tr>
+        `;
+      })
+      .join("");
+    el.alertRows.innerHTML = `
+      <div class="table-wrap">
+        <table class="dense-table">
+          <thead>
+            <tr>
+              <th>Alert</th>
+              <th>Severity</th>
+              <th>Since</th>
+              <th>Details</th>
+              <th>Notified</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  const notifications = payload.notifications || [];
+  el.alertNotificationRows.innerHTML =
+    notifications.length === 0
+      ? `<p class="muted">No notifications sent yet.</p>`
+      : `
+        <div class="table-wrap">
+          <table class="dense-table">
+            <thead>
+              <tr>
+                <th>Sent</th>
+                <th>Status</th>
+                <th>Alert</th>
+                <th>Delivery</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${notifications
+                .map((item) => {
+                  const deliveries = item.deliveries || [];
+                  const failed = deliveries.filter((delivery) => !delivery.ok);
+                  const errors = failed.map((delivery) => `${delivery.host}: ${delivery.error}`).join("\n");
+                  const delivery =
+                    deliveries.length === 0 ? "no webhooks" : failed.length ? `${failed.length}/${deliveries.length} failed` : `${deliveries.length} ok`;
+                  return `
+                    <tr>
+                      <td>${escapeHTML(formatDate(item.at))}</td>
+                      <td><span class="${item.status === "firing" ? alertChipClass(item.severity) : "chip configured"}">${escapeHTML(item.status)}</span></td>
+                      <td>${escapeHTML(item.title)}</td>
+                      <td class="${failed.length ? "" : "cell-muted"}" title="${escapeHTML(errors)}">${escapeHTML(delivery)}</td>
+                    </tr>
+                  `;
+                })
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+      `;
+}
+
+function updateAlerts(payload) {
+  state.alerts = payload;
+  const firing = (payload.alerts || []).filter((item) => item.firing).length;
+  const target = payload.enabled
+    ? `${formatCount(payload.webhooks.length)} webhooks | every ${payload.intervalSeconds}s | cooldown ${payload.cooldownMinutes} min`
+    : "no webhooks configured (DIAG_ALERT_WEBHOOKS)";
+  el.alertsMeta.textContent = `${formatCount(firing)} firing | ${target}${payload.lastError ? ` | error: ${payload.lastError}` : ""}`;
+  el.alertTest.disabled = !payload.enabled;
+  renderAlerts(payload);
+}
+
+function eventChipClass(event) {
+  if (event.action === "die") {
+    return event.crash ? "chip bad" : "chip stale";
+  }
+  if (event.action === "oom") {
+    return "chip bad";
+  }
+  if (event.action === "start" || event.action === "restart" || event.action === "unpause") {
+    return "chip ok";
+  }
+  if (event.action === "health_status") {
+    return event.detail === "healthy" ? "chip ok" : "chip warn";
+  }
+  return "chip unknown";
+}
+
+function describeContainerEvent(event) {
+  if (event.action === "die") {
+    const parts = [`exit code ${event.exitCode ?? "?"}`];
+    if (event.oom) {
+      parts.push("killed: out of memory");
+    } else if (event.intentional) {
+      parts.push("stopped on request");
+    } else if (event.crash) {
+      parts.push("crashed");
+    }
+    return parts.join(" | ");
+  }
+  if (event.action === "kill") {
+    return event.signal ? `signal ${event.signal}` : "";
+  }
+  if (event.action === "start" || event.action === "create") {
+    return event.image;
+  }
+  return event.detail || "";
+}
+
+function renderContainerEvents(payload) {
+  const events = payload.events || [];
+  const loop = payload.crashLoop || {};
+  const collector = payload.collector || {};
+  const source =
+    collector.state === "disabled"
+      ? "collector disabled (DIAG_EVENTS=false)"
+      : collector.state === "process"
+        ? "process supervisor"
+        : `docker events: ${collector.state}${collector.error && collector.state !== "running" ? ` (${collector.error})` : ""}`;
+  el.eventsMeta.textContent = `${formatCount(loop.crashes || 0)} crashes in ${loop.windowMinutes || 10} min | ${source}`;
+
+  el.crashLoopBanner.hidden = !loop.looping;
+  if (loop.looping) {
+    el.crashLoopBanner.textContent =
+      `Crash loop: ${loop.crashes} crashes in the last ${loop.windowMinutes} minutes ` +
+      `(last at ${formatDate(loop.lastCrashAt)}, exit code ${loop.lastExitCode ?? "?"}). Open the logs of the latest crash below.`;
+  }
+
+  if (events.length === 0) {
+    el.eventRows.innerHTML = `<p class="muted">No container events recorded yet.</p>`;
+    return;
+  }
+  const rows = events
+    .map((event) => {
+      const logsButton =
+        event.logLines > 0 || event.logError
+          ? `<button class="ghost" data-event-logs="${escapeHTML(event.id)}">Logs${event.logLines ? ` (${formatCount(event.logLines)})` : ""}</button>`
+          : "";
+      return `
+        <tr${event.crash ? ` class="event-crash"` : ""}>
+          <td>${escapeHTML(formatDate(event.at))}</td>
+          <td><span class="${eventChipClass(event)}">${escapeHTML(event.action.replace("_", " "))}</span></td>
+          <td class="cell-wrap">${escapeHTML(describeContainerEvent(event))}</td>
+          <td class="cell-mono">${escapeHTML(event.containerId)}</td>
+          <td>${logsButton}</td>
+        </tr>
+      `;
+    })
+    .join("");
+  el.eventRows.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Event</th>
+            <th>Details</th>
+            <th>Container</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function loadContainerEvents() {
+  try {
+    renderContainerEvents(await fetchJSON("/api/container-events"));
+  } catch (error) {
+    el.eventsMeta.textContent = `Events load failed: ${error.message}`;
+  }
+}
+
+async function showCrashLogs(id) {
+  el.crashLogs.hidden = false;
+  el.crashLogsOutput.textContent = "Loading...";
+  try {
+    const payload = await fetchJSON(`/api/container-events/${encodeURIComponent(id)}/logs`);
+    el.crashLogsTitle.textContent = `Logs Before ${payload.event.crash ? "Crash" : "Exit"} at ${formatDate(payload.event.at)}`;
+    el.crashLogsOutput.textContent = payload.logs.length > 0 ? payload.logs.join("\n") : `No logs captured${payload.error ? `: ${payload.error}` : "."}`;
+    el.crashLogsOutput.scrollTop = el.crashLogsOutput.scrollHeight;
+  } catch (error) {
+    el.crashLogsOutput.textContent = `Logs load failed: ${error.message}`;
+  }
+}
+
+function renderProblems(payload) {
+  const problems = payload.problems || [];
+  const critical = problems.filter((item) => item.severity === "critical").length;
+  const source = payload.collector === "disabled" ? "probes only (DIAG_METRICS=0)" : `logs: ${payload.collector}`;
+  el.problemsMeta.textContent = `${formatCount(problems.length)} problems | ${formatCount(critical)} critical | last 24h | ${source}`;
+  if (problems.length === 0) {
+    el.problemRows.innerHTML = `<p class="muted">No known failure signatures seen.</p>`;
+    return;
+  }
+  const operator = isOperator();
+  const rows = problems
+    .map((item) => {
+      const scope = [item.provider, ...(item.accounts || []), ...(item.models || [])].filter(Boolean).join(", ");
+      return `
+        <tr>
+          <td>
+            <strong>${escapeHTML(item.title)}</strong>
+            <div class="cell-muted">${escapeHTML(item.category)}${scope ? ` | ${escapeHTML(scope)}` : ""}</div>
+          </td>
+          <td><span class="${item.severity === "info" ? "chip configured" : alertChipClass(item.severity)}">${escapeHTML(item.severity)}</span></td>
+          <td>${formatCount(item.count)}</td>
+          <td>${escapeHTML(formatDate(item.lastSeenAt))}</td>
+          <td class="cell-wrap">
+            <p class="problem-fix">${escapeHTML(item.remediation)}</p>
+            <div class="cell-muted cell-mono" title="${escapeHTML(item.sample)}">${escapeHTML(truncateText(item.sample, 120))}</div>
+          </td>
+          <td>${operator ? `<button class="ghost" data-problem-dismiss="${escapeHTML(item.key)}">Dismiss</button>` : ""}</td>
+        </tr>
+      `;
+    })
+    .join("");
+  el.problemRows.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>Problem</th>
+            <th>Severity</th>
+            <th>Count</th>
+            <th>Last Seen</th>
+            <th>What To Do</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function loadProblems() {
+  try {
+    renderProblems(await fetchJSON("/api/problems"));
+  } catch (error) {
+    el.problemsMeta.textContent = `Problems load failed: ${error.message}`;
+  }
+}
+
+async function dismissProblem(key) {
+  try {
+    await fetchJSON(`/api/problems/${encodeURIComponent(key)}/dismiss`, { method: "POST" });
+  } catch (error) {
+    appendLogLine(`[problems] dismiss failed: ${error.message}`, "error");
+  }
+  await loadProblems();
+}
+
+async function loadAlerts() {
+  try {
+    updateAlerts(await fetchJSON("/api/alerts"));
+  } catch (error) {
+    el.alertsMeta.textContent = `Alerts load failed: ${error.message}`;
+  }
+}
+
+async function sendTestAlert() {
+  el.alertTest.disabled = true;
+  try {
+    const result = await fetchJSON("/api/alerts/test", { method: "POST" });
+    appendLogLine(`[alerts] test alert delivered to ${result.deliveries.length} webhook(s)`, "status");
+  } catch (error) {
+    el.alertsMeta.textContent = `Test alert failed: ${error.message}`;
+    appendLogLine(`[alerts] test alert failed: ${error.message}`, "error");
+  } finally {
+    el.alertTest.disabled = false;
+  }
+  await loadAlerts();
+}
+
+// Stacked bars: successful requests in green, 4xx/5xx in red, scaled to the busiest minute.
+function renderTrafficChart(series) {
+  const width = 300;
+  const height = 48;
+  const slot = width / Math.max(1, series.length);
+  const peak = Math.max(1, ...series.map((bucket) => bucket.requests));
+  const bars = series
+    .map((bucket, idx) => {
+      const x = idx * slot + 0.5;
+      const barWidth = Math.max(1, slot - 1);
+      const tooltip = `${formatDate(bucket.t)}: ${bucket.requests} requests, ${bucket.errors} errors, p95 ${formatLatency(bucket.p95)}`;
+      if (bucket.requests === 0) {
+        return `<rect class="bar-empty" x="${x}" y="${height - 2}" width="${barWidth}" height="2"><title>${escapeHTML(tooltip)}</title></rect>`;
+      }
+      const total = (bucket.requests / peak) * height;
+      const failed = (bucket.errors / peak) * height;
+      return `
+        <g><title>${escapeHTML(tooltip)}</title>
+          <rect class="bar-ok" x="${x}" y="${height - total}" width="${barWidth}" height="${total - failed}" />
+          <rect class="bar-bad" x="${x}" y="${height - failed}" width="${barWidth}" height="${failed}" />
+        </g>
+      `;
+    })
+    .join("");
+  return `<svg class="history-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">${bars}</svg>`;
+}
+
+function renderTrafficGroup(title, items, limit = 10) {
+  if (items.length === 0) {
+    return "";
+  }
+  const rows = items
+    .slice(0, limit)
+    .map(
+      (item) => `
+        <tr>
+          <td class="cell-mono cell-wrap">${escapeHTML(item.name)}</td>
+          <td>${formatCount(item.requests)}</td>
+          <td>${escapeHTML(String(item.requestsPerMin))}</td>
+          <td>${escapeHTML(formatPercent(item.share))}</td>
+          <td class="${item.errors ? "" : "cell-muted"}">${escapeHTML(formatPercent(item.errorRate))}${item.errors ? ` <span class="cell-muted">(${formatCount(item.errors4xx)} 4xx, ${formatCount(item.errors5xx)} 5xx)</span>` : ""}</td>
+          <td class="cell-mono">${escapeHTML(`${formatLatency(item.p50)} / ${formatLatency(item.p95)}`)}</td>
+        </tr>
+      `,
+    )
+    .join("");
+  return `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>${escapeHTML(title)}</th>
+            <th>Requests</th>
+            <th>Req/min</th>
+            <th>Share</th>
+            <th>Error Rate</th>
+            <th>p50 / p95</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function updateMetrics(payload) {
+  state.metrics = payload;
+  const collector = payload.collector || {};
+  const totals = payload.totals || {};
+  const collectorText =
+    collector.state === "running"
+      ? `collecting from ${collector.container}`
+      : collector.state === "disabled"
+        ? "collector disabled (DIAG_METRICS=false)"
+        : `collector ${collector.state}${collector.error ? `: ${collector.error}` : ""}`;
+  el.trafficMeta.textContent = `${collectorText} | since ${formatDate(payload.startedAt)}`;
+
+  el.trafficTotals.innerHTML = [
+    ["Requests/min", String(totals.requestsPerMin ?? 0)],
+    ["Error rate", formatPercent(totals.errorRate)],
+    ["p50 latency", formatLatency(totals.p50)],
+    ["p95 latency", formatLatency(totals.p95)],
+  ]
+    .map(([label, value]) => `<div class="traffic-stat"><strong>${escapeHTML(value)}</strong><span>${escapeHTML(label)}</span></div>`)
+    .join("");
+  el.trafficChart.innerHTML = renderTrafficChart(payload.series || []);
+
+  if (!totals.requests) {
+    el.trafficRows.innerHTML = `<p class="muted">No proxy requests seen in the last ${formatCount(payload.windowMinutes)} minutes.</p>`;
+    return;
+  }
+  el.trafficRows.innerHTML = [
+    renderTrafficGroup("Provider", payload.providers || []),
+    renderTrafficGroup("Model", payload.models || []),
+    renderTrafficGroup("Endpoint", payload.endpoints || []),
+  ].join("");
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return "-";
+  }
+  const units = ["B", "KiB", "MiB", "GiB", "TiB"];
+  let value = Math.abs(bytes);
+  let idx = 0;
+  while (value >= 1024 && idx < units.length - 1) {
+    value /= 1024;
+    idx += 1;
+  }
+  return `${bytes < 0 ? "-" : ""}${value.toFixed(idx === 0 || value >= 100 ? 0 : 1)} ${units[idx]}`;
+}
+
+// One or two series as lines, scaled to the larger of their peak and `floor`.
+function renderStatsChart(samples, keys, { floor = 0, format = String } = {}) {
+  const width = 300;
+  const height = 48;
+  const peak = Math.max(floor, ...samples.flatMap((sample) => keys.map((key) => sample[key] || 0)));
+  if (samples.length < 2 || peak <= 0) {
+    return `<svg class="history-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"><rect class="bar-empty" x="0" y="${height - 2}" width="${width}" height="2" /></svg>`;
+  }
+  const step = width / (samples.length - 1);
+  const lines = keys
+    .map((key, keyIdx) => {
+      const points = samples
+        .map((sample, idx) => (sample[key] === null ? null : `${(idx * step).toFixed(1)},${(height - (sample[key] / peak) * (height - 4) - 2).toFixed(1)}`))
+        .filter(Boolean);
+      return points.length > 1 ? `<polyline class="stats-line${keyIdx > 0 ? " secondary" : ""}" points="${points.join(" ")}" />` : "";
+    })
+    .join("");
+  return `<svg class="history-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"><title>${escapeHTML(`peak ${format(peak)}`)}</title>${lines}</svg>`;
+}
+
+function updateContainerStats(payload) {
+  const collector = payload.collector || {};
+  const latest = payload.latest;
+  const samples = payload.samples || [];
+  const last = samples[samples.length - 1] || {};
+  const collectorText =
+    collector.state === "running"
+      ? `docker stats for ${collector.container}`
+      : collector.state === "disabled"
+        ? "collector disabled (DIAG_STATS=false)"
+        : collector.state === "unsupported"
+          ? "not available in process mode"
+        : `collector ${collector.state}${collector.error ? `: ${collector.error}` : ""}`;
+  el.resourcesMeta.textContent = `${collectorText} | sample every ${payload.sampleSeconds}s`;
+
+  const trend = payload.memoryTrend;
+  const trendLabel = trend ? `${trend.bytesPerHour >= 0 ? "+" : ""}${formatBytes(trend.bytesPerHour)}/h` : "-";
+  el.resourceTotals.innerHTML = [
+    ["CPU", latest && latest.cpuPercent !== null ? `${latest.cpuPercent.toFixed(1)}%` : "-"],
+    ["Memory", latest ? `${formatBytes(latest.memBytes)} (${latest.memPercent ?? "-"}%)` : "-"],
+    ["Memory trend", trendLabel, trend ? `least-squares slope over the last ${trend.spanMinutes} min` : "needs 10 min of samples"],
+    ["PIDs", latest?.pids ?? "-"],
+    ["Net in / out", `${formatBytes(last.netRxRate)}/s / ${formatBytes(last.netTxRate)}/s`],
+    ["Disk read / write", `${formatBytes(last.blockReadRate)}/s / ${formatBytes(last.blockWriteRate)}/s`],
+  ]
+    .map(([label, value, title]) => `<div class="traffic-stat"${title ? ` title="${escapeHTML(title)}"` : ""}><strong>${escapeHTML(String(value))}</strong><span>${escapeHTML(label)}</span></div>`)
+    .join("");
+
+  const limit = latest?.memLimitBytes || 0;
+  el.resourceCharts.innerHTML = [
+    ["CPU %", renderStatsChart(samples, ["cpuPercent"], { floor: 5, format: (value) => `${value.toFixed(1)}%` })],
+    [
+      `Memory (limit ${formatBytes(limit || null)})`,
+      renderStatsChart(samples, ["memBytes"], { floor: (limit || 0) * 0.1, format: formatBytes }),
+    ],
+    ["Network in / out per second", renderStatsChart(samples, ["netRxRate", "netTxRate"], { format: (value) => `${formatBytes(value)}/s` })],
+    ["Disk read / write per second", renderStatsChart(samples, ["blockReadRate", "blockWriteRate"], { format: (value) => `${formatBytes(value)}/s` })],
+  ]
+    .map(([title, chart]) => `<div><h4>${escapeHTML(title)}</h4>${chart}</div>`)
+    .join("");
+}
+
+async function loadContainerStats() {
+  try {
+    updateContainerStats(await fetchJSON(`/api/container-stats?window=${state.statsWindow}`));
+  } catch (error) {
+    el.resourcesMeta.textContent = `Stats load failed: ${error.message}`;
+  }
+}
+
+async function loadMetrics() {
+  try {
+    updateMetrics(await fetchJSON(`/api/metrics/summary?window=${state.metricsWindow}`));
+  } catch (error) {
+    el.trafficMeta.textContent = `Metrics load failed: ${error.message}`;
+  }
+}
+
+function renderAccessKeys(payload) {
+  const keys = payload.keys || [];
+  const operator = isOperator();
+  if (keys.length === 0) {
+    el.keyRows.innerHTML = `<p class="muted">No proxy access keys. The proxy accepts unauthenticated requests.</p>`;
+  } else {
+    const rows = keys
+      .map((key) => {
+        const label = key.label || "(unlabeled)";
+        const badge = key.usedByDiagnostics ? ` <span class="chip configured">dashboard</span>` : "";
+        const actions = operator
+          ? `
+            <button class="ghost" data-key-edit="${escapeHTML(key.id)}">Edit</button>
+            <button class="danger" data-key-revoke="${escapeHTML(key.id)}">Revoke</button>
+          `
+          : "";
+        return `
+          <tr>
+            <td>${escapeHTML(label)}${badge}</td>
+            <td>${escapeHTML(key.owner || "-")}</td>
+            <td class="cell-mono">${escapeHTML(key.masked)}</td>
+            <td>${escapeHTML(formatDate(key.createdAt))}</td>
+            <td class="cell-muted">${escapeHTML(key.createdBy || "-")}</td>
+            <td>${actions}</td>
+          </tr>
+        `;
+      })
+      .join("");
+    el.keyRows.innerHTML = `
+      <div class="table-wrap">
+        <table class="dense-table">
+          <thead>
+            <tr>
+              <th>Label</th>
+              <th>Owner</th>
+              <th>Key</th>
+              <th>Created</th>
+              <th>Created By</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  const revoked = payload.revoked || [];
+  el.revokedKeyRows.innerHTML =
+    revoked.length === 0
+      ? `<p class="muted">No keys revoked from the dashboard yet.</p>`
+      : `
+        <div class="table-wrap">
+          <table class="dense-table">
+            <thead>
+              <tr>
+                <th>Label</th>
+                <th>Owner</th>
+                <th>Created</th>
+                <th>Revoked</th>
+                <th>Revoked By</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${revoked
+                .map(
+                  (item) => `
+                    <tr>
+                      <td>${escapeHTML(item.label || "(unlabeled)")}</td>
+                      <td>${escapeHTML(item.owner || "-")}</td>
+                      <td>${escapeHTML(formatDate(item.createdAt))}</td>
+                      <td>${escapeHTML(formatDate(item.revokedAt))}</td>
+                      <td class="cell-muted">${escapeHTML(item.revokedBy || "-")}</td>
+                    </tr>
+                  `,
+                )
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+      `;
+}
+
+function updateAccessKeys(payload) {
+  state.accessKeys = payload;
+  const unlabeled = (payload.keys || []).filter((key) => !key.label).length;
+  el.keysMeta.textContent = payload.error
+    ? `Unavailable: ${payload.error}`
+    : `${formatCount((payload.keys || []).length)} keys | ${formatCount(unlabeled)} unlabeled`;
+  renderAccessKeys(payload);
+}
+
+async function loadAccessKeys() {
+  try {
+    updateAccessKeys(await fetchJSON("/api/access-keys"));
+  } catch (error) {
+    el.keysMeta.textContent = `Key list failed: ${error.message}`;
+  }
+}
+
+async function createAccessKey() {
+  try {
+    const result = await fetchJSON("/api/access-keys", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ label: el.keyLabel.value, owner: el.keyOwner.value, restart: el.keyRestart.checked }),
+    });
+    el.keyRevealValue.textContent = result.key;
+    el.keyReveal.hidden = false;
+    el.keyLabel.value = "";
+    el.keyOwner.value = "";
+    appendLogLine(`[keys] generated key "${result.label}" (backup ${result.backup || "none"})${describeRestart(result)}`, "status");
+    if (result.warning) {
+      appendLogLine(`[keys] ${result.warning}`, "error");
+    }
+    await loadAccessKeys();
+  } catch (error) {
+    el.keysMeta.textContent = `Generate failed: ${error.message}`;
+  }
+}
+
+async function editAccessKey(id) {
+  const key = (state.accessKeys?.keys || []).find((item) => item.id === id);
+  if (!key) {
+    return;
+  }
+  const label = window.prompt("Label", key.label);
+  if (label === null) {
+    return;
+  }
+  const owner = window.prompt("Owner", key.owner);
+  if (owner === null) {
+    return;
+  }
+  try {
+    await fetchJSON(`/api/access-keys/${id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ label, owner }),
+    });
+    await loadAccessKeys();
+  } catch (error) {
+    el.keysMeta.textContent = `Update failed: ${error.message}`;
+  }
+}
+
+async function revokeAccessKey(id) {
+  const key = (state.accessKeys?.keys || []).find((item) => item.id === id);
+  if (!key) {
+    return;
+  }
+  const warning = key.usedByDiagnostics ? "\n\nThe dashboard itself uses this key (DIAG_API_KEY); model listing will stop working." : "";
+  if (!window.confirm(`Revoke "${key.label || key.masked}"? Clients using it lose access.${warning}`)) {
+    return;
+  }
+  try {
+    const query = el.keyRestart.checked ? "?restart=true" : "";
+    const result = await fetchJSON(`/api/access-keys/${id}${query}`, { method: "DELETE" });
+    appendLogLine(`[keys] revoked "${key.label || key.masked}" (backup ${result.backup || "none"})${describeRestart(result)}`, "status");
+    if (result.warning) {
+      appendLogLine(`[keys] ${result.warning}`, "error");
+    }
+    await loadAccessKeys();
+  } catch (error) {
+    el.keysMeta.textContent = `Revoke failed: ${error.message}`;
+  }
+}
+
+function renderDiff(diff) {
+  if (!diff?.changed) {
+    el.editorDiff.textContent = "No changes against the current config.yaml.";
+    return;
+  }
+  const prefix = { add: "+", remove: "-", equal: " " };
+  const kindClass = { add: "diff-add", remove: "diff-remove", equal: "" };
+  el.editorDiff.innerHTML = (diff.hunks || [])
+    .map((hunk) => {
+      const lines = hunk.lines
+        .map((line) => `<span class="${kindClass[line.type]}">${escapeHTML(`${prefix[line.type]}${line.text}`)}</span>`)
+        .join("\n");
+      return `<span class="diff-hunk">${escapeHTML(hunk.header)}</span>\n${lines}`;
+    })
+    .join("\n");
+}
+
+function renderIssues(target, result) {
+  const items = [
+    ...(result.errors || []).map((issue) => ({ ...issue, level: "error" })),
+    ...(result.warnings || []).map((issue) => ({ ...issue, level: "warning" })),
+  ];
+  if (items.length === 0) {
+    target.innerHTML = `<p class="chip ok">Valid</p>`;
+    return;
+  }
+  target.innerHTML = `
+    <ul>
+      ${items
+        .map((issue) => {
+          const where = issue.path ? `${issue.path}: ` : "";
+          return `<li class="issue-${issue.level}">${escapeHTML(`${where}${issue.message}`)}</li>`;
+        })
+        .join("")}
+    </ul>
+  `;
+}
+
+function renderBackups(payload) {
+  const backups = payload.backups || [];
+  if (backups.length === 0) {
+    el.backupRows.innerHTML = `<p class="muted">No backups yet. Every save keeps the previous file in ${escapeHTML(payload.backupDir || "the state dir")}.</p>`;
+    return;
+  }
+  const rows = backups
+    .map(
+      (backup) => `
+        <tr>
+          <td class="cell-mono">${escapeHTML(backup.name)}</td>
+          <td>${escapeHTML(formatDate(backup.createdAt))}</td>
+          <td>${formatCount(backup.size)} B</td>
+          <td>
+            <button class="ghost" data-backup-preview="${escapeHTML(backup.name)}">Preview</button>
+            <button data-backup-restore="${escapeHTML(backup.name)}">Restore</button>
+          </td>
+        </tr>
+      `,
+    )
+    .join("");
+  el.backupRows.innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <thead>
+          <tr>
+            <th>Backup</th>
+            <th>Saved</th>
+            <th>Size</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function loadBackups() {
+  try {
+    renderBackups(await fetchJSON("/api/config/backups"));
+  } catch (error) {
+    el.backupRows.innerHTML = `<p class="muted">Unable to list backups: ${escapeHTML(error.message)}</p>`;
+  }
+}
+
+async function loadEditor() {
+  if (!isOperator()) {
+    return;
+  }
+  try {
+    const raw = await fetchJSON("/api/config/raw");
+    el.configEditor.value = raw.text;
+    state.editorBaseHash = raw.hash;
+    state.editorLoaded = true;
+    el.editorMeta.textContent = `${raw.path} | modified ${formatDate(raw.modifiedAt)}`;
+    el.editorIssues.innerHTML = "";
+    el.editorDiff.textContent = "Validate to see the diff against the current file.";
+  } catch (error) {
+    el.editorMeta.textContent = `Load failed: ${error.message}`;
+  }
+  await loadBackups();
+}
+
+async function validateEditor() {
+  const result = await fetchJSON("/api/config/validate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text: el.configEditor.value }),
+  });
+  renderIssues(el.editorIssues, result);
+  renderDiff(result.diff);
+  if (result.baseHash && result.baseHash !== state.editorBaseHash) {
+    el.editorMeta.textContent = "config.yaml changed on disk since it was loaded; Reload before saving.";
+  }
+  return result;
+}
+
+function describeRestart(result) {
+  if (!result.restart) {
+    return "";
+  }
+  return result.restart.ok ? " and restarted the proxy" : `, but restart failed: ${result.restart.stderr || result.restart.error || "unknown error"}`;
+}
+
+async function saveEditor() {
+  try {
+    const preview = await validateEditor();
+    if (!preview.ok) {
+      return;
+    }
+    if (!preview.diff?.changed) {
+      el.editorMeta.textContent = "Nothing to save.";
+      return;
+    }
+    const restart = el.editorRestart.checked;
+    const summary = `Save config.yaml (+${preview.diff.added} / -${preview.diff.removed} lines)${restart ? " and restart the proxy" : ""}?`;
+    if (!window.confirm(summary)) {
+      return;
+    }
+    const result = await fetchJSON("/api/config/raw", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: el.configEditor.value, baseHash: state.editorBaseHash, restart }),
+    });
+    appendLogLine(`[config] saved (backup ${result.backup || "none"})${describeRestart(result)}`, "status");
+    await loadEditor();
+    await refreshData(true);
+  } catch (error) {
+    el.editorMeta.textContent = `Save failed: ${error.message}`;
+  }
+}
+
+async function previewBackup(name) {
+  try {
+    const backup = await fetchJSON(`/api/config/backups/${encodeURIComponent(name)}`);
+    el.editorIssues.innerHTML = `<p class="muted">Diff from the current file to ${escapeHTML(name)}</p>`;
+    renderDiff(backup.diff);
+  } catch (error) {
+    el.editorMeta.textContent = `Preview failed: ${error.message}`;
+  }
+}
+
+async function restoreBackup(name) {
+  const restart = el.editorRestart.checked;
+  if (!window.confirm(`Restore ${name}${restart ? " and restart the proxy" : ""}? The current file is backed up first.`)) {
+    return;
+  }
+  try {
+    const result = await fetchJSON(`/api/config/backups/${encodeURIComponent(name)}/restore`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ restart }),
+    });
+    appendLogLine(`[config] restored ${name} (backup ${result.backup || "none"})${describeRestart(result)}`, "status");
+    await loadEditor();
+    await refreshData(true);
+  } catch (error) {
+    el.editorMeta.textContent = `Restore failed: ${error.message}`;
+  }
+}
+
+function trimLogs() {
+  while (state.logLineCount > state.maxLogLines && el.logsOutput.firstChild) {
+    el.logsOutput.firstChild.remove();
+    state.logLineCount -= 1;
+  }
+}
+
+function statusClass(status) {
+  return typeof status === "number" ? `${Math.floor(status / 100)}xx` : "";
+}
+
+function logLineVisible(span) {
+  const fields = logLineFields.get(span);
+  if (!fields) {
+    // Dashboard status messages are not log lines; filters never hide them.
+    return true;
+  }
+  if (state.logLevelFilter !== "all") {
+    const rank = LOG_LEVEL_RANK[fields.level] ?? LOG_LEVEL_RANK.info;
+    if (rank < LOG_LEVEL_RANK[state.logLevelFilter]) {
+      return false;
+    }
+  }
+  if (state.logStatusFilter !== "all") {
+    const bucket = statusClass(fields.status);
+    if (state.logStatusFilter === "failed" ? bucket !== "4xx" && bucket !== "5xx" : bucket !== state.logStatusFilter) {
+      return false;
+    }
+  }
+  if (state.logTextFilter && !state.logTextFilter.test(span.textContent)) {
+    return false;
+  }
+  return true;
+}
+
+// An unfinished or invalid pattern leaves the view unfiltered rather than empty.
+function updateLogTextFilter() {
+  const value = el.logTextFilter.value.trim();
+  let pattern = null;
+  if (value) {
+    try {
+      pattern = new RegExp(value, "i");
+    } catch {
+      pattern = null;
+    }
+  }
+  el.logTextFilter.classList.toggle("invalid", Boolean(value) && !pattern);
+  state.logTextFilter = pattern;
+  applyLogFilters();
+}
+
+function applyLogFilters() {
+  for (const span of el.logsOutput.children) {
+    span.hidden = !logLineVisible(span);
+  }
+  if (state.autoScroll) {
+    el.logsOutput.scrollTop = el.logsOutput.scrollHeight;
+  }
+}
+
+// The live stream and the search results each have their own detail box.
+const logDetailViews = {
+  live: { detail: () => el.logDetail, body: () => el.logDetailBody, selected: null },
+  search: { detail: () => el.logSearchDetail, body: () => el.logSearchDetailBody, selected: null },
+};
+
+function showLogDetail(span, viewName = "live") {
+  const fields = logLineFields.get(span);
+  const view = logDetailViews[viewName];
+  if (!fields) {
+    return;
+  }
+  view.selected?.classList.remove("selected");
+  view.selected = span;
+  span.classList.add("selected");
+
+  const rows = [
+    ["Time", fields.time || fields.dockerTime],
+    ["Level", fields.level],
+    ["Request ID", fields.requestId],
+    ["Method", fields.method],
+    ["Path", fields.path],
+    ["Status", fields.status],
+    ["Latency", fields.latencyMs !== null ? `${fields.latencyMs} ms` : ""],
+    ["Model", fields.model],
+    ["Provider", fields.provider],
+    ["Client IP", fields.clientIP],
+    ["Source", fields.source],
+    ["Message", fields.message],
+    ["Problem", fields.problem ? `${fields.problem.title} (${fields.problem.category}, ${fields.problem.severity})` : ""],
+    ["What to do", fields.problem?.remediation],
+  ]
+    .filter(([, value]) => value !== "" && value !== null && value !== undefined)
+    .map(
+      ([label, value]) => `
+        <tr>
+          <td>${escapeHTML(label)}</td>
+          <td class="cell-mono cell-wrap">${escapeHTML(String(value))}</td>
+        </tr>
+      `,
+    )
+    .join("");
+
+  view.body().innerHTML = `
+    <div class="table-wrap">
+      <table class="dense-table">
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <pre>${escapeHTML(span.textContent.trimEnd())}</pre>
+  `;
+  view.detail().hidden = false;
+}
+
+function closeLogDetail(viewName = "live") {
+  const view = logDetailViews[viewName];
+  view.selected?.classList.remove("selected");
+  view.selected = null;
+  view.detail().hidden = true;
+}
+
+function createLogSpan(text, kind = "log", fields = null) {
+  const span = document.createElement("span");
+  if (kind === "error") {
+    span.className = "log-error";
+  }
+  if (kind === "status") {
+    span.className = "log-status";
+  }
+  if (fields) {
+    logLineFields.set(span, fields);
+    const classes = ["log-line"];
+    if (fields.level) {
+      classes.push(`log-level-${fields.level}`);
+    }
+    const bucket = statusClass(fields.status);
+    if (bucket === "4xx" || bucket === "5xx") {
+      classes.push(`log-status-${bucket}`);
+    }
+    // An explicit level beats the stdout/stderr split: CLIProxyAPI logs errors to stdout.
+    span.className = fields.level ? classes.join(" ") : `${span.className} ${classes.join(" ")}`.trim();
+  }
+  span.textContent = `${text}\n`;
+  return span;
+}
+
+function appendLogLine(text, kind = "log", fields = null) {
+  const span = createLogSpan(text, kind, fields);
+  span.hidden = !logLineVisible(span);
+  el.logsOutput.append(span);
+  state.logLineCount += 1;
+
+  if (state.logLineCount > state.maxLogLines + 80) {
+    trimLogs();
+  }
+
+  if (state.autoScroll) {
+    el.logsOutput.scrollTop = el.logsOutput.scrollHeight;
+  }
+}
+
+function toLocalInputValue(date) {
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function buildLogSearchParams(offset = 0) {
+  const params = new URLSearchParams({
+    container: state.currentContainer || "api4llm",
+    since: new Date(el.logSearchSince.value).toISOString(),
+    level: el.logSearchLevel.value,
+    status: el.logSearchStatus.value,
+    offset: String(offset),
+    limit: String(LOG_SEARCH_PAGE_SIZE),
+  });
+  if (el.logSearchUntil.value) {
+    params.set("until", new Date(el.logSearchUntil.value).toISOString());
+  }
+  if (el.logSearchQuery.value) {
+    params.set("q", el.logSearchQuery.value);
+  }
+  if (el.logSearchRegex.checked && isOperator()) {
+    params.set("regex", "true");
+  }
+  if (el.logSearchCase.checked) {
+    params.set("case", "true");
+  }
+  return params;
+}
+
+function renderLogSearch(result) {
+  closeLogDetail("search");
+  el.logSearchOutput.replaceChildren(...result.lines.map((item) => createLogSpan(item.line, item.kind, item.fields)));
+  if (result.lines.length === 0) {
+    el.logSearchOutput.textContent = "No matching lines.";
+  }
+  const first = result.total === 0 ? 0 : result.offset + 1;
+  const last = result.offset + result.lines.length;
+  el.logSearchPage.textContent = `${formatCount(first)}-${formatCount(last)} of ${formatCount(result.total)}`;
+  el.logSearchPrev.disabled = result.offset === 0;
+  el.logSearchNext.disabled = !result.hasMore;
+  const notes = [
+    `${formatCount(result.total)} matches in ${formatCount(result.scanned)} lines`,
+    result.truncated ? "scan stopped at the line limit; narrow the range" : "",
+    result.timedOut ? "scan timed out; narrow the range" : "",
+  ].filter(Boolean);
+  el.logSearchMeta.textContent = notes.join(" | ");
+}
+
+async function runLogSearch(offset = 0) {
+  if (!el.logSearchSince.value) {
+    el.logSearchMeta.textContent = "Pick a start time.";
+    return;
+  }
+  const params = buildLogSearchParams(offset);
+  el.logSearchMeta.textContent = "Searching...";
+  try {
+    const result = await fetchJSON(`/api/logs/search?${params}`);
+    state.logSearch = result;
+    renderLogSearch(result);
+  } catch (error) {
+    el.logSearchMeta.textContent = `Search failed: ${error.message}`;
+  }
+}
+
+function downloadLogSearch(format) {
+  if (!el.logSearchSince.value) {
+    el.logSearchMeta.textContent = "Pick a start time.";
+    return;
+  }
+  const params = buildLogSearchParams();
+  params.delete("offset");
+  params.delete("limit");
+  params.set("format", format);
+  const link = document.createElement("a");
+  link.href = `/api/logs/download?${params}`;
+  link.download = "";
+  document.body.append(link);
+  link.click();
+  link.remove();
+}
+
+function disconnectLogs() {
+  if (state.eventSource) {
+    state.eventSource.close();
+    state.eventSource = null;
+  }
+}
+
+function describeLogStream() {
+  return `Streaming ${state.logStreamContainer}...`;
+}
+
+// While paused, lines queue up instead of being drawn; the view keeps at most maxLogLines
+// anyway, so only that many are kept for when it resumes.
+function setLogsPaused(paused) {
+  state.logsPaused = paused;
+  el.pauseLogs.textContent = paused ? "Resume" : "Pause";
+  if (paused) {
+    el.logsState.textContent = "Paused";
+    return;
+  }
+  const queued = state.pausedLogLines;
+  state.pausedLogLines = [];
+  for (const payload of queued) {
+    appendLogLine(payload.line, payload.kind, payload.fields || null);
+  }
+  if (state.eventSource) {
+    el.logsState.textContent = describeLogStream();
+  }
+}
+
+function receiveLogLine(payload) {
+  if (!state.logsPaused) {
+    appendLogLine(payload.line, payload.kind, payload.fields || null);
+    return;
+  }
+  state.pausedLogLines.push(payload);
+  if (state.pausedLogLines.length > state.maxLogLines) {
+    state.pausedLogLines.shift();
+  }
+  el.logsState.textContent = `Paused (${formatCount(state.pausedLogLines.length)} new lines)`;
+}
+
+function clearLogView() {
+  el.logsOutput.textContent = "";
+  state.logLineCount = 0;
+  state.pausedLogLines = [];
+  closeLogDetail("live");
+}
+
+function connectLogs() {
+  if (state.resolutionBlocked) {
+    return;
+  }
+  disconnectLogs();
+  const targetContainer = state.currentContainer || "api4llm";
+  // The server resumes after the last line this tab saw, so a reconnect adds no duplicates.
+  if (targetContainer !== state.logStreamContainer) {
+    state.logStreamContainer = targetContainer;
+    state.lastLogEventId = "";
+  }
+  const params = new URLSearchParams({ container: targetContainer });
+  if (state.lastLogEventId) {
+    params.set("lastEventId", state.lastLogEventId);
+  }
+  const source = new EventSource(`/api/logs/stream?${params}`);
+  state.eventSource = source;
+  if (!state.logsPaused) {
+    el.logsState.textContent = describeLogStream();
+  }
+
+  source.onmessage = (event) => {
+    state.lastLogEventId = event.lastEventId || state.lastLogEventId;
+    try {
+      receiveLogLine(JSON.parse(event.data));
+    } catch {
+      receiveLogLine({ line: event.data, kind: "log" });
+    }
+  };
+
+  source.addEventListener("reset", () => {
+    clearLogView();
+    appendLogLine("[logs] missed lines are no longer buffered; showing the latest lines", "status");
+  });
+
+  source.onerror = () => {
+    el.logsState.textContent = "Disconnected. Reconnecting...";
+    disconnectLogs();
+    // EventSource hides the HTTP status, so check whether the session lapsed before retrying.
+    loadSession()
+      .then((session) => {
+        if (session.authenticated) {
+          window.setTimeout(connectLogs, 1800);
+        }
+      })
+      .catch(() => window.setTimeout(connectLogs, 1800));
+  };
+}
+
+async function loadSession() {
+  const session = await fetchJSON("/api/auth/session");
+  state.session = session;
+  if (session.authEnabled && !session.authenticated) {
+    redirectToLogin();
+  }
+  el.logout.hidden = !(session.authEnabled && session.method === "session");
+  applyRole(session);
+  return session;
+}
+
+function isOperator() {
+  return state.session?.role === "operator";
+}
+
+function applyRole(session) {
+  const operator = session.role === "operator";
+  document.body.classList.toggle("role-viewer", !operator);
+  document.querySelectorAll("[data-action], .operator-only").forEach((node) => {
+    node.hidden = !operator;
+  });
+  if (session.authEnabled && session.authenticated) {
+    el.sessionInfo.textContent = `Signed in as ${session.user} (${session.role})`;
+    el.sessionInfo.hidden = false;
+  }
+}
+
+async function logout() {
+  try {
+    await fetchJSON("/api/auth/logout", { method: "POST" });
+  } finally {
+    redirectToLogin();
+  }
+}
+
+function applySummary(summary) {
+  const previousContainer = state.currentContainer;
+  const nextContainer = updateSummary(summary);
+  if (nextContainer) {
+    state.currentContainer = nextContainer;
+  }
+  if (!state.eventSource || (nextContainer && nextContainer !== previousContainer)) {
+    connectLogs();
+  }
+}
+
+function applyStateTopic({ topic, data }) {
+  if (topic === "summary") {
+    applySummary(data);
+  } else if (topic === "auth") {
+    updateAuth(data);
+  } else if (topic === "models") {
+    updateProviderModels(data);
+  }
+}
+
+function disconnectState() {
+  if (state.stateSource) {
+    state.stateSource.close();
+    state.stateSource = null;
+  }
+  state.stateConnected = false;
+}
+
+// Summary, auth health and models are pushed by the server when they change; while the stream
+// is down refreshData polls them instead.
+function connectState() {
+  if (state.resolutionBlocked) {
+    return;
+  }
+  disconnectState();
+  const source = new EventSource("/api/state/stream");
+  state.stateSource = source;
+
+  source.onopen = () => {
+    state.stateConnected = true;
+  };
+
+  source.addEventListener("state", (event) => {
+    try {
+      applyStateTopic(JSON.parse(event.data));
+    } catch (error) {
+      el.lastUpdated.textContent = `State update failed: ${error.message}`;
+    }
+  });
+
+  source.addEventListener("state-error", (event) => {
+    try {
+      const payload = JSON.parse(event.data);
+      el.lastUpdated.textContent = `Refresh failed (${payload.topic}): ${payload.error}`;
+    } catch {
+      // Malformed payload; the next push or poll replaces the message.
+    }
+  });
+
+  source.onerror = () => {
+    disconnectState();
+    loadSession()
+      .then((session) => {
+        if (session.authenticated) {
+          window.setTimeout(connectState, 1800);
+        }
+      })
+      .catch(() => window.setTimeout(connectState, 1800));
+  };
+}
+
+async function refreshData(forceModelRefresh = false) {
   if (state.resolutionBlocked) {
     return;
   }
+  if (!state.stateSource) {
+    connectState();
+  }
+  try {
+    if (!state.stateConnected) {
+      const [summary, auth] = await Promise.all([fetchJSON("/api/summary"), fetchJSON("/api/auth-mechanisms")]);
+      applySummary(summary);
+      updateAuth(auth);
+    }
+
+    if (forceModelRefresh || !state.config || Date.now() - state.lastConfigSyncAt >= 60 * 1000) {
+      try {
+        updateConfig(await fetchJSON("/api/config"));
+      } catch (configError) {
+        el.configMeta.textContent = `Config load failed: ${configError.message}`;
+      }
+      await loadAccessKeys();
+    }
+
+    if (forceModelRefresh || !state.history || Date.now() - state.lastHistorySyncAt >= 60 * 1000) {
+      await loadHistory();
+      await loadAlerts();
+    }
+
+    await loadMetrics();
+    await loadContainerStats();
+    await loadContainerEvents();
+    await loadProblems();
+
+    // A forced refresh reloads the catalog on the server, which pushes it to every open dashboard.
+    const needsModelsRefresh =
+      forceModelRefresh || (!state.stateConnected && (!state.providerModels || Date.now() - state.lastModelSyncAt >= 60 * 1000));
+
+    if (needsModelsRefresh) {
+      try {
+        const providerModels = await fetchJSON(forceModelRefresh ? "/api/provider-models?refresh=1" : "/api/provider-models");
+        updateProviderModels(providerModels);
+      } catch (modelError) {
+        el.modelMeta.textContent = `Model sync failed: ${modelError.message}`;
+        if (!state.providerModels) {
+          el.modelCards.innerHTML = `<p class="muted">Unable to load models right now.</p>`;
+        }
+      }
+    }
+  } catch (error) {
+    el.lastUpdated.textContent = `Refresh failed: ${error.message}`;
+  }
+}
+
+async function runAction(action) {
+  if (state.resolutionBlocked || !isOperator()) {
+    return;
+  }
   try {
     const result = await fetchJSON(`/api/container/${action}`, { method: "POST" });
     const details = result.stdout || result.stderr || "ok";
@@ -507,15 +2647,255 @@ el.autoScroll.addEventListener("change", () => {
   state.autoScroll = el.autoScroll.checked;
 });
 
-el.clearLogs.addEventListener("click", () => {
-  el.logsOutput.textContent = "";
-  state.logLineCount = 0;
+el.logLevelFilter.addEventListener("change", () => {
+  state.logLevelFilter = el.logLevelFilter.value;
+  applyLogFilters();
+});
+
+el.logStatusFilter.addEventListener("change", () => {
+  state.logStatusFilter = el.logStatusFilter.value;
+  applyLogFilters();
+});
+
+el.logTextFilter.addEventListener("input", updateLogTextFilter);
+
+el.pauseLogs.addEventListener("click", () => {
+  setLogsPaused(!state.logsPaused);
+});
+
+el.logsOutput.addEventListener("click", (event) => {
+  const span = event.target.closest(".log-line");
+  if (span) {
+    showLogDetail(span, "live");
+  }
+});
+
+el.logDetailClose.addEventListener("click", () => closeLogDetail("live"));
+
+el.logSearchForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  runLogSearch(0);
+});
+
+el.logSearchPrev.addEventListener("click", () => {
+  runLogSearch(Math.max(0, (state.logSearch?.offset || 0) - LOG_SEARCH_PAGE_SIZE));
+});
+
+el.logSearchNext.addEventListener("click", () => {
+  runLogSearch((state.logSearch?.offset || 0) + LOG_SEARCH_PAGE_SIZE);
+});
+
+el.logSearchDownloadText.addEventListener("click", () => downloadLogSearch("text"));
+el.logSearchDownloadJSON.addEventListener("click", () => downloadLogSearch("ndjson"));
+
+el.logSearchOutput.addEventListener("click", (event) => {
+  const span = event.target.closest(".log-line");
+  if (span) {
+    showLogDetail(span, "search");
+  }
 });
 
+el.logSearchDetailClose.addEventListener("click", () => closeLogDetail("search"));
+
+el.clearLogs.addEventListener("click", clearLogView);
+
 el.refreshNow.addEventListener("click", () => {
   refreshData(true);
 });
 
+el.logout.addEventListener("click", () => {
+  logout();
+});
+
+el.editorReload.addEventListener("click", () => {
+  loadEditor();
+});
+
+el.editorValidate.addEventListener("click", () => {
+  validateEditor().catch((error) => {
+    el.editorMeta.textContent = `Validation failed: ${error.message}`;
+  });
+});
+
+el.editorSave.addEventListener("click", () => {
+  saveEditor();
+});
+
+el.trafficWindows.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-window]");
+  if (!button) {
+    return;
+  }
+  state.metricsWindow = Number.parseInt(button.dataset.window, 10);
+  for (const item of el.trafficWindows.querySelectorAll("button")) {
+    item.classList.toggle("active", item === button);
+  }
+  loadMetrics();
+});
+
+el.resourceWindows.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-window]");
+  if (!button) {
+    return;
+  }
+  state.statsWindow = Number.parseInt(button.dataset.window, 10);
+  for (const item of el.resourceWindows.querySelectorAll("button")) {
+    item.classList.toggle("active", item === button);
+  }
+  loadContainerStats();
+});
+
+el.alertTest.addEventListener("click", () => {
+  sendTestAlert();
+});
+
+el.providerCards.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-oauth-login]");
+  if (button) {
+    startOAuthLogin(button.dataset.oauthLogin);
+  }
+});
+
+el.eventRows.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-event-logs]");
+  if (button) {
+    showCrashLogs(button.dataset.eventLogs);
+  }
+});
+
+el.crashLogsClose.addEventListener("click", () => {
+  el.crashLogs.hidden = true;
+});
+
+el.problemRows.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-problem-dismiss]");
+  if (button) {
+    dismissProblem(button.dataset.problemDismiss);
+  }
+});
+
+el.oauthRows.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-auth-file-action]");
+  if (button) {
+    runAuthFileAction(button.dataset.authFile, button.dataset.authFileAction);
+  }
+});
+
+el.quarantineRows.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-quarantine-action]");
+  if (button) {
+    runAuthFileAction(button.dataset.authFile, button.dataset.quarantineAction, { quarantined: true });
+  }
+});
+
+el.authImportForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  importAuthFile().catch((error) => {
+    el.authImportIssues.hidden = false;
+    renderIssues(el.authImportIssues, { errors: [{ path: "", message: error.message }] });
+  });
+});
+
+el.oauthLogin.addEventListener("click", (event) => {
+  const button = event.target.closest("button");
+  if (!button) {
+    return;
+  }
+  if (button.hasAttribute("data-oauth-cancel")) {
+    cancelOAuthLogin();
+  } else if (button.hasAttribute("data-oauth-dismiss")) {
+    setOAuthSession(null);
+  } else if (button.hasAttribute("data-oauth-copy") && state.oauthSession?.authUrl) {
+    navigator.clipboard?.writeText(state.oauthSession.authUrl).catch(() => {});
+  }
+});
+
+el.oauthLogin.addEventListener("submit", (event) => {
+  const form = event.target.closest("form[data-oauth-form]");
+  if (!form) {
+    return;
+  }
+  event.preventDefault();
+  const value = form.elements.value.value;
+  form.elements.value.value = "";
+  sendOAuthForm(form.dataset.oauthForm, value);
+});
+
+el.historyRanges.addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-range]");
+  if (!button || button.dataset.range === state.historyRange) {
+    return;
+  }
+  state.historyRange = button.dataset.range;
+  for (const item of el.historyRanges.querySelectorAll("button")) {
+    item.classList.toggle("active", item === button);
+  }
+  loadHistory();
+});
+
+el.modelCards.addEventListener("toggle", (event) => {
+  const details = event.target;
+  if (!(details instanceof HTMLDetailsElement) || !details.dataset.provider) {
+    return;
+  }
+  if (details.open) {
+    state.openModelGroups.add(details.dataset.provider);
+  } else {
+    state.openModelGroups.delete(details.dataset.provider);
+  }
+}, true);
+
+el.modelCards.addEventListener("click", (event) => {
+  const button = event.target.closest("button");
+  if (!button) {
+    return;
+  }
+  if (button.dataset.probeModel) {
+    runProbe(button.dataset.probeProvider, [button.dataset.probeModel]);
+  } else if (button.dataset.probeAll) {
+    const group = (state.providerModels?.providerModels || []).find((item) => item.provider === button.dataset.probeAll);
+    runProbe(button.dataset.probeAll, (group?.models || []).map((model) => model.id));
+  }
+});
+
+el.keyCreateForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  createAccessKey();
+});
+
+el.keyRows.addEventListener("click", (event) => {
+  const button = event.target.closest("button");
+  if (!button) {
+    return;
+  }
+  if (button.dataset.keyEdit) {
+    editAccessKey(button.dataset.keyEdit);
+  } else if (button.dataset.keyRevoke) {
+    revokeAccessKey(button.dataset.keyRevoke);
+  }
+});
+
+el.keyRevealCopy.addEventListener("click", () => {
+  navigator.clipboard?.writeText(el.keyRevealValue.textContent).catch(() => {});
+});
+
+el.keyRevealDismiss.addEventListener("click", () => {
+  el.keyRevealValue.textContent = "";
+  el.keyReveal.hidden = true;
+});
+
+el.backupRows.addEventListener("click", (event) => {
+  const button = event.target.closest("button");
+  if (!button) {
+    return;
+  }
+  if (button.dataset.backupPreview) {
+    previewBackup(button.dataset.backupPreview);
+  } else if (button.dataset.backupRestore) {
+    restoreBackup(button.dataset.backupRestore);
+  }
+});
+
 window.addEventListener("resize", () => {
   const changed = applyResolutionGate();
   if (!state.resolutionBlocked && changed) {
@@ -532,10 +2912,21 @@ window.addEventListener("orientationchange", () => {
 
 window.addEventListener("beforeunload", () => {
   disconnectLogs();
+  disconnectState();
 });
 
+el.logSearchSince.value = toLocalInputValue(new Date(Date.now() - 2 * 60 * 60 * 1000));
 applyResolutionGate();
-if (!state.resolutionBlocked) {
-  refreshData(true);
-}
-window.setInterval(() => refreshData(false), 8000);
+loadSession()
+  .catch((error) => {
+    el.lastUpdated.textContent = `Session check failed: ${error.message}`;
+  })
+  .finally(() => {
+    if (!state.resolutionBlocked) {
+      refreshData(false);
+      loadEditor();
+      resumeOAuthLogin();
+    }
+    window.setInterval(() => refreshData(false), 8000);
+    window.setInterval(updateCountdowns, 1000);
+  });
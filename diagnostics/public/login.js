@@ -0,0 +1,35 @@
+const form = document.getElementById("loginForm");
+const userInput = document.getElementById("loginUser");
+const secretInput = document.getElementById("loginSecret");
+const errorLabel = document.getElementById("loginError");
+const submitButton = document.getElementById("loginSubmit");
+
+function showError(message) {
+  errorLabel.textContent = message;
+  errorLabel.hidden = !message;
+}
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  showError("");
+  submitButton.disabled = true;
+
+  try {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: userInput.value.trim(), password: secretInput.value }),
+      cache: "no-store",
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.details || data.error || response.statusText);
+    }
+    window.location.replace("/");
+  } catch (error) {
+    showError(error.message);
+    secretInput.select();
+  } finally {
+    submitButton.disabled = false;
+  }
+});
@@ -0,0 +1,168 @@
+// Rate-limit and quota lockouts per provider account, detected from log lines and probe results.
+//
+// Upstreams report throttling in many shapes: a bare 429, "You've hit your usage limit",
+// RESOURCE_EXHAUSTED with a retryDelay, "try again in 1h20m", a Retry-After header. Detection
+// sorts them into two kinds:
+//   - rate-limit: short per-minute throttling; without a hint it is assumed to last a minute
+//   - quota: plan or daily usage limits; without a hint it is assumed to last an hour
+// A cooldown ends at its reset time, or earlier when a request on the same account succeeds.
+
+export const DEFAULT_COOLDOWN_MS = { "rate-limit": 60 * 1000, quota: 60 * 60 * 1000 };
+const KEEP_EXPIRED_MS = 60 * 60 * 1000;
+const MESSAGE_LIMIT = 240;
+
+const QUOTA_PATTERN = /usage[ _-]?limit|quota|insufficient_quota|exceeded your current|daily limit|limit reached|out of credits/i;
+const RATE_LIMIT_PATTERN = /rate[ _-]?limit|too many requests|throttl|resource[ _-]?exhausted/i;
+// Google reports per-minute throttling as "Quota exceeded for ... per minute".
+const PER_MINUTE_PATTERN = /per[ _-]?minute|\b[rt]pm\b/i;
+
+function unitToMs(unit) {
+  if (unit.startsWith("ms") || unit.startsWith("milli")) {
+    return 1;
+  }
+  return { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[unit[0]];
+}
+
+// "1h20m", "42s", "5 minutes", "1.5 hours"; a bare number is seconds.
+export function parseDurationText(text) {
+  const raw = String(text || "").trim().toLowerCase();
+  if (/^\d+(?:\.\d+)?$/.test(raw)) {
+    return Number.parseFloat(raw) * 1000;
+  }
+  let total = 0;
+  let matched = false;
+  for (const match of raw.matchAll(/(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?)(?![a-z])/g)) {
+    total += Number.parseFloat(match[1]) * unitToMs(match[2]);
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+function parseResetInstant(value, nowMs) {
+  const text = String(value || "").trim();
+  if (/^\d{10}(?:\.\d+)?$/.test(text)) {
+    return Number.parseFloat(text) * 1000;
+  }
+  if (/^\d{13}$/.test(text)) {
+    return Number.parseInt(text, 10);
+  }
+  const parsed = Date.parse(text);
+  return Number.isFinite(parsed) && parsed > nowMs - 60 * 1000 ? parsed : null;
+}
+
+// Returns the reset time (epoch ms) named anywhere in the text, or null.
+export function parseResetTime(text, nowMs = Date.now()) {
+  const message = String(text || "");
+  const relative = [
+    /retry[-_ ]?after["'\s:=]+"?([\d.]+(?:\s*[a-z]+)?)/i,
+    /retry[_ ]?delay["'\s:=]+"?([\d.]+\s*[a-z]*)/i,
+    /(?:try again|retry|resets?|available again)\s+in\s+(?:about\s+)?([\d.]+\s*[a-z]+(?:\s*[\d.]+\s*[a-z]+)*)/i,
+    /resets?_in(?:_seconds)?["'\s:=]+"?([\d.]+)/i,
+    /x-ratelimit-reset(?:-requests|-tokens)?["'\s:=]+"?([\d.]+\s*[a-z]*(?:[\d.]+[a-z]+)*)/i,
+  ];
+  for (const pattern of relative) {
+    const match = message.match(pattern);
+    const durationMs = match ? parseDurationText(match[1]) : null;
+    if (durationMs !== null && durationMs > 0) {
+      return nowMs + durationMs;
+    }
+  }
+  const absolute = message.match(/resets?(?:_at|At| at| on)["'\s:=]+"?([\d]{10,13}(?:\.\d+)?|\d{4}-\d{2}-\d{2}[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)/i);
+  if (absolute) {
+    return parseResetInstant(absolute[1], nowMs);
+  }
+  // An HTTP-date Retry-After: "Retry-After: Wed, 21 Oct 2026 07:28:00 GMT".
+  const httpDate = message.match(/retry[-_ ]?after["'\s:=]+"?([A-Z][a-z]{2}, \d{2} [A-Z][a-z]{2} \d{4} [\d:]+ GMT)/i);
+  return httpDate ? parseResetInstant(httpDate[1], nowMs) : null;
+}
+
+// `status` and `level` come from the parsed line; a keyword alone is not enough on info lines,
+// which is where CLIProxyAPI prints its own rate-limit settings at startup.
+export function detectRateLimit({ status = null, level = "", message = "" }, nowMs = Date.now()) {
+  const text = String(message || "");
+  const quota = QUOTA_PATTERN.test(text);
+  const throttled = RATE_LIMIT_PATTERN.test(text);
+  const problemLine = status === 429 || (status !== null && status >= 400) || level === "warn" || level === "error";
+  if (!(status === 429 || (problemLine && (quota || throttled)))) {
+    return null;
+  }
+  const kind = quota && !PER_MINUTE_PATTERN.test(text) ? "quota" : "rate-limit";
+  const resetAtMs = parseResetTime(text, nowMs);
+  return {
+    kind,
+    resetAtMs: resetAtMs ?? nowMs + DEFAULT_COOLDOWN_MS[kind],
+    estimated: resetAtMs === null,
+  };
+}
+
+function entryKey(provider, account) {
+  return `${provider || ""}|${String(account || "").toLowerCase()}`;
+}
+
+export function createRateLimitTracker({ nowFn = Date.now, entries = [] } = {}) {
+  const cooldowns = new Map(entries.map((entry) => [entryKey(entry.provider, entry.account), { ...entry }]));
+
+  const prune = (nowMs) => {
+    for (const [key, entry] of cooldowns) {
+      if (Date.parse(entry.resetAt) < nowMs - KEEP_EXPIRED_MS) {
+        cooldowns.delete(key);
+      }
+    }
+  };
+
+  return {
+    // Returns false when the hit belongs to a request that was already counted.
+    record({ provider = "", account = "", kind, resetAtMs, estimated, atMs = nowFn(), source = "log", message = "", requestId = "" }) {
+      const key = entryKey(provider, account);
+      const existing = cooldowns.get(key);
+      const atIso = new Date(atMs).toISOString();
+      const active = existing && !existing.clearedAt && Date.parse(existing.resetAt) > atMs;
+      // The executor error and the access-log line of one request are one lockout hit.
+      const sameRequest = active && requestId && existing.lastRequestId === requestId;
+      const entry = active
+        ? existing
+        : { provider, account, kind, firstSeenAt: atIso, resetAt: atIso, estimated: true, hits: 0, clearedAt: "" };
+      if (!sameRequest) {
+        entry.hits += 1;
+      }
+      // A quota lockout is not downgraded by a later plain 429 on the same account.
+      if (kind === "quota" || !active) {
+        entry.kind = kind;
+      }
+      const resetAt = new Date(resetAtMs).toISOString();
+      // A real reset hint beats an estimate; between two of the same kind the later one wins.
+      if ((entry.estimated && !estimated) || (estimated === entry.estimated && resetAt > entry.resetAt) || !active) {
+        entry.resetAt = resetAt;
+        entry.estimated = estimated;
+      }
+      entry.lastSeenAt = atIso;
+      entry.lastRequestId = requestId || entry.lastRequestId || "";
+      entry.source = source;
+      // The first line of a request says why; its access-log line only repeats the status.
+      if (!sameRequest || !entry.message) {
+        entry.message = String(message || "").slice(0, MESSAGE_LIMIT);
+      }
+      cooldowns.set(key, entry);
+      prune(atMs);
+      return !sameRequest;
+    },
+
+    // A success on the account (or, without one, on the provider) ends its cooldown early.
+    recordSuccess({ provider = "", account = "", atMs = nowFn() }) {
+      const entry = cooldowns.get(entryKey(provider, account));
+      if (!entry || entry.clearedAt || Date.parse(entry.lastSeenAt) > atMs || Date.parse(entry.resetAt) <= atMs) {
+        return false;
+      }
+      entry.clearedAt = new Date(atMs).toISOString();
+      return true;
+    },
+
+    snapshot(nowMs = nowFn()) {
+      prune(nowMs);
+      return [...cooldowns.values()].map((entry) => {
+        const remainingMs = entry.clearedAt ? 0 : Math.max(0, Date.parse(entry.resetAt) - nowMs);
+        return { ...entry, active: remainingMs > 0, remainingMs };
+      });
+    },
+  };
+}
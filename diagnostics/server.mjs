@@ -1,11 +1,28 @@
 #!/usr/bin/env node
 
 import { spawn } from "node:child_process";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
 import { createReadStream } from "node:fs";
-import { access, readdir, readFile, stat } from "node:fs/promises";
+import { access, copyFile, mkdir, readdir, readFile, rename, stat, unlink, writeFile } from "node:fs/promises";
 import http from "node:http";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { accountIdentifiers, createAccountUsageTracker, groupAccounts, normalizeAccountIdentifier } from "./accounts.mjs";
+import { buildWebhookRequest, evaluateAlerts, parseWebhookTargets } from "./alerts.mjs";
+import { createContainerTimeline, parseDockerEvent } from "./container-events.mjs";
+import { memoryTrend, parseStatsLine, withRates } from "./container-stats.mjs";
+import { createDockerEngine } from "./docker-engine.mjs";
+import { appendHistory, HISTORY_RANGES, pruneHistory, readHistory, summarizeHistory } from "./history.mjs";
+import { diffLines } from "./line-diff.mjs";
+import { createLogBuffer } from "./log-buffer.mjs";
+import { createReplayFilter, matchesLogFilter, parseLogLine, statusBucket } from "./log-parser.mjs";
+import { createMetricsStore, endpointLabel, LATENCY_BUCKETS_MS, normalizeEndpoint } from "./metrics.mjs";
+import { classifyError, createProblemStore } from "./problems.mjs";
+import { createProcessSupervisor } from "./process-supervisor.mjs";
+import { histogramSamples, PROMETHEUS_CONTENT_TYPE, renderPrometheus } from "./prometheus.mjs";
+import { createRateLimitTracker, detectRateLimit } from "./rate-limits.mjs";
+import { extractTokenMetadata } from "./token-claims.mjs";
+import { formatYAMLString, parseYAML, replaceTopLevelYAMLKey } from "./yaml.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,14 +34,98 @@ const PORT = Number.parseInt(process.env.DIAG_PORT || "9321", 10);
 const COMPOSE_FILE = process.env.DIAG_COMPOSE_FILE || path.join(REPO_ROOT, "docker-compose.yml");
 const CONFIG_FILE = process.env.DIAG_CONFIG_FILE || path.join(REPO_ROOT, "config.yaml");
 const DATA_DIR = process.env.DIAG_DATA_DIR || path.join(REPO_ROOT, "data");
+const STATE_DIR = process.env.DIAG_STATE_DIR || path.join(REPO_ROOT, "diagnostics-state");
+const CONFIG_BACKUP_DIR = path.join(STATE_DIR, "config-backups");
+const CONFIG_BACKUP_LIMIT = Number.parseInt(process.env.DIAG_CONFIG_BACKUP_LIMIT || "50", 10) || 50;
+const ACCESS_KEY_META_FILE = path.join(STATE_DIR, "api-keys.json");
+const AUTH_QUARANTINE_DIR = path.join(STATE_DIR, "auth-quarantine");
+const AUTH_DISABLED_SUFFIX = ".disabled";
+const AUTH_IMPORT_MAX_BYTES = 256 * 1024;
+const ACCESS_KEY_PREFIX = "sk-a4l-";
+const ACCESS_KEY_REVOKED_HISTORY = 200;
 const DEFAULT_SERVICE = process.env.DIAG_SERVICE || "api4llm";
 const TARGET_CONTAINER = process.env.DIAG_CONTAINER || DEFAULT_SERVICE;
 const DOCKER_MODE = String(process.env.DIAG_DOCKER_MODE || "auto").trim().toLowerCase();
+// `podman` finds the service like `auto` but runs the `podman` binary and talks to Podman's
+// Docker-compatible API socket.
+const PODMAN_MODE = DOCKER_MODE === "podman";
+// `process` runs the CLIProxyAPI binary as a child of the dashboard instead of a container.
+const PROCESS_MODE = DOCKER_MODE === "process";
+const PROCESS_COMMAND = path.resolve(process.env.DIAG_PROCESS_COMMAND || path.join(REPO_ROOT, "CLIProxyAPI", "CLIProxyAPI"));
+const PROCESS_ARGS = process.env.DIAG_PROCESS_ARGS ? process.env.DIAG_PROCESS_ARGS.trim().split(/\s+/).filter(Boolean) : ["--config", CONFIG_FILE];
+const PROCESS_AUTOSTART = !/^(0|false|no|off)$/i.test(String(process.env.DIAG_PROCESS_AUTOSTART || ""));
+const PROCESS_LOG_LINES = Math.max(1000, Number.parseInt(process.env.DIAG_PROCESS_LOG_LINES || "20000", 10) || 20000);
+const CONTAINER_CLI = PODMAN_MODE ? "podman" : "docker";
+const DOCKER_BACKEND = String(process.env.DIAG_DOCKER_BACKEND || "auto").trim().toLowerCase();
+// Rootless Podman serves the API from the user's runtime dir once `podman.socket` is enabled.
+const PODMAN_SOCKET = process.env.XDG_RUNTIME_DIR ? path.join(process.env.XDG_RUNTIME_DIR, "podman", "podman.sock") : "/run/podman/podman.sock";
+const DOCKER_HOST_SOCKET = [PODMAN_MODE ? process.env.CONTAINER_HOST : "", process.env.DOCKER_HOST]
+  .find((value) => String(value || "").startsWith("unix://"))
+  ?.slice("unix://".length);
+const DOCKER_SOCKET = process.env.DIAG_DOCKER_SOCKET || DOCKER_HOST_SOCKET || (PODMAN_MODE ? PODMAN_SOCKET : "/var/run/docker.sock");
+const DOCKER_API_RETRY_MS = 60 * 1000;
 const ALLOW_REMOTE = /^(1|true|yes|on)$/i.test(String(process.env.DIAG_ALLOW_REMOTE || ""));
 const DEFAULT_PROXY_BASE = DOCKER_MODE === "container" ? "http://api4llm:8317" : "http://127.0.0.1:8317";
 const PROXY_BASE = String(process.env.DIAG_PROXY_BASE || DEFAULT_PROXY_BASE).trim().replace(/\/+$/, "");
 const PROXY_API_KEY = String(process.env.DIAG_API_KEY || "").trim();
 const MODEL_FETCH_TIMEOUT_MS = Number.parseInt(process.env.DIAG_MODEL_TIMEOUT_MS || "10000", 10);
+const PROBE_TIMEOUT_MS = Number.parseInt(process.env.DIAG_PROBE_TIMEOUT_MS || "30000", 10) || 30000;
+const PROBE_CONCURRENCY = 3;
+const PROBE_PROMPT = "Reply with the single word OK.";
+const PROBE_MAX_TOKENS = 8;
+const LOG_SEARCH_MAX_LINES = Math.max(1000, Number.parseInt(process.env.DIAG_LOG_SEARCH_MAX_LINES || "500000", 10) || 500000);
+const LOG_SEARCH_TIMEOUT_MS = 60 * 1000;
+const LOG_SEARCH_PAGE_MAX = 1000;
+// Live log tailers: lines kept per container, lines a new subscriber starts with, and how long
+// a tailer outlives its last subscriber so a reconnecting tab can resume.
+const LOG_BUFFER_LINES = 2000;
+const LOG_REPLAY_LINES = 200;
+const LOG_TAILER_IDLE_MS = 60 * 1000;
+const METRICS_ENABLED = !/^(0|false|no|off)$/i.test(String(process.env.DIAG_METRICS || ""));
+const METRICS_REQUEST_ID_TTL_MS = 10 * 60 * 1000;
+const METRICS_REQUEST_ID_LIMIT = 5000;
+const STATS_ENABLED = !/^(0|false|no|off)$/i.test(String(process.env.DIAG_STATS || ""));
+const STATS_SAMPLE_MS = 5000;
+// One hour of samples at STATS_SAMPLE_MS.
+const STATS_HISTORY_SAMPLES = 720;
+// Consecutive 401/403/429 responses after which an account is flagged as failing.
+const ACCOUNT_FAILURE_THRESHOLD = 3;
+const STATE_REFRESH_MS = 8000;
+const STATE_MODELS_REFRESH_MS = 60 * 1000;
+const EVENTS_ENABLED = !/^(0|false|no|off)$/i.test(String(process.env.DIAG_EVENTS || ""));
+const CONTAINER_EVENTS_FILE = path.join(STATE_DIR, "container-events.json");
+const CRASH_LOG_LINES = Math.min(1000, Math.max(10, Number.parseInt(process.env.DIAG_CRASH_LOG_LINES || "100", 10) || 100));
+const HISTORY_DIR = path.join(STATE_DIR, "history");
+const HISTORY_RETENTION_DAYS = Math.max(1, Number.parseInt(process.env.DIAG_HISTORY_RETENTION_DAYS || "30", 10) || 30);
+const HEALTH_CHECK_INTERVAL_MS = Math.max(0, Number.parseInt(process.env.DIAG_HEALTH_CHECK_SECONDS || "300", 10) || 0) * 1000;
+const PROBE_INTERVAL_MS = Math.max(0, Number.parseInt(process.env.DIAG_PROBE_INTERVAL_MINUTES || "0", 10) || 0) * 60 * 1000;
+const PROBE_SCHEDULE_MODELS = String(process.env.DIAG_PROBE_MODELS || "")
+  .split(",")
+  .map((item) => item.trim())
+  .filter(Boolean);
+const ALERT_WEBHOOKS = parseWebhookTargets(process.env.DIAG_ALERT_WEBHOOKS);
+const ALERT_INTERVAL_MS = Math.max(10, Number.parseInt(process.env.DIAG_ALERT_INTERVAL_SECONDS || "60", 10) || 60) * 1000;
+const ALERT_COOLDOWN_MS = Math.max(0, Number.parseInt(process.env.DIAG_ALERT_COOLDOWN_MINUTES || "30", 10) || 0) * 60 * 1000;
+const ALERT_DASHBOARD_URL = String(process.env.DIAG_ALERT_DASHBOARD_URL || "").trim();
+const ALERT_CONFIRMATIONS = 2;
+const ALERT_STATE_FILE = path.join(STATE_DIR, "alerts.json");
+const RATE_LIMIT_STATE_FILE = path.join(STATE_DIR, "rate-limits.json");
+const ALERT_WEBHOOK_TIMEOUT_MS = 10000;
+const ALERT_NOTIFICATION_HISTORY = 50;
+const OAUTH_LOGIN_TIMEOUT_SECONDS = 600;
+const OAUTH_OUTPUT_LINES = 200;
+const OAUTH_SESSION_HISTORY = 20;
+const AUTH_PASSWORD = String(process.env.DIAG_AUTH_PASSWORD || "");
+const AUTH_TOKEN = String(process.env.DIAG_AUTH_TOKEN || "").trim();
+const AUTH_USERS_FILE = String(process.env.DIAG_AUTH_USERS_FILE || "").trim();
+const AUTH_ENABLED = AUTH_PASSWORD !== "" || AUTH_TOKEN !== "" || AUTH_USERS_FILE !== "";
+const SESSION_TTL_MS = Math.max(1, Number.parseInt(process.env.DIAG_SESSION_TTL_HOURS || "12", 10) || 12) * 60 * 60 * 1000;
+const COOKIE_SECURE = /^(1|true|yes|on)$/i.test(String(process.env.DIAG_COOKIE_SECURE || ""));
+const SESSION_COOKIE = "diag_session";
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const AUTH_USERS_RELOAD_MS = 5000;
 
 const JSON_HEADERS = {
   "Content-Type": "application/json; charset=utf-8",
@@ -53,6 +154,53 @@ const PROVIDER_LABELS = {
 
 const PROVIDER_ORDER = ["proxy-access", "claude", "codex", "gemini", "qwen", "iflow", "openai-compat", "unknown"];
 
+// CLIProxyAPI login flags and the local port each flow's OAuth redirect lands on.
+// Qwen uses a device-code flow: the user enters a code on the Qwen site, nothing calls back.
+const OAUTH_LOGIN_PROVIDERS = {
+  claude: { flag: "--claude-login", callbackPort: 54545 },
+  codex: { flag: "--codex-login", callbackPort: 1455 },
+  gemini: { flag: "--login", callbackPort: 8085 },
+  qwen: { flag: "--qwen-login", callbackPort: null },
+  iflow: { flag: "--iflow-login", callbackPort: 11451 },
+};
+
+const ROLE_RANK = {
+  viewer: 1,
+  operator: 2,
+};
+
+// Config keys whose values are credentials; matched against the last segment of the key.
+const SECRET_KEY_PATTERN = /(^|[-_])(api[-_]?keys?|keys?|secrets?|tokens?|passwords?|passwd|authorization|cookies?)$/i;
+
+// Top-level CLIProxyAPI settings the config editor knows how to check. Anything else is a warning.
+const CONFIG_SCHEMA = {
+  host: "text",
+  port: "port",
+  "auth-dir": "string",
+  debug: "boolean",
+  "logging-to-file": "boolean",
+  "usage-statistics-enabled": "boolean",
+  "request-log": "boolean",
+  "request-retry": "integer",
+  "proxy-url": "string",
+  "ws-auth": "boolean",
+  "api-keys": "string-list",
+  "generative-language-api-key": "string-list",
+  "gemini-api-key": "key-entries",
+  "claude-api-key": "key-entries",
+  "codex-api-key": "key-entries",
+  "openai-compatibility": "openai-compatibility",
+  "quota-exceeded": "mapping",
+  "remote-management": "mapping",
+  tls: "mapping",
+};
+
+const CONFIG_KEY_ENTRY_FIELDS = new Set(["api-key", "base-url", "proxy-url", "headers", "models", "prefix"]);
+const CONFIG_OPENAI_COMPAT_FIELDS = new Set(["name", "base-url", "api-keys", "api-key-entries", "models", "headers", "prefix"]);
+
+// Static assets the login page needs before a session exists.
+const PUBLIC_PATHS = new Set(["/login.html", "/login.js", "/styles.css"]);
+
 const FRESHNESS_SEVERITY = {
   missing: 0,
   configured: 1,
@@ -69,12 +217,361 @@ function isLocalRequest(req) {
   return addr === "127.0.0.1" || addr === "::1" || addr === "::ffff:127.0.0.1";
 }
 
-function sendJSON(res, code, body) {
-  res.writeHead(code, JSON_HEADERS);
+function sendJSON(res, code, body, extraHeaders = {}) {
+  res.writeHead(code, { ...JSON_HEADERS, ...extraHeaders });
   res.end(JSON.stringify(body));
 }
 
+function readJSONBody(req, limitBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limitBytes) {
+        reject(new Error("request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8").trim();
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        const parsed = JSON.parse(raw);
+        resolve(parsed && typeof parsed === "object" ? parsed : {});
+      } catch {
+        reject(new Error("request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function secretsMatch(provided, expected) {
+  if (!expected) {
+    return false;
+  }
+  // Hash both sides so timingSafeEqual always compares equal-length buffers.
+  const left = createHash("sha256").update(String(provided || "")).digest();
+  const right = createHash("sha256").update(String(expected)).digest();
+  return timingSafeEqual(left, right);
+}
+
+function parseCookies(req) {
+  const header = String(req.headers.cookie || "");
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const idx = part.indexOf("=");
+    if (idx <= 0) {
+      continue;
+    }
+    const name = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function buildSessionCookie(value, maxAgeSeconds) {
+  const parts = [`${SESSION_COOKIE}=${encodeURIComponent(value)}`, "Path=/", "HttpOnly", "SameSite=Strict", `Max-Age=${maxAgeSeconds}`];
+  if (COOKIE_SECURE) {
+    parts.push("Secure");
+  }
+  return parts.join("; ");
+}
+
+const sessions = new Map();
+const loginFailures = new Map();
+const authUsersCache = {
+  checkedAtMs: 0,
+  mtimeMs: -1,
+  users: [],
+};
+
+function normalizeRole(raw) {
+  const value = String(raw || "").trim().toLowerCase();
+  return ROLE_RANK[value] ? value : "viewer";
+}
+
+function hasRole(identity, role) {
+  return (ROLE_RANK[identity?.role] || 0) >= (ROLE_RANK[role] || Number.POSITIVE_INFINITY);
+}
+
+async function loadAuthUsers() {
+  if (!AUTH_USERS_FILE) {
+    return [];
+  }
+  const nowMs = Date.now();
+  if (nowMs - authUsersCache.checkedAtMs < AUTH_USERS_RELOAD_MS) {
+    return authUsersCache.users;
+  }
+  authUsersCache.checkedAtMs = nowMs;
+
+  try {
+    const fileStat = await stat(AUTH_USERS_FILE);
+    if (fileStat.mtimeMs === authUsersCache.mtimeMs) {
+      return authUsersCache.users;
+    }
+    const parsed = JSON.parse(await readFile(AUTH_USERS_FILE, "utf8"));
+    const entries = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.users) ? parsed.users : [];
+    authUsersCache.users = entries
+      .filter((entry) => entry && typeof entry === "object")
+      .map((entry) => ({
+        name: String(entry.name || "").trim(),
+        password: String(entry.password || ""),
+        token: String(entry.token || "").trim(),
+        role: normalizeRole(entry.role),
+        source: "file",
+      }))
+      .filter((entry) => entry.name && (entry.password || entry.token));
+    authUsersCache.mtimeMs = fileStat.mtimeMs;
+  } catch (error) {
+    // Keep the last good user list so a half-written file does not lock everyone out.
+    console.warn(`Failed to load ${AUTH_USERS_FILE}: ${error instanceof Error ? error.message : error}`);
+  }
+  return authUsersCache.users;
+}
+
+async function listCredentials() {
+  const credentials = [];
+  if (AUTH_PASSWORD) {
+    credentials.push({ name: "admin", password: AUTH_PASSWORD, token: "", role: "operator", source: "env" });
+  }
+  if (AUTH_TOKEN) {
+    credentials.push({ name: "token", password: "", token: AUTH_TOKEN, role: "operator", source: "env" });
+  }
+  return [...credentials, ...(await loadAuthUsers())];
+}
+
+async function findCredential(username, secret, { tokensOnly = false } = {}) {
+  if (!secret) {
+    return null;
+  }
+  const name = String(username || "").trim();
+  let match = null;
+  for (const credential of await listCredentials()) {
+    if (name && credential.name !== name) {
+      continue;
+    }
+    const tokenOk = credential.token !== "" && secretsMatch(secret, credential.token);
+    // Passwords of users-file entries need the user name; the env password works on its own.
+    const passwordAllowed = !tokensOnly && credential.password !== "" && (name || credential.source === "env");
+    const passwordOk = passwordAllowed && secretsMatch(secret, credential.password);
+    if (!match && (tokenOk || passwordOk)) {
+      match = { ...credential, method: tokenOk ? "token" : "password" };
+    }
+  }
+  return match;
+}
+
+function pruneSessions(nowMs = Date.now()) {
+  for (const [id, session] of sessions) {
+    if (session.expiresAtMs <= nowMs) {
+      sessions.delete(id);
+    }
+  }
+  for (const [addr, entry] of loginFailures) {
+    if (entry.lockedUntilMs <= nowMs && nowMs - entry.lastFailureMs > LOGIN_LOCKOUT_MS) {
+      loginFailures.delete(addr);
+    }
+  }
+}
+
+function createSession(credential) {
+  pruneSessions();
+  const id = randomBytes(32).toString("base64url");
+  const nowMs = Date.now();
+  const session = {
+    id,
+    user: credential.name,
+    role: credential.role,
+    source: credential.source,
+    method: credential.method,
+    createdAt: new Date(nowMs).toISOString(),
+    expiresAtMs: nowMs + SESSION_TTL_MS,
+  };
+  sessions.set(id, session);
+  return session;
+}
+
+function getBearerToken(req) {
+  const header = String(req.headers.authorization || "");
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+}
+
+async function authenticateRequest(req) {
+  if (!AUTH_ENABLED) {
+    if (isLocalRequest(req)) {
+      return { user: "local", role: "operator", method: "local", expiresAt: "" };
+    }
+    return ALLOW_REMOTE ? { user: "remote", role: "operator", method: "remote-open", expiresAt: "" } : null;
+  }
+
+  const bearer = getBearerToken(req);
+  if (bearer) {
+    const credential = await findCredential("", bearer, { tokensOnly: true });
+    return credential ? { user: credential.name, role: credential.role, method: "token", expiresAt: "" } : null;
+  }
+
+  const sessionId = parseCookies(req)[SESSION_COOKIE];
+  if (!sessionId) {
+    return null;
+  }
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAtMs <= Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  if (session.source === "file") {
+    // Removing a user or changing their role in the users file applies to live sessions too.
+    const current = (await loadAuthUsers()).find((entry) => entry.name === session.user);
+    if (!current) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    session.role = current.role;
+  }
+  return {
+    user: session.user,
+    role: session.role,
+    method: "session",
+    sessionId,
+    expiresAt: new Date(session.expiresAtMs).toISOString(),
+  };
+}
+
+function isCrossOriginWrite(req, method) {
+  if (method === "GET" || method === "HEAD") {
+    return false;
+  }
+  const origin = String(req.headers.origin || "");
+  if (!origin) {
+    return false;
+  }
+  try {
+    return new URL(origin).host !== String(req.headers.host || "");
+  } catch {
+    return true;
+  }
+}
+
+async function handleLogin(req, res) {
+  const addr = req.socket?.remoteAddress || "unknown";
+  const nowMs = Date.now();
+  const failures = loginFailures.get(addr);
+  if (failures && failures.lockedUntilMs > nowMs) {
+    const retryAfter = Math.ceil((failures.lockedUntilMs - nowMs) / 1000);
+    sendJSON(res, 429, { error: "Too many failed logins", details: `Try again in ${humanizeDurationMs(failures.lockedUntilMs - nowMs)}.` }, {
+      "Retry-After": String(retryAfter),
+    });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+    return;
+  }
+
+  const secret = String(body.password || body.token || "");
+  const credential = await findCredential(body.username, secret);
+
+  if (!credential) {
+    const entry = failures || { count: 0, lockedUntilMs: 0, lastFailureMs: 0 };
+    entry.count += 1;
+    entry.lastFailureMs = nowMs;
+    if (entry.count >= LOGIN_MAX_FAILURES) {
+      entry.count = 0;
+      entry.lockedUntilMs = nowMs + LOGIN_LOCKOUT_MS;
+    }
+    loginFailures.set(addr, entry);
+    console.warn(`Failed diagnostics login from ${addr}`);
+    sendJSON(res, 401, { error: "Invalid credentials" });
+    return;
+  }
+
+  loginFailures.delete(addr);
+  const session = createSession(credential);
+  sendJSON(
+    res,
+    200,
+    { ok: true, user: session.user, role: session.role, expiresAt: new Date(session.expiresAtMs).toISOString() },
+    { "Set-Cookie": buildSessionCookie(session.id, Math.floor(SESSION_TTL_MS / 1000)) },
+  );
+}
+
+function handleLogout(req, res) {
+  const sessionId = parseCookies(req)[SESSION_COOKIE];
+  if (sessionId) {
+    sessions.delete(sessionId);
+  }
+  sendJSON(res, 200, { ok: true }, { "Set-Cookie": buildSessionCookie("", 0) });
+}
+
+function describeSession(identity) {
+  return {
+    authEnabled: AUTH_ENABLED,
+    authenticated: Boolean(identity),
+    user: identity?.user || "",
+    role: identity?.role || "",
+    method: identity?.method || "",
+    expiresAt: identity?.expiresAt || "",
+  };
+}
+
+// Machine-readable endpoints: never redirect to the login page, and stay local-only without auth.
+function isAPIPath(pathname) {
+  return pathname.startsWith("/api/") || pathname === "/metrics";
+}
+
+function rejectUnauthenticated(req, res, pathname) {
+  if (isAPIPath(pathname)) {
+    if (!AUTH_ENABLED) {
+      sendJSON(res, 403, {
+        error: "Local access only",
+        details: "Set DIAG_AUTH_PASSWORD, DIAG_AUTH_TOKEN or DIAG_AUTH_USERS_FILE to expose the diagnostics API beyond localhost.",
+      });
+      return;
+    }
+    sendJSON(res, 401, { error: "Authentication required" });
+    return;
+  }
+  if (pathname === "/" || pathname.endsWith(".html")) {
+    res.writeHead(302, { Location: "/login.html", "Cache-Control": "no-store" });
+    res.end();
+    return;
+  }
+  res.writeHead(401, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("Authentication required");
+}
+
+// One object per line; a single JSON array (older `docker compose ps`, `podman ... --format json`)
+// is accepted too.
 function splitJSONLines(raw) {
+  const text = raw.trim();
+  if (text.startsWith("[")) {
+    try {
+      const rows = JSON.parse(text);
+      return Array.isArray(rows) ? rows.filter(Boolean) : [];
+    } catch {
+      return [];
+    }
+  }
   return raw
     .split(/\r?\n/)
     .map((line) => line.trim())
@@ -90,12 +587,19 @@ function splitJSONLines(raw) {
 }
 
 function runCommand(cmd, args, timeoutMs = 15000) {
-  return new Promise((resolve) => {
-    const child = spawn(cmd, args, {
+  return collectOutput(
+    spawn(cmd, args, {
       cwd: REPO_ROOT,
       env: process.env,
       stdio: ["ignore", "pipe", "pipe"],
-    });
+    }),
+    timeoutMs,
+  );
+}
+
+// Buffers a child process (or a Docker API stream, which looks like one) until it closes.
+function collectOutput(child, timeoutMs) {
+  return new Promise((resolve) => {
     let stdout = "";
     let stderr = "";
     let timedOut = false;
@@ -136,6 +640,160 @@ function runCommand(cmd, args, timeoutMs = 15000) {
   });
 }
 
+// Docker is reached through the Engine API socket when it answers, else through the `docker`
+// CLI. In `auto` mode a socket that stops answering hands over to the CLI and is tried again a
+// minute later; `api` and `cli` pin one transport.
+const dockerEngine = createDockerEngine({ socketPath: DOCKER_SOCKET });
+const dockerTransport = { api: false, checkedAt: 0, error: "" };
+
+async function detectDockerTransport() {
+  if (DOCKER_BACKEND === "cli") {
+    return;
+  }
+  const ping = await dockerEngine.ping();
+  dockerTransport.api = ping.ok || DOCKER_BACKEND === "api";
+  dockerTransport.error = ping.ok ? "" : ping.error;
+  dockerTransport.checkedAt = Date.now();
+}
+
+function useDockerAPI() {
+  if (DOCKER_BACKEND === "auto" && !dockerTransport.api && Date.now() - dockerTransport.checkedAt >= DOCKER_API_RETRY_MS) {
+    dockerTransport.checkedAt = Date.now();
+    detectDockerTransport();
+  }
+  return dockerTransport.api;
+}
+
+// A request the socket could not take at all is retried through the CLI by the caller.
+function noteDockerAPIResult(result) {
+  if (result.unreachable && DOCKER_BACKEND === "auto" && dockerTransport.api) {
+    dockerTransport.api = false;
+    dockerTransport.error = result.error;
+    dockerTransport.checkedAt = Date.now();
+    console.error(`Docker API at ${DOCKER_SOCKET} unreachable (${result.error}); falling back to the ${CONTAINER_CLI} CLI`);
+  }
+  return result;
+}
+
+// Process mode: the binary runs in its own directory, so relative paths in its config resolve
+// the way they do in the container's /CLIProxyAPI.
+const proxyProcess = PROCESS_MODE
+  ? createProcessSupervisor({
+      command: PROCESS_COMMAND,
+      args: PROCESS_ARGS,
+      cwd: path.dirname(PROCESS_COMMAND),
+      logLines: PROCESS_LOG_LINES,
+      onEvent: (event) => recordProcessEvent(event),
+    })
+  : null;
+
+// Opens a stream through the API, or spawns `docker <cliArgs>` (or `podman`) for the same output.
+function openDockerStream(openAPIStream, cliArgs) {
+  if (!useDockerAPI()) {
+    return spawn(CONTAINER_CLI, cliArgs, {
+      cwd: REPO_ROOT,
+      env: process.env,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  }
+  const child = openAPIStream();
+  child.on("error", (error) => noteDockerAPIResult({ unreachable: true, error: error.message }));
+  return child;
+}
+
+function runDockerStream(openAPIStream, cliArgs, timeoutMs) {
+  return collectOutput(openDockerStream(openAPIStream, cliArgs), timeoutMs);
+}
+
+// The proxy's output as `docker logs --timestamps` prints it: from the container, or in process
+// mode from the supervised binary (there is only one, so `container` does not matter).
+function openContainerLogs(container, { follow = false, tail = "", since = "", until = "" } = {}) {
+  if (PROCESS_MODE) {
+    return proxyProcess.logs({ follow, tail, since, until });
+  }
+  const args = ["logs", "--timestamps"];
+  if (tail !== "") {
+    args.push("--tail", String(tail));
+  }
+  if (since) {
+    args.push("--since", since);
+  }
+  if (until) {
+    args.push("--until", until);
+  }
+  if (follow) {
+    args.push("--follow");
+  }
+  return openDockerStream(() => dockerEngine.logs(container, { follow, tail, since, until }), [...args, container]);
+}
+
+// A container list entry from the API in the shape of a `docker ps` / `docker compose ps`
+// JSON row, so both transports share the normalizers below.
+function psRowFromEngine(container) {
+  const name = String(container.Names?.[0] || "").replace(/^\//, "");
+  const createdMs = Number(container.Created) * 1000;
+  const exited = String(container.Status || "").match(/^Exited \((-?\d+)\)/);
+  return {
+    ID: String(container.Id || "").slice(0, 12),
+    Name: name,
+    Names: name,
+    Service: container.Labels?.["com.docker.compose.service"] || "",
+    Image: container.Image || "",
+    State: container.State || "",
+    Status: container.Status || "",
+    CreatedAt: createdMs > 0 ? new Date(createdMs).toISOString() : "",
+    RunningFor: createdMs > 0 ? `${humanizeDurationMs(Date.now() - createdMs)} ago` : "",
+    ExitCode: exited ? Number.parseInt(exited[1], 10) : undefined,
+  };
+}
+
+// A `podman ps` row in the shape of a `docker ps` row. Podman lists Names as an array, says Id,
+// puts the relative age in CreatedAt and the creation time in Created (epoch seconds), and has
+// no Service column. Before Podman 2, State was a number; Status still tells the state then.
+// Rows that already look like Docker's (a docker-compose provider behind `podman compose`)
+// pass through.
+function psRowFromPodman(row) {
+  if (!Array.isArray(row.Names) && !row.Id) {
+    return row;
+  }
+  const name = String((Array.isArray(row.Names) ? row.Names[0] : row.Names) || "").replace(/^\//, "");
+  const createdMs = Number(row.Created) * 1000;
+  return {
+    ID: String(row.Id || row.ID || "").slice(0, 12),
+    Name: name,
+    Names: name,
+    Service: row.Labels?.["com.docker.compose.service"] || row.Labels?.["io.podman.compose.service"] || "",
+    Image: row.Image || "",
+    State: typeof row.State === "string" ? row.State.toLowerCase() : "",
+    Status: row.Status || "",
+    CreatedAt: createdMs > 0 ? new Date(createdMs).toISOString() : "",
+    RunningFor: typeof row.CreatedAt === "string" ? row.CreatedAt : "",
+    ExitCode: row.Exited && Number.isInteger(row.ExitCode) ? row.ExitCode : undefined,
+  };
+}
+
+// Compose labels its containers with the project name: COMPOSE_PROJECT_NAME, else `name:` in
+// the compose file, else the compose file's directory name.
+let composeProjectCache = null;
+
+async function composeProjectName() {
+  if (composeProjectCache === null) {
+    let name = process.env.COMPOSE_PROJECT_NAME || "";
+    if (!name) {
+      try {
+        name = String(parseYAML(await readFile(COMPOSE_FILE, "utf8"))?.name || "");
+      } catch {
+        // Unreadable compose file; the directory name is still a good guess.
+      }
+    }
+    composeProjectCache = (name || path.basename(path.dirname(path.resolve(COMPOSE_FILE))))
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, "")
+      .replace(/^[_-]+/, "");
+  }
+  return composeProjectCache;
+}
+
 function normalizeProviderName(raw) {
   const value = String(raw || "").trim().toLowerCase();
   if (!value) {
@@ -213,7 +871,13 @@ async function inspectContainerState(containerName) {
   if (!safeName) {
     return null;
   }
-  const result = await runCommand("docker", ["inspect", safeName, "--format", "{{json .State}}"], 10000);
+  if (useDockerAPI()) {
+    const result = noteDockerAPIResult(await dockerEngine.inspectContainer(safeName));
+    if (!result.unreachable) {
+      return result.ok && result.data?.State ? describeInspectState(result.data.State) : null;
+    }
+  }
+  const result = await runCommand(CONTAINER_CLI, ["inspect", safeName, "--format", "{{json .State}}"], 10000);
   if (result.code !== 0) {
     return null;
   }
@@ -222,19 +886,22 @@ async function inspectContainerState(containerName) {
     return null;
   }
   try {
-    const parsed = JSON.parse(payload);
-    return {
-      status: String(parsed.Status || "").toLowerCase(),
-      running: Boolean(parsed.Running),
-      exitCode: Number.isInteger(parsed.ExitCode) ? parsed.ExitCode : null,
-      startedAt: parseTimestamp(parsed.StartedAt),
-      finishedAt: parseTimestamp(parsed.FinishedAt),
-    };
+    return describeInspectState(JSON.parse(payload));
   } catch {
     return null;
   }
 }
 
+function describeInspectState(parsed) {
+  return {
+    status: String(parsed.Status || "").toLowerCase(),
+    running: Boolean(parsed.Running),
+    exitCode: Number.isInteger(parsed.ExitCode) ? parsed.ExitCode : null,
+    startedAt: parseTimestamp(parsed.StartedAt),
+    finishedAt: parseTimestamp(parsed.FinishedAt),
+  };
+}
+
 function normalizeContainerState(row, inspectState) {
   const status = String(row.Status || "");
   const inferred = deriveStateFromStatus(status);
@@ -258,10 +925,51 @@ function normalizeContainerState(row, inspectState) {
   };
 }
 
+async function listComposeContainers() {
+  if (useDockerAPI()) {
+    const project = await composeProjectName();
+    const result = noteDockerAPIResult(await dockerEngine.listContainers({ filters: { label: [`com.docker.compose.project=${project}`] } }));
+    if (!result.unreachable) {
+      return { ok: result.ok, rows: result.ok ? result.data.map(psRowFromEngine) : [], error: result.ok ? "" : result.error };
+    }
+  }
+  // What `podman compose ps` prints depends on the compose provider behind it, so Podman lists
+  // by the project label instead; podman-compose and docker-compose both set it.
+  const args = PODMAN_MODE
+    ? ["ps", "-a", "--filter", `label=com.docker.compose.project=${await composeProjectName()}`, "--format", "{{json .}}"]
+    : ["compose", "-f", COMPOSE_FILE, "ps", "--all", "--format", "json"];
+  const result = await runCommand(CONTAINER_CLI, args);
+  const ok = result.code === 0;
+  return {
+    ok,
+    rows: ok ? splitJSONLines(result.stdout).map(psRowFromPodman) : [],
+    error: ok ? "" : (result.stderr || result.stdout || `${CONTAINER_CLI} ${args[0]} command failed`).trim(),
+  };
+}
+
+// Docker matches the name filter against "/name", Podman against "name".
+const TARGET_NAME_FILTER = `^/?${TARGET_CONTAINER}$`;
+
+async function listTargetContainers() {
+  if (useDockerAPI()) {
+    const result = noteDockerAPIResult(await dockerEngine.listContainers({ filters: { name: [TARGET_NAME_FILTER] } }));
+    if (!result.unreachable) {
+      return { ok: result.ok, rows: result.ok ? result.data.map(psRowFromEngine) : [], error: result.ok ? "" : result.error };
+    }
+  }
+  const result = await runCommand(CONTAINER_CLI, ["ps", "-a", "--filter", `name=${TARGET_NAME_FILTER}`, "--format", "{{json .}}"]);
+  const ok = result.code === 0;
+  return {
+    ok,
+    rows: ok ? splitJSONLines(result.stdout).map(psRowFromPodman) : [],
+    error: ok ? "" : (result.stderr || result.stdout || `${CONTAINER_CLI} ps command failed`).trim(),
+  };
+}
+
 async function getComposeServiceSummary() {
-  const composeResult = await runCommand("docker", ["compose", "-f", COMPOSE_FILE, "ps", "--all", "--format", "json"]);
-  const dockerOk = composeResult.code === 0;
-  const services = dockerOk ? splitJSONLines(composeResult.stdout).map(normalizeComposeServiceState) : [];
+  const listing = await listComposeContainers();
+  const dockerOk = listing.ok;
+  const services = listing.rows.map(normalizeComposeServiceState);
 
   if (services.length === 0 && dockerOk) {
     services.push({
@@ -292,13 +1000,13 @@ async function getComposeServiceSummary() {
     defaultContainer: TARGET_CONTAINER,
     overallState,
     services,
-    commandError: dockerOk ? "" : (composeResult.stderr || composeResult.stdout || "docker compose command failed").trim(),
+    commandError: listing.error,
   };
 }
 
 async function getContainerServiceSummary() {
-  const result = await runCommand("docker", ["ps", "-a", "--filter", `name=^/${TARGET_CONTAINER}$`, "--format", "{{json .}}"]);
-  const dockerOk = result.code === 0;
+  const listing = await listTargetContainers();
+  const dockerOk = listing.ok;
 
   if (!dockerOk) {
     return {
@@ -311,11 +1019,11 @@ async function getContainerServiceSummary() {
       defaultContainer: TARGET_CONTAINER,
       overallState: "unknown",
       services: [],
-      commandError: (result.stderr || result.stdout || "docker ps command failed").trim(),
+      commandError: listing.error,
     };
   }
 
-  const rows = splitJSONLines(result.stdout);
+  const rows = listing.rows;
   if (rows.length === 0) {
     return {
       generatedAt: new Date().toISOString(),
@@ -363,7 +1071,77 @@ async function getContainerServiceSummary() {
   };
 }
 
+// The supervised binary in the shape of a container summary, so the status cards, health
+// history and alerts read it unchanged.
+function getProcessServiceSummary() {
+  const proc = proxyProcess.status();
+  const nowMs = Date.now();
+  const exitedAgo = proc.exitedAt ? ` ${humanizeDurationMs(nowMs - Date.parse(proc.exitedAt))} ago` : "";
+  const descriptions = {
+    running: ["running", `Up ${humanizeDurationMs(proc.uptimeMs)} (pid ${proc.pid})`],
+    starting: ["restarting", "Starting"],
+    stopping: ["stopping", `Stopping (pid ${proc.pid})`],
+    backoff: [
+      "restarting",
+      `${proc.exitCode === null ? `Failed to start (${proc.error})` : `Exited (${proc.exitCode})${exitedAgo}`}; restarting in ${humanizeDurationMs(Date.parse(proc.nextRestartAt) - nowMs)}`,
+    ],
+    failed: ["exited", `Failed to start: ${proc.error}`],
+    stopped: proc.exitedAt ? ["exited", `Exited (${proc.exitCode ?? "?"})${exitedAgo}`] : ["not-created", "Not started"],
+  };
+  const [state, status] = descriptions[proc.state] || ["unknown", proc.state];
+  const running = proc.state === "running";
+  return {
+    generatedAt: new Date(nowMs).toISOString(),
+    backend: "process",
+    dockerMode: DOCKER_MODE,
+    dockerAvailable: true,
+    composeFile: COMPOSE_FILE,
+    defaultService: DEFAULT_SERVICE,
+    defaultContainer: TARGET_CONTAINER,
+    overallState: state,
+    services: [
+      {
+        service: DEFAULT_SERVICE,
+        container: TARGET_CONTAINER,
+        state,
+        status,
+        image: PROCESS_COMMAND,
+        createdAt: proc.startedAt,
+        runningFor: running ? humanizeDurationMs(proc.uptimeMs) : "",
+        exitCode: running ? null : proc.exitCode,
+        id: proc.pid ? String(proc.pid) : "",
+        running,
+        exited: state === "exited",
+      },
+    ],
+    process: {
+      command: PROCESS_COMMAND,
+      args: PROCESS_ARGS,
+      cwd: proxyProcess.cwd,
+      state: proc.state,
+      pid: proc.pid,
+      startedAt: proc.startedAt,
+      uptimeSeconds: Math.round(proc.uptimeMs / 1000),
+      exitedAt: proc.exitedAt,
+      exitCode: proc.exitCode,
+      signal: proc.signal,
+      restarts: proc.restarts,
+      nextRestartAt: proc.nextRestartAt,
+      error: proc.error,
+    },
+    commandError: proc.state === "failed" ? proc.error : "",
+  };
+}
+
 async function getServiceSummary() {
+  if (PROCESS_MODE) {
+    return { ...getProcessServiceSummary(), runtime: "process", transport: "" };
+  }
+  const summary = await resolveServiceSummary();
+  return { ...summary, runtime: CONTAINER_CLI, transport: dockerTransport.api ? "api" : "cli" };
+}
+
+async function resolveServiceSummary() {
   if (DOCKER_MODE === "compose") {
     return getComposeServiceSummary();
   }
@@ -372,10 +1150,15 @@ async function getServiceSummary() {
   }
 
   const compose = await getComposeServiceSummary();
-  if (compose.dockerAvailable) {
+  if (compose.dockerAvailable && compose.overallState !== "not-created") {
     return compose;
   }
+  // No container carries the project label (started by hand, or a different project name), so
+  // look the target up by name before reporting it as not created.
   const container = await getContainerServiceSummary();
+  if (compose.dockerAvailable) {
+    return container.dockerAvailable && container.overallState !== "not-created" ? container : compose;
+  }
   if (container.dockerAvailable) {
     if (!container.commandError && compose.commandError) {
       container.commandError = compose.commandError;
@@ -385,79 +1168,186 @@ async function getServiceSummary() {
   return compose;
 }
 
-function getYamlSectionLines(text, key) {
-  const lines = text.split(/\r?\n/);
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = lines[i];
-    if (/^\s*#/.test(line)) {
-      continue;
-    }
-    const match = line.match(/^(\s*)([^:#][^:]*):\s*(.*)$/);
-    if (!match) {
-      continue;
-    }
-    const indent = match[1].length;
-    const thisKey = match[2].trim();
-    if (thisKey !== key) {
-      continue;
-    }
-    const inlineValue = match[3].trim();
-    const block = [];
-    for (let j = i + 1; j < lines.length; j += 1) {
-      const next = lines[j];
-      if (next.trim() === "" || /^\s*#/.test(next)) {
-        block.push(next);
-        continue;
-      }
-      const nextIndent = (next.match(/^\s*/) || [""])[0].length;
-      if (nextIndent <= indent) {
-        break;
-      }
-      block.push(next);
+async function loadConfig() {
+  let text = "";
+  try {
+    text = await readFile(CONFIG_FILE, "utf8");
+  } catch (error) {
+    return {
+      readable: false,
+      text: "",
+      config: null,
+      parseError: "",
+      readError: error instanceof Error ? error.message : "failed to read config",
+    };
+  }
+  try {
+    const parsed = parseYAML(text);
+    if (parsed !== null && (typeof parsed !== "object" || Array.isArray(parsed))) {
+      return { readable: true, text, config: null, parseError: "config.yaml must be a mapping at the top level", readError: "" };
     }
-    return { inlineValue, block };
+    return { readable: true, text, config: parsed || {}, parseError: "", readError: "" };
+  } catch (error) {
+    return {
+      readable: true,
+      text,
+      config: null,
+      parseError: error instanceof Error ? error.message : "failed to parse YAML",
+      readError: "",
+    };
   }
-  return { inlineValue: "", block: [] };
 }
 
-function parseInlineList(value) {
-  const cleaned = value.split("#")[0].trim();
-  if (cleaned === "" || cleaned === "[]") {
-    return [];
-  }
-  if (cleaned.startsWith("[") && cleaned.endsWith("]")) {
-    return cleaned
-      .slice(1, -1)
-      .split(",")
-      .map((part) => part.trim().replace(/^['"]|['"]$/g, ""))
-      .filter(Boolean);
-  }
-  return [cleaned.replace(/^['"]|['"]$/g, "")].filter(Boolean);
+function countConfigEntries(config, key) {
+  const value = config?.[key];
+  return Array.isArray(value) ? value.length : 0;
 }
 
-function countYamlListEntries(text, key) {
-  const section = getYamlSectionLines(text, key);
-  if (section.inlineValue) {
-    return parseInlineList(section.inlineValue).length;
-  }
-  let listIndent = -1;
-  let count = 0;
-  for (const line of section.block) {
-    const match = line.match(/^(\s*)-\s*/);
-    if (!match) {
-      continue;
+function isSecretConfigKey(key) {
+  return SECRET_KEY_PATTERN.test(String(key || ""));
+}
+
+function maskSecret(value) {
+  const text = String(value ?? "");
+  if (!text) {
+    return "";
+  }
+  if (text.length < 16) {
+    return "••••";
+  }
+  return `${text.slice(0, 3)}…${text.slice(-4)}`;
+}
+
+function maskURLCredentials(value) {
+  return value.replace(/^([a-z][a-z0-9+.-]*:\/\/)([^/@\s:]+)(?::[^/@\s]*)?@/i, (_match, scheme, user) => `${scheme}${user}:••••@`);
+}
+
+// Masks strings under secret-looking keys (api-keys, secret-key, Authorization, ...) at any depth.
+function redactConfigValue(value, secret = false) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactConfigValue(item, secret));
+  }
+  if (value && typeof value === "object") {
+    const output = {};
+    for (const [key, child] of Object.entries(value)) {
+      output[key] = redactConfigValue(child, isSecretConfigKey(key));
     }
-    const indent = match[1].length;
-    if (listIndent === -1) {
-      listIndent = indent;
-      count += 1;
-      continue;
+    return output;
+  }
+  if (typeof value === "string") {
+    return secret ? maskSecret(value) : maskURLCredentials(value);
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    return String(value);
+  }
+  return value;
+}
+
+function flattenConfigSettings(value, prefix = "", secret = false, output = []) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      output.push({ path: prefix, value: "[]", type: "list", secret });
+    }
+    value.forEach((item, idx) => flattenConfigSettings(item, `${prefix}[${idx}]`, secret, output));
+    return output;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) {
+      output.push({ path: prefix, value: "{}", type: "map", secret });
     }
-    if (indent === listIndent) {
-      count += 1;
+    for (const [key, child] of entries) {
+      flattenConfigSettings(child, prefix ? `${prefix}.${key}` : key, isSecretConfigKey(key), output);
     }
+    return output;
+  }
+  const isSecret = secret && typeof value === "string";
+  let display = value === null ? "null" : String(value);
+  if (typeof value === "string") {
+    display = isSecret ? maskSecret(value) : maskURLCredentials(value);
+  }
+  output.push({
+    path: prefix,
+    value: display,
+    type: value === null ? "null" : typeof value,
+    secret: isSecret,
+  });
+  return output;
+}
+
+function summarizeConfigUpstreams(config) {
+  const upstreams = [];
+  for (const [key, provider] of [
+    ["claude-api-key", "claude"],
+    ["codex-api-key", "codex"],
+    ["gemini-api-key", "gemini"],
+  ]) {
+    const entries = Array.isArray(config?.[key]) ? config[key] : [];
+    entries.forEach((entry, idx) => {
+      const baseUrl = entry && typeof entry === "object" ? String(entry["base-url"] || "") : "";
+      upstreams.push({
+        source: `${key}[${idx}]`,
+        provider,
+        label: formatProviderLabel(provider),
+        name: "",
+        baseUrl: maskURLCredentials(baseUrl) || "(provider default)",
+        keyCount: 1,
+        models: [],
+      });
+    });
   }
-  return count;
+
+  const compat = Array.isArray(config?.["openai-compatibility"]) ? config["openai-compatibility"] : [];
+  compat.forEach((entry, idx) => {
+    if (!entry || typeof entry !== "object") {
+      return;
+    }
+    const keyEntries = Array.isArray(entry["api-key-entries"]) ? entry["api-key-entries"].length : 0;
+    const plainKeys = Array.isArray(entry["api-keys"]) ? entry["api-keys"].length : 0;
+    const models = (Array.isArray(entry.models) ? entry.models : [])
+      .filter((model) => model && typeof model === "object")
+      .map((model) => ({ name: String(model.name ?? ""), alias: String(model.alias ?? "") }));
+    upstreams.push({
+      source: `openai-compatibility[${idx}]`,
+      provider: "openai-compat",
+      label: formatProviderLabel("openai-compat"),
+      name: String(entry.name ?? ""),
+      baseUrl: maskURLCredentials(String(entry["base-url"] ?? "")),
+      keyCount: keyEntries + plainKeys,
+      models,
+    });
+  });
+  return upstreams;
+}
+
+async function getConfigView() {
+  const loaded = await loadConfig();
+  const config = loaded.config || {};
+  const upstreams = summarizeConfigUpstreams(config);
+  const modelAliases = upstreams.flatMap((upstream) =>
+    upstream.models
+      .filter((model) => model.alias)
+      .map((model) => ({ alias: model.alias, model: model.name, upstream: upstream.name || upstream.source })),
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    configPath: CONFIG_FILE,
+    readable: loaded.readable,
+    readError: loaded.readError,
+    parseError: loaded.parseError,
+    highlights: {
+      port: config.port ?? null,
+      authDir: config["auth-dir"] ?? null,
+      debug: config.debug === true,
+      proxyUrl: typeof config["proxy-url"] === "string" ? maskURLCredentials(config["proxy-url"]) : "",
+      proxyAccessKeys: countConfigEntries(config, "api-keys"),
+    },
+    upstreams,
+    modelAliases,
+    settings: loaded.config ? flattenConfigSettings(config) : [],
+    config: loaded.config ? redactConfigValue(config) : null,
+  };
 }
 
 function parseTimestamp(rawValue) {
@@ -644,14 +1534,9 @@ async function fetchProxyJSON(endpointPath) {
   const timer = setTimeout(() => controller.abort(), Math.max(1000, MODEL_FETCH_TIMEOUT_MS || 10000));
 
   try {
-    const headers = { Accept: "application/json" };
-    if (PROXY_API_KEY) {
-      headers.Authorization = `Bearer ${PROXY_API_KEY}`;
-      headers["X-API-Key"] = PROXY_API_KEY;
-    }
     const response = await fetch(url, {
       method: "GET",
-      headers,
+      headers: buildProxyHeaders({ Accept: "application/json" }),
       signal: controller.signal,
     });
     const text = await response.text();
@@ -763,6 +1648,7 @@ async function getProviderModels() {
       displayName: item.displayName,
       ownedBy: item.ownedBy,
       sources: [...item.sources].sort(),
+      lastProbe: probeResults.get(probeKey(item.provider, item.id)) || null,
     });
     byProvider.set(item.provider, list);
   }
@@ -811,6 +1697,355 @@ async function getProviderModels() {
   };
 }
 
+// Latest probe per provider/model. Listing a model only proves the proxy knows about it;
+// a probe sends a real (tiny) completion so a broken credential shows up here.
+const probeResults = new Map();
+const probesInFlight = new Map();
+
+function probeKey(provider, model) {
+  return `${provider}::${model}`;
+}
+
+function buildProxyHeaders(extra = {}) {
+  const headers = { ...extra };
+  if (PROXY_API_KEY) {
+    headers.Authorization = `Bearer ${PROXY_API_KEY}`;
+    headers["X-API-Key"] = PROXY_API_KEY;
+  }
+  return headers;
+}
+
+function extractUpstreamError(payload, text, status) {
+  const message =
+    (payload && (payload.error?.message || payload.error || payload.message)) || text || `upstream returned ${status}`;
+  return truncateProbeText(typeof message === "string" ? message : JSON.stringify(message));
+}
+
+function truncateProbeText(value, maxLength = 300) {
+  const text = String(value || "").trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+async function sendProbeRequest(model, stream) {
+  const startedAt = performance.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), Math.max(1000, PROBE_TIMEOUT_MS));
+  const result = { ok: false, status: 0, error: "", retryAfter: "", ttftMs: null, latencyMs: null, reply: "" };
+
+  try {
+    const response = await fetch(`${PROXY_BASE}/v1/chat/completions`, {
+      method: "POST",
+      headers: buildProxyHeaders({
+        "Content-Type": "application/json",
+        Accept: stream ? "text/event-stream" : "application/json",
+      }),
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: PROBE_PROMPT }],
+        max_tokens: PROBE_MAX_TOKENS,
+        stream,
+      }),
+      signal: controller.signal,
+    });
+    result.status = response.status;
+
+    if (!stream || !response.ok || !response.body) {
+      const text = await response.text();
+      result.latencyMs = Math.round(performance.now() - startedAt);
+      let payload = null;
+      try {
+        payload = text ? JSON.parse(text) : null;
+      } catch {
+        payload = null;
+      }
+      if (!response.ok) {
+        result.error = extractUpstreamError(payload, text, response.status);
+        result.retryAfter = response.headers.get("retry-after") || "";
+        return result;
+      }
+      const content = payload?.choices?.[0]?.message?.content;
+      result.reply = truncateProbeText(content, 80);
+      result.ok = payload !== null && !payload.error;
+      if (!result.ok) {
+        result.error = payload ? extractUpstreamError(payload, text, response.status) : "response was not JSON";
+      }
+      return result;
+    }
+
+    // Streaming: time-to-first-token is the first SSE chunk that carries content.
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let reply = "";
+    let sawDone = false;
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop() || "";
+      for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line.startsWith("data:")) {
+          continue;
+        }
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") {
+          sawDone = true;
+          continue;
+        }
+        let event = null;
+        try {
+          event = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        if (event?.error) {
+          result.error = extractUpstreamError(event, data, response.status);
+          continue;
+        }
+        const delta = event?.choices?.[0]?.delta?.content;
+        if (typeof delta === "string" && delta !== "") {
+          if (result.ttftMs === null) {
+            result.ttftMs = Math.round(performance.now() - startedAt);
+          }
+          reply += delta;
+        }
+      }
+    }
+    result.latencyMs = Math.round(performance.now() - startedAt);
+    result.reply = truncateProbeText(reply, 80);
+    if (!result.error && result.ttftMs === null) {
+      result.error = sawDone ? "stream finished without any content" : "stream ended without data";
+    }
+    result.ok = result.error === "";
+    return result;
+  } catch (error) {
+    result.latencyMs = Math.round(performance.now() - startedAt);
+    result.error = controller.signal.aborted
+      ? `timed out after ${PROBE_TIMEOUT_MS}ms`
+      : error instanceof Error
+        ? error.message
+        : "request failed";
+    return result;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function runModelProbe(provider, model, { stream = false, source = "manual" } = {}) {
+  const key = probeKey(provider, model);
+  // A second click while a probe is running joins it instead of spending another request.
+  if (probesInFlight.has(key)) {
+    return probesInFlight.get(key);
+  }
+
+  const task = (async () => {
+    const completion = await sendProbeRequest(model, false);
+    const streamed = stream ? await sendProbeRequest(model, true) : null;
+    const record = {
+      provider,
+      model,
+      checkedAt: new Date().toISOString(),
+      ok: completion.ok && (streamed ? streamed.ok : true),
+      status: completion.status,
+      error: completion.error || streamed?.error || "",
+      latencyMs: completion.latencyMs,
+      ttftMs: streamed?.ttftMs ?? null,
+      completion,
+      stream: streamed,
+    };
+    probeResults.set(key, record);
+    recordProbeRateLimit(provider, completion);
+    if (!record.ok) {
+      const problem = classifyError(record.error, { status: record.status, provider, providerLabel: formatProviderLabel(provider), model });
+      if (problem) {
+        problemStore.record(problem, { provider, model, source: "probe", sample: record.error });
+      }
+    }
+    await appendHistory(HISTORY_DIR, {
+      type: "probe",
+      at: record.checkedAt,
+      source,
+      provider,
+      model,
+      ok: record.ok,
+      status: record.status,
+      error: record.error,
+      latencyMs: record.latencyMs,
+      ttftMs: record.ttftMs,
+    }).catch((error) => console.error(`Failed to record probe history: ${error.message}`));
+    return record;
+  })();
+
+  probesInFlight.set(key, task);
+  try {
+    return await task;
+  } finally {
+    probesInFlight.delete(key);
+  }
+}
+
+async function runProbes(targets, options) {
+  const results = new Array(targets.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < targets.length) {
+      const idx = next;
+      next += 1;
+      results[idx] = await runModelProbe(targets[idx].provider, targets[idx].model, options);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PROBE_CONCURRENCY, targets.length) }, worker));
+  return results;
+}
+
+function getProbeResults() {
+  const results = [...probeResults.values()].sort(
+    (a, b) => sortProviders(a.provider, b.provider) || a.model.localeCompare(b.model),
+  );
+  return {
+    generatedAt: new Date().toISOString(),
+    proxyBase: PROXY_BASE,
+    running: [...probesInFlight.keys()],
+    results,
+  };
+}
+
+async function handleProbe(req, res) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+    return;
+  }
+
+  const model = normalizeModelID(body.model);
+  const provider = String(body.provider || "").trim();
+  if (!model && !provider) {
+    sendJSON(res, 400, { error: "model or provider is required" });
+    return;
+  }
+
+  // Probes are resolved against the live catalog so the provider label matches the models table.
+  const catalog = await readStateTopic("models");
+  const targets = [];
+  for (const group of catalog.providerModels) {
+    for (const item of group.models) {
+      if (model ? item.id === model && (!provider || group.provider === provider) : group.provider === provider) {
+        targets.push({ provider: group.provider, model: item.id });
+      }
+    }
+  }
+  if (targets.length === 0) {
+    if (!model) {
+      sendJSON(res, 404, { error: `no models listed for provider ${provider}` });
+      return;
+    }
+    // Still probe models the catalog does not list; that is a useful answer too.
+    targets.push({ provider: provider || inferProviderFromModel(model, ""), model });
+  }
+
+  const results = await runProbes(targets, { stream: body.stream === true });
+  sendJSON(res, 200, {
+    generatedAt: new Date().toISOString(),
+    proxyBase: PROXY_BASE,
+    total: results.length,
+    failed: results.filter((item) => !item.ok).length,
+    results,
+  });
+}
+
+const historySchedule = {
+  lastHealthCheckAt: "",
+  lastProbeRunAt: "",
+  nextProbeRunAt: "",
+  errors: { healthCheck: "", probes: "" },
+};
+
+async function recordContainerCheck() {
+  const summary = await readStateTopic("summary");
+  await appendHistory(HISTORY_DIR, {
+    type: "container",
+    at: new Date().toISOString(),
+    state: summary.overallState,
+    running: summary.overallState === "running",
+    dockerAvailable: summary.dockerAvailable,
+  });
+  historySchedule.lastHealthCheckAt = new Date().toISOString();
+  await pruneHistory(HISTORY_DIR, HISTORY_RETENTION_DAYS);
+}
+
+async function resolveScheduledProbeTargets() {
+  const catalog = await readStateTopic("models");
+  if (PROBE_SCHEDULE_MODELS.length === 0) {
+    // Default to one model per provider: enough to tell whether the credential works
+    // without spending quota on every model.
+    return catalog.providerModels
+      .filter((group) => group.models.length > 0)
+      .map((group) => ({ provider: group.provider, model: group.models[0].id }));
+  }
+  return PROBE_SCHEDULE_MODELS.map((model) => {
+    const id = normalizeModelID(model);
+    const group = catalog.providerModels.find((item) => item.models.some((entry) => entry.id === id));
+    return { provider: group ? group.provider : inferProviderFromModel(id, ""), model: id };
+  });
+}
+
+async function runScheduledProbes() {
+  const targets = await resolveScheduledProbeTargets();
+  await runProbes(targets, { source: "schedule" });
+  historySchedule.lastProbeRunAt = new Date().toISOString();
+}
+
+function scheduleRepeating(name, intervalMs, task, onScheduled = () => {}) {
+  const tick = async () => {
+    try {
+      await task();
+      historySchedule.errors[name] = "";
+    } catch (error) {
+      historySchedule.errors[name] = error instanceof Error ? error.message : String(error);
+      console.error(`Scheduled ${name} failed: ${historySchedule.errors[name]}`);
+    }
+    onScheduled(Date.now() + intervalMs);
+    setTimeout(tick, intervalMs).unref();
+  };
+  return tick;
+}
+
+function startHistoryScheduler() {
+  if (HEALTH_CHECK_INTERVAL_MS > 0) {
+    setTimeout(scheduleRepeating("healthCheck", HEALTH_CHECK_INTERVAL_MS, recordContainerCheck), 5000).unref();
+  }
+  if (PROBE_INTERVAL_MS > 0) {
+    const tick = scheduleRepeating("probes", PROBE_INTERVAL_MS, runScheduledProbes, (nextMs) => {
+      historySchedule.nextProbeRunAt = new Date(nextMs).toISOString();
+    });
+    // Give the proxy a moment after a joint `docker compose up` before the first probe.
+    historySchedule.nextProbeRunAt = new Date(Date.now() + 60 * 1000).toISOString();
+    setTimeout(tick, 60 * 1000).unref();
+  }
+}
+
+async function getHealthHistory(rangeName) {
+  const range = HISTORY_RANGES[rangeName] ? rangeName : "24h";
+  const nowMs = Date.now();
+  const records = await readHistory(HISTORY_DIR, nowMs - HISTORY_RANGES[range].spanMs - HISTORY_RANGES[range].bucketMs, nowMs);
+  const summary = summarizeHistory(records, range, nowMs);
+  summary.providers = summary.providers
+    .map((item) => ({ ...item, label: formatProviderLabel(item.provider) }))
+    .sort((a, b) => sortProviders(a.provider, b.provider));
+  return {
+    generatedAt: new Date(nowMs).toISOString(),
+    ...summary,
+    schedule: {
+      healthCheckSeconds: HEALTH_CHECK_INTERVAL_MS / 1000,
+      probeIntervalMinutes: PROBE_INTERVAL_MS / 60000,
+      probeModels: PROBE_SCHEDULE_MODELS,
+      retentionDays: HISTORY_RETENTION_DAYS,
+      ...historySchedule,
+    },
+  };
+}
+
 function buildProviderHealth(oauthFiles, staticCounts) {
   const nowMs = Date.now();
   const grouped = new Map();
@@ -912,12 +2147,126 @@ function buildProviderHealth(oauthFiles, staticCounts) {
       parseErrors,
       soonestExpiry,
       latestRefresh,
+      loginSupported: provider in OAUTH_LOGIN_PROVIDERS,
     });
   }
 
   return output;
 }
 
+// One entry per account rather than per provider: duplicates, each account's own freshness,
+// and the usage the log collector attributed to it.
+function buildAccountView(oauthFiles, disabledFiles) {
+  const nowMs = Date.now();
+  const accounts = groupAccounts([...oauthFiles, ...disabledFiles]).map((account) => {
+    const active = account.files.filter((file) => !file.disabled);
+    let freshness = { level: "missing", message: "All files disabled", expiresInMs: null };
+    for (const file of active) {
+      const candidate = evaluateOAuthFileFreshness(file, nowMs);
+      // Any one usable file keeps the account working, so the best file decides.
+      if (freshness.level === "missing" || (FRESHNESS_SEVERITY[candidate.level] || 0) < (FRESHNESS_SEVERITY[freshness.level] || 0)) {
+        freshness = candidate;
+      }
+    }
+    const usage = accountUsage.lookup(accountIdentifiers(account));
+    return {
+      key: account.key,
+      provider: account.provider,
+      label: formatProviderLabel(account.provider),
+      email: account.email,
+      accountId: account.accountId,
+      plan: account.plan,
+      files: account.files.map((file) => ({
+        file: file.file,
+        disabled: Boolean(file.disabled),
+        expiresAt: file.expiresAt,
+        modifiedAt: file.modifiedAt,
+        freshness: evaluateOAuthFileFreshness(file, nowMs).level,
+      })),
+      activeFiles: active.length,
+      duplicate: active.length > 1,
+      status: freshness.level,
+      statusMessage: freshness.message,
+      usage,
+      failing: usage.consecutiveFailures >= ACCOUNT_FAILURE_THRESHOLD,
+      share: 0,
+    };
+  });
+
+  const recentByProvider = {};
+  for (const account of accounts) {
+    recentByProvider[account.provider] = (recentByProvider[account.provider] || 0) + account.usage.recentRequests;
+  }
+  for (const account of accounts) {
+    const total = recentByProvider[account.provider];
+    account.share = total > 0 ? account.usage.recentRequests / total : 0;
+  }
+
+  accounts.sort((a, b) => sortProviders(a.provider, b.provider) || (a.email || a.key).localeCompare(b.email || b.key));
+  return {
+    usageSource: metricsCollector.state,
+    failureThreshold: ACCOUNT_FAILURE_THRESHOLD,
+    duplicates: accounts.filter((account) => account.duplicate).length,
+    failing: accounts.filter((account) => account.failing).length,
+    accounts,
+  };
+}
+
+async function describeAuthFile(fullPath, name) {
+  let fileSize = 0;
+  let modifiedAt = "";
+  try {
+    const fileStat = await stat(fullPath);
+    fileSize = fileStat.size;
+    modifiedAt = fileStat.mtime.toISOString();
+  } catch {
+    // Ignore stat failures for this entry.
+  }
+
+  try {
+    const raw = await readFile(fullPath, "utf8");
+    const parsed = JSON.parse(raw);
+    const provider = normalizeProviderName(parsed.type || parsed.provider || inferProviderFromFileName(name));
+    const metadata = extractTokenMetadata(parsed);
+    const email = String(parsed.email || parsed.account_email || parsed.account || metadata.claims.find((claim) => claim.email)?.email || "").trim();
+    const expiresAt =
+      parseTimestamp(parsed.expires_at) ||
+      parseTimestamp(parsed.expiresAt) ||
+      parseTimestamp(parsed.expire) ||
+      parseTimestamp(parsed.expired) ||
+      metadata.tokenExpiresAt;
+    const lastRefresh =
+      parseTimestamp(parsed.last_refresh) ||
+      parseTimestamp(parsed.lastRefresh) ||
+      parseTimestamp(parsed.last_refreshed_at) ||
+      parseTimestamp(parsed.lastRefreshedAt);
+
+    return {
+      file: name,
+      provider,
+      email,
+      expiresAt,
+      lastRefresh,
+      modifiedAt,
+      size: fileSize,
+      parseError: "",
+      ...metadata,
+    };
+  } catch (error) {
+    return {
+      file: name,
+      provider: inferProviderFromFileName(name),
+      email: "",
+      expiresAt: "",
+      lastRefresh: "",
+      modifiedAt,
+      size: fileSize,
+      parseError: error instanceof Error ? error.message : "failed to parse JSON",
+      ...extractTokenMetadata(null),
+    };
+  }
+}
+
 async function readAuthFiles() {
   const result = [];
   try {
@@ -926,55 +2275,7 @@ async function readAuthFiles() {
       if (!entry.isFile() || !entry.name.toLowerCase().endsWith(".json")) {
         continue;
       }
-      const fullPath = path.join(DATA_DIR, entry.name);
-      let fileSize = 0;
-      let modifiedAt = "";
-      try {
-        const fileStat = await stat(fullPath);
-        fileSize = fileStat.size;
-        modifiedAt = fileStat.mtime.toISOString();
-      } catch {
-        // Ignore stat failures for this entry.
-      }
-
-      try {
-        const raw = await readFile(fullPath, "utf8");
-        const parsed = JSON.parse(raw);
-        const provider = normalizeProviderName(parsed.type || parsed.provider || inferProviderFromFileName(entry.name));
-        const email = String(parsed.email || parsed.account_email || parsed.account || "").trim();
-        const expiresAt =
-          parseTimestamp(parsed.expires_at) ||
-          parseTimestamp(parsed.expiresAt) ||
-          parseTimestamp(parsed.expire) ||
-          parseTimestamp(parsed.expired);
-        const lastRefresh =
-          parseTimestamp(parsed.last_refresh) ||
-          parseTimestamp(parsed.lastRefresh) ||
-          parseTimestamp(parsed.last_refreshed_at) ||
-          parseTimestamp(parsed.lastRefreshedAt);
-
-        result.push({
-          file: entry.name,
-          provider,
-          email,
-          expiresAt,
-          lastRefresh,
-          modifiedAt,
-          size: fileSize,
-          parseError: "",
-        });
-      } catch (error) {
-        result.push({
-          file: entry.name,
-          provider: inferProviderFromFileName(entry.name),
-          email: "",
-          expiresAt: "",
-          lastRefresh: "",
-          modifiedAt,
-          size: fileSize,
-          parseError: error instanceof Error ? error.message : "failed to parse JSON",
-        });
-      }
+      result.push(await describeAuthFile(path.join(DATA_DIR, entry.name), entry.name));
     }
   } catch {
     return [];
@@ -982,53 +2283,361 @@ async function readAuthFiles() {
   return result.sort((a, b) => a.file.localeCompare(b.file));
 }
 
-async function getAuthMechanisms() {
-  let configText = "";
-  let configReadable = false;
+// Credential file management. CLIProxyAPI loads every *.json in its auth dir, so:
+//   - disabling renames the file to *.json.disabled next to the others
+//   - quarantining moves it out of the data dir into diagnostics-state/auth-quarantine/
+//   - importing writes a validated token file into the data dir
+// The proxy's file watcher notices each change without a restart.
+const AUTH_FILE_NAME_PATTERN = /^[\w@+-][\w.@+-]{0,200}\.json$/;
+const QUARANTINE_NAME_PATTERN = /^\d{8}T\d{6}Z-[\w@+-][\w.@+-]{0,200}\.json(?:\.disabled)?$/;
+
+// Minimal shape of each provider's token file as CLIProxyAPI writes it. Only the fields the
+// proxy cannot work without are required; everything else is passed through untouched.
+const AUTH_FILE_FORMATS = {
+  claude: { required: ["access_token", "refresh_token"], expected: ["email", "expired"] },
+  codex: { required: ["access_token", "refresh_token"], expected: ["id_token", "account_id", "email", "expired"] },
+  gemini: { required: ["token.refresh_token"], expected: ["token.access_token", "project_id", "email"] },
+  qwen: { required: ["access_token", "refresh_token"], expected: ["resource_url", "expired"] },
+  iflow: { required: ["refresh_token"], expected: ["access_token", "api_key", "email", "expired"] },
+};
+
+function isValidAuthFileName(name) {
+  const base = name.endsWith(AUTH_DISABLED_SUFFIX) ? name.slice(0, -AUTH_DISABLED_SUFFIX.length) : name;
+  return AUTH_FILE_NAME_PATTERN.test(base) && !base.includes("..");
+}
+
+function readNestedField(object, dottedPath) {
+  return dottedPath.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), object);
+}
+
+function validateAuthFileContent(parsed, fileName = "") {
+  const issues = { errors: [], warnings: [] };
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    issues.errors.push({ path: "", message: "a token file must be a JSON object" });
+    return { ok: false, provider: "", ...issues };
+  }
+  const declared = String(parsed.type || parsed.provider || "").trim();
+  const provider = normalizeProviderName(declared || inferProviderFromFileName(fileName));
+  const format = AUTH_FILE_FORMATS[provider];
+  if (!format) {
+    issues.errors.push({
+      path: "type",
+      message: `unknown token type "${declared || "(missing)"}"; expected one of ${Object.keys(AUTH_FILE_FORMATS).join(", ")}`,
+    });
+    return { ok: false, provider, ...issues };
+  }
+  if (!declared) {
+    issues.warnings.push({ path: "type", message: `no "type" field; treating it as ${provider} from the file name` });
+  }
+  for (const field of format.required) {
+    const value = readNestedField(parsed, field);
+    if (typeof value !== "string" || value.trim() === "") {
+      issues.errors.push({ path: field, message: `${field} is required for ${formatProviderLabel(provider)} tokens` });
+    }
+  }
+  for (const field of format.expected) {
+    if (readNestedField(parsed, field) === undefined) {
+      issues.warnings.push({ path: field, message: `${field} is usually present in ${formatProviderLabel(provider)} token files` });
+    }
+  }
+  const expiry = parseTimestamp(parsed.expired) || parseTimestamp(parsed.expires_at) || parseTimestamp(parsed.expire);
+  if (expiry && Date.parse(expiry) <= Date.now()) {
+    issues.warnings.push({ path: "expired", message: "the access token has expired; the proxy will try to refresh it" });
+  }
+  return { ok: issues.errors.length === 0, provider, ...issues };
+}
+
+function quarantineStamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+async function readQuarantinedFiles() {
+  let names = [];
   try {
-    configText = await readFile(CONFIG_FILE, "utf8");
-    configReadable = true;
+    names = await readdir(AUTH_QUARANTINE_DIR);
   } catch {
-    configText = "";
+    return [];
+  }
+  const result = [];
+  for (const name of names.filter((item) => QUARANTINE_NAME_PATTERN.test(item))) {
+    const entry = await describeAuthFile(path.join(AUTH_QUARANTINE_DIR, name), name);
+    const stamp = name.slice(0, 16);
+    result.push({
+      ...entry,
+      originalFile: name.slice(17),
+      quarantinedAt: `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`,
+    });
   }
+  return result.sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+}
 
-  const apiKeys = configReadable ? countYamlListEntries(configText, "api-keys") : 0;
-  const geminiApiKeys = configReadable ? countYamlListEntries(configText, "gemini-api-key") : 0;
-  const glApiKeys = configReadable ? countYamlListEntries(configText, "generative-language-api-key") : 0;
-  const claudeApiKeys = configReadable ? countYamlListEntries(configText, "claude-api-key") : 0;
-  const codexApiKeys = configReadable ? countYamlListEntries(configText, "codex-api-key") : 0;
-  const openAICompat = configReadable ? countYamlListEntries(configText, "openai-compatibility") : 0;
+async function readDisabledAuthFiles() {
+  let names = [];
+  try {
+    names = await readdir(DATA_DIR);
+  } catch {
+    return [];
+  }
+  const result = [];
+  for (const name of names.filter((item) => item.toLowerCase().endsWith(`.json${AUTH_DISABLED_SUFFIX}`)).sort()) {
+    result.push({ ...(await describeAuthFile(path.join(DATA_DIR, name), name)), disabled: true });
+  }
+  return result;
+}
 
-  const oauthFiles = await readAuthFiles();
-  const oauthByProvider = oauthFiles.reduce((acc, item) => {
-    const key = normalizeProviderName(item.provider || "unknown");
-    acc[key] = (acc[key] || 0) + 1;
-    return acc;
-  }, {});
+async function pathExists(fullPath) {
+  try {
+    await access(fullPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  const mechanisms = [
-    {
-      id: "proxy-access-keys",
-      label: "Proxy access API keys",
-      count: apiKeys,
-      configured: apiKeys > 0,
-      source: "config.yaml",
-      description: "Client keys required to call the proxy endpoints.",
-    },
-    {
-      id: "gemini-api-keys",
-      label: "Gemini API keys",
-      count: geminiApiKeys + glApiKeys,
-      configured: geminiApiKeys + glApiKeys > 0,
-      source: "config.yaml",
-      description: "Direct Gemini / Generative Language key entries.",
-    },
-    {
-      id: "claude-api-keys",
-      label: "Claude API keys",
-      count: claudeApiKeys,
-      configured: claudeApiKeys > 0,
-      source: "config.yaml",
+async function moveFile(source, target) {
+  try {
+    await rename(source, target);
+  } catch (error) {
+    // The data dir and the state dir are separate bind mounts in Compose.
+    if (error?.code !== "EXDEV") {
+      throw error;
+    }
+    try {
+      await copyFile(source, target);
+    } catch (copyError) {
+      await unlink(target).catch(() => {});
+      throw copyError;
+    }
+    await unlink(source);
+  }
+}
+
+async function runAuthFileAction(name, action, identity) {
+  if (!isValidAuthFileName(name)) {
+    return { ok: false, status: 400, error: "invalid file name" };
+  }
+  const source = path.join(DATA_DIR, name);
+  if (!(await pathExists(source))) {
+    return { ok: false, status: 404, error: `${name} not found` };
+  }
+  const disabled = name.endsWith(AUTH_DISABLED_SUFFIX);
+  let target = "";
+  if (action === "disable") {
+    if (disabled) {
+      return { ok: false, status: 409, error: `${name} is already disabled` };
+    }
+    target = path.join(DATA_DIR, `${name}${AUTH_DISABLED_SUFFIX}`);
+  } else if (action === "enable") {
+    if (!disabled) {
+      return { ok: false, status: 409, error: `${name} is not disabled` };
+    }
+    target = path.join(DATA_DIR, name.slice(0, -AUTH_DISABLED_SUFFIX.length));
+  } else if (action === "quarantine") {
+    target = path.join(AUTH_QUARANTINE_DIR, `${quarantineStamp()}-${name}`);
+  } else {
+    return { ok: false, status: 400, error: "unsupported action" };
+  }
+  if (await pathExists(target)) {
+    return { ok: false, status: 409, error: `${path.basename(target)} already exists` };
+  }
+  try {
+    if (action === "quarantine") {
+      await mkdir(AUTH_QUARANTINE_DIR, { recursive: true, mode: 0o700 });
+    }
+    await moveFile(source, target);
+  } catch (error) {
+    return { ok: false, status: 500, error: `${action} ${name} failed: ${error.message}` };
+  }
+  console.log(`Auth file ${name}: ${action} by ${identity?.user || "unknown"} -> ${path.basename(target)}`);
+  return { ok: true, action, file: name, result: path.basename(target) };
+}
+
+async function restoreQuarantinedFile(name, identity) {
+  if (!QUARANTINE_NAME_PATTERN.test(name)) {
+    return { ok: false, status: 400, error: "invalid file name" };
+  }
+  const source = path.join(AUTH_QUARANTINE_DIR, name);
+  if (!(await pathExists(source))) {
+    return { ok: false, status: 404, error: `${name} not found` };
+  }
+  const restoredName = name.slice(17);
+  const target = path.join(DATA_DIR, restoredName);
+  if (await pathExists(target)) {
+    return { ok: false, status: 409, error: `${restoredName} already exists in the data dir` };
+  }
+  try {
+    await moveFile(source, target);
+  } catch (error) {
+    return { ok: false, status: 500, error: `restore ${name} failed: ${error.message}` };
+  }
+  console.log(`Auth file ${restoredName}: restored from quarantine by ${identity?.user || "unknown"}`);
+  return { ok: true, action: "restore", file: name, result: restoredName };
+}
+
+// Deleting is permanent, so the caller has to repeat the file name (?confirm=<name>).
+async function deleteAuthFile(name, confirm, { quarantined = false, identity = null } = {}) {
+  const valid = quarantined ? QUARANTINE_NAME_PATTERN.test(name) : isValidAuthFileName(name);
+  if (!valid) {
+    return { ok: false, status: 400, error: "invalid file name" };
+  }
+  if (confirm !== name) {
+    return { ok: false, status: 428, error: "confirm the deletion by passing the file name as ?confirm=" };
+  }
+  const fullPath = path.join(quarantined ? AUTH_QUARANTINE_DIR : DATA_DIR, name);
+  try {
+    await unlink(fullPath);
+  } catch (error) {
+    return error?.code === "ENOENT" ? { ok: false, status: 404, error: `${name} not found` } : { ok: false, status: 500, error: error.message };
+  }
+  console.log(`Auth file ${name}: deleted${quarantined ? " from quarantine" : ""} by ${identity?.user || "unknown"}`);
+  return { ok: true, action: "delete", file: name };
+}
+
+async function handleAuthFileImport(req, res, identity) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error instanceof Error ? error.message : "invalid body" });
+    return;
+  }
+  const rawContent = typeof body?.content === "string" ? body.content : JSON.stringify(body?.content ?? null);
+  if (Buffer.byteLength(rawContent, "utf8") > AUTH_IMPORT_MAX_BYTES) {
+    sendJSON(res, 413, { error: "token file is too large" });
+    return;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(rawContent);
+  } catch (error) {
+    sendJSON(res, 422, { error: "token file is not valid JSON", errors: [{ path: "", message: error.message }], warnings: [] });
+    return;
+  }
+
+  const requestedName = String(body?.fileName || "").trim();
+  if (requestedName && !AUTH_FILE_NAME_PATTERN.test(requestedName)) {
+    sendJSON(res, 400, { error: "file name must end in .json and contain only letters, digits and . _ - @ +" });
+    return;
+  }
+  const validation = validateAuthFileContent(parsed, requestedName);
+  if (!validation.ok) {
+    sendJSON(res, 422, { error: "token file does not match a known provider format", ...validation });
+    return;
+  }
+
+  const account = String(parsed.email || parsed.account_id || "").trim().replace(/[^\w.@+-]/g, "_");
+  const fileName =
+    requestedName || `${validation.provider}-${account || createHash("sha256").update(rawContent).digest("hex").slice(0, 12)}.json`;
+  if (!AUTH_FILE_NAME_PATTERN.test(fileName)) {
+    sendJSON(res, 400, { error: `cannot derive a file name from this token; pass fileName` });
+    return;
+  }
+  const target = path.join(DATA_DIR, fileName);
+  const exists = await pathExists(target);
+  if (exists && body?.overwrite !== true) {
+    sendJSON(res, 409, { error: `${fileName} already exists; quarantine it first or import with overwrite`, fileName });
+    return;
+  }
+  if (body?.dryRun === true) {
+    sendJSON(res, 200, { ok: true, dryRun: true, fileName, exists, provider: validation.provider, warnings: validation.warnings });
+    return;
+  }
+  // Replaced credentials go to quarantine rather than disappearing, so a failed move stops the import.
+  let replaced = "";
+  if (exists) {
+    const moved = await runAuthFileAction(fileName, "quarantine", identity);
+    if (!moved.ok) {
+      sendJSON(res, moved.status, { error: `cannot replace ${fileName}: ${moved.error}`, fileName });
+      return;
+    }
+    replaced = moved.result;
+  }
+  try {
+    await mkdir(DATA_DIR, { recursive: true });
+    await writeFile(target, `${JSON.stringify(parsed, null, 2)}\n`, { mode: 0o600 });
+  } catch (error) {
+    sendJSON(res, 500, { error: `failed to write ${fileName}: ${error.message}`, fileName });
+    return;
+  }
+  console.log(`Auth file ${fileName}: imported by ${identity?.user || "unknown"}`);
+  sendJSON(res, 201, { ok: true, fileName, provider: validation.provider, replaced, warnings: validation.warnings });
+}
+
+// What the dashboard shows under "Claims" (account id, scopes and the registered claims of each
+// JWT) is for operators; viewers still get plan, organization and workspace.
+function viewAuthTopic(auth, identity) {
+  if (hasRole(identity, "operator")) {
+    return auth;
+  }
+  const withoutClaims = (files) => (files || []).map((file) => ({ ...file, accountId: "", scopes: [], claims: [] }));
+  // Accounts without an email are keyed by their account id, so those keys are swapped for a
+  // positional one that still ties rate-limit entries to their account.
+  const accountIds = new Set();
+  const keys = new Map();
+  const accounts = (auth.accountView?.accounts || []).map((account, index) => {
+    if (account.accountId) {
+      accountIds.add(normalizeAccountIdentifier(account.accountId));
+    }
+    const key = account.email || !account.accountId ? account.key : `${account.provider}:account-${index + 1}`;
+    keys.set(account.key, key);
+    return { ...account, key, accountId: "" };
+  });
+  const rateLimits = (auth.rateLimits || []).map((entry) => ({
+    ...entry,
+    account: entry.account && accountIds.has(normalizeAccountIdentifier(entry.account)) ? "" : entry.account,
+    accountKey: keys.get(entry.accountKey) ?? entry.accountKey,
+  }));
+  return {
+    ...auth,
+    oauthFiles: withoutClaims(auth.oauthFiles),
+    disabledFiles: withoutClaims(auth.disabledFiles),
+    quarantinedFiles: withoutClaims(auth.quarantinedFiles),
+    accountView: auth.accountView && { ...auth.accountView, accounts },
+    rateLimits,
+  };
+}
+
+async function getAuthMechanisms() {
+  const loaded = await loadConfig();
+  const config = loaded.config;
+
+  const apiKeys = countConfigEntries(config, "api-keys");
+  const geminiApiKeys = countConfigEntries(config, "gemini-api-key");
+  const glApiKeys = countConfigEntries(config, "generative-language-api-key");
+  const claudeApiKeys = countConfigEntries(config, "claude-api-key");
+  const codexApiKeys = countConfigEntries(config, "codex-api-key");
+  const openAICompat = countConfigEntries(config, "openai-compatibility");
+
+  const oauthFiles = await readAuthFiles();
+  const oauthByProvider = oauthFiles.reduce((acc, item) => {
+    const key = normalizeProviderName(item.provider || "unknown");
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+
+  const mechanisms = [
+    {
+      id: "proxy-access-keys",
+      label: "Proxy access API keys",
+      count: apiKeys,
+      configured: apiKeys > 0,
+      source: "config.yaml",
+      description: "Client keys required to call the proxy endpoints.",
+    },
+    {
+      id: "gemini-api-keys",
+      label: "Gemini API keys",
+      count: geminiApiKeys + glApiKeys,
+      configured: geminiApiKeys + glApiKeys > 0,
+      source: "config.yaml",
+      description: "Direct Gemini / Generative Language key entries.",
+    },
+    {
+      id: "claude-api-keys",
+      label: "Claude API keys",
+      count: claudeApiKeys,
+      configured: claudeApiKeys > 0,
+      source: "config.yaml",
       description: "Static Anthropic key entries.",
     },
     {
@@ -1067,16 +2676,320 @@ async function getAuthMechanisms() {
     iflow: 0,
   });
 
+  const disabledFiles = await readDisabledAuthFiles();
+  const accountView = buildAccountView(oauthFiles, disabledFiles);
+  const rateLimits = describeRateLimits(accountView.accounts);
+  annotateCooldowns(providerHealth, accountView.accounts, rateLimits);
   return {
     generatedAt: new Date().toISOString(),
     configPath: CONFIG_FILE,
-    configReadable,
+    configReadable: loaded.readable,
+    configParseError: loaded.parseError,
     dataDir: DATA_DIR,
     mechanisms,
     oauthSummary: oauthByProvider,
     oauthFiles,
+    disabledFiles,
+    quarantinedFiles: await readQuarantinedFiles(),
     providerHealth,
+    accountView,
+    rateLimits,
+  };
+}
+
+// OAuth logins started from the dashboard. The CLI runs inside the proxy container through
+// `docker exec` with --no-browser, prints the authorization URL, and waits for the redirect on
+// its callback port. A login counts as done once a new or rewritten token file shows up in
+// DATA_DIR, which is also what readAuthFiles() reports afterwards.
+const oauthSessions = new Map();
+
+function describeOAuthSession(session) {
+  const { child, pid, knownFiles, watcher, timer, ...visible } = session;
+  return { ...visible, active: !session.endedAt };
+}
+
+function listOAuthSessions() {
+  return [...oauthSessions.values()].sort((a, b) => b.startedAt.localeCompare(a.startedAt)).map(describeOAuthSession);
+}
+
+function pruneOAuthSessions() {
+  const finished = [...oauthSessions.values()].filter((item) => item.endedAt).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  for (const item of finished.slice(OAUTH_SESSION_HISTORY)) {
+    oauthSessions.delete(item.id);
+  }
+}
+
+function appendOAuthOutput(session, line) {
+  // The wrapper prints the in-container pid first so the login can be cancelled; keep it out of the output.
+  const pidLine = line.match(/^api4llm-login-pid:(\d+)$/);
+  if (pidLine) {
+    session.pid = Number.parseInt(pidLine[1], 10);
+    return;
+  }
+  session.output.push(line);
+  if (session.output.length > OAUTH_OUTPUT_LINES) {
+    session.output.splice(0, session.output.length - OAUTH_OUTPUT_LINES);
+  }
+  if (!session.authUrl) {
+    const url = line.match(/https?:\/\/[^\s"'<>]+/)?.[0];
+    if (url && !/^https?:\/\/(localhost|127\.0\.0\.1)[:/]/i.test(url)) {
+      session.authUrl = url;
+      session.state = "waiting";
+    }
+  }
+  const userCode = line.replace(/https?:\/\/\S+/g, "").match(/\b(?:user[ _-]?code|code)\s*[:=]\s*([A-Z0-9-]{4,})/i);
+  if (userCode) {
+    session.userCode = userCode[1];
+  }
+  if (/callback|authorization code/i.test(line) && /received|success|exchang/i.test(line)) {
+    session.callbackReceived = true;
+  }
+}
+
+async function findNewAuthFile(session) {
+  const files = await readAuthFiles();
+  return files.find((file) => {
+    const previous = session.knownFiles.get(file.file);
+    return normalizeProviderName(file.provider) === session.provider && (previous === undefined || previous !== file.modifiedAt);
+  });
+}
+
+async function checkOAuthCompletion(session) {
+  const file = await findNewAuthFile(session);
+  if (file && !session.authFile) {
+    session.authFile = file.file;
+    session.account = file.email;
+    session.callbackReceived = true;
+  }
+  return file;
+}
+
+function finishOAuthSession(session, state, error = "") {
+  if (session.endedAt) {
+    return;
+  }
+  session.state = state;
+  session.error = error;
+  session.endedAt = new Date().toISOString();
+  clearInterval(session.watcher);
+  clearTimeout(session.timer);
+  pruneOAuthSessions();
+}
+
+async function startOAuthLogin(provider, { projectId = "", identity = null } = {}) {
+  const flow = OAUTH_LOGIN_PROVIDERS[provider];
+  if (!flow) {
+    return { ok: false, code: 400, error: `login is not supported for ${provider}` };
+  }
+  if ([...oauthSessions.values()].some((item) => item.provider === provider && !item.endedAt)) {
+    return { ok: false, code: 409, error: `a ${formatProviderLabel(provider)} login is already running` };
+  }
+
+  const knownFiles = new Map((await readAuthFiles()).map((file) => [file.file, file.modifiedAt]));
+  const args = ["--no-browser"];
+  if (provider === "gemini" && projectId) {
+    args.push("--project_id", projectId);
+  }
+  // `sh -c` reports the pid of the login process inside the container (exec keeps it), so a
+  // cancel can kill it there; stopping `docker exec` alone would leave it holding the port.
+  const script = `echo "api4llm-login-pid:$$"; exec timeout ${OAUTH_LOGIN_TIMEOUT_SECONDS} ./CLIProxyAPI ${flow.flag} "$@"`;
+  const container = sanitizeContainerName(TARGET_CONTAINER);
+  // In process mode the login runs the local binary directly; killing it is enough to cancel.
+  const child = PROCESS_MODE
+    ? spawn(PROCESS_COMMAND, [...PROCESS_ARGS, flow.flag, ...args], {
+        cwd: path.dirname(PROCESS_COMMAND),
+        env: process.env,
+        stdio: ["pipe", "pipe", "pipe"],
+      })
+    : spawn(CONTAINER_CLI, ["exec", "-i", container, "sh", "-c", script, "login", ...args], {
+        cwd: REPO_ROOT,
+        env: process.env,
+        stdio: ["pipe", "pipe", "pipe"],
+      });
+
+  const session = {
+    id: randomBytes(8).toString("hex"),
+    provider,
+    label: formatProviderLabel(provider),
+    container,
+    state: "starting",
+    startedAt: new Date().toISOString(),
+    startedBy: identity?.user || "",
+    endedAt: "",
+    expiresAt: new Date(Date.now() + OAUTH_LOGIN_TIMEOUT_SECONDS * 1000).toISOString(),
+    callbackPort: flow.callbackPort,
+    authUrl: "",
+    userCode: "",
+    callbackReceived: false,
+    authFile: "",
+    account: "",
+    exitCode: null,
+    error: "",
+    output: [],
+    child,
+    pid: null,
+    knownFiles,
+    watcher: null,
+    timer: null,
+  };
+  oauthSessions.set(session.id, session);
+
+  const buffers = { stdout: "", stderr: "" };
+  const onChunk = (name) => (chunk) => {
+    buffers[name] += chunk.toString("utf8");
+    const parts = buffers[name].split(/\r?\n/);
+    buffers[name] = parts.pop() || "";
+    for (const line of parts) {
+      if (line.trim()) {
+        appendOAuthOutput(session, line);
+      }
+    }
   };
+  child.stdout.on("data", onChunk("stdout"));
+  child.stderr.on("data", onChunk("stderr"));
+  child.stdin.on("error", () => {});
+
+  session.watcher = setInterval(() => {
+    checkOAuthCompletion(session).catch(() => {});
+  }, 2000);
+  session.timer = setTimeout(() => {
+    cancelOAuthLogin(session.id, "timeout").catch(() => {});
+  }, OAUTH_LOGIN_TIMEOUT_SECONDS * 1000 + 5000);
+
+  child.on("close", async (code) => {
+    for (const rest of Object.values(buffers)) {
+      if (rest.trim()) {
+        appendOAuthOutput(session, rest.trim());
+      }
+    }
+    session.exitCode = Number.isInteger(code) ? code : null;
+    const file = await checkOAuthCompletion(session).catch(() => null);
+    if (session.endedAt) {
+      return;
+    }
+    if (file) {
+      finishOAuthSession(session, "completed");
+    } else if (code === 124 || code === 143) {
+      finishOAuthSession(session, "timeout", "the login was not completed in time");
+    } else {
+      const lastLine = session.output[session.output.length - 1] || "";
+      finishOAuthSession(session, "failed", code === 0 ? "login exited without saving a token" : lastLine || `login exited with code ${code}`);
+    }
+  });
+  child.on("error", (error) => {
+    finishOAuthSession(session, "failed", `failed to run ${PROCESS_MODE ? PROCESS_COMMAND : `${CONTAINER_CLI} exec`}: ${error.message}`);
+  });
+
+  return { ok: true, session: describeOAuthSession(session) };
+}
+
+async function cancelOAuthLogin(id, state = "cancelled") {
+  const session = oauthSessions.get(id);
+  if (!session) {
+    return null;
+  }
+  if (!session.endedAt) {
+    if (session.pid) {
+      await runCommand(CONTAINER_CLI, ["exec", session.container, "kill", String(session.pid)], 10000);
+    }
+    finishOAuthSession(session, state, state === "timeout" ? "the login was not completed in time" : "");
+    if (!session.child.killed) {
+      session.child.kill("SIGTERM");
+    }
+  }
+  return describeOAuthSession(session);
+}
+
+async function handleOAuthLoginStart(req, res, identity) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error instanceof Error ? error.message : "invalid body" });
+    return;
+  }
+  const provider = normalizeProviderName(body?.provider);
+  const projectId = String(body?.projectId || "").trim();
+  if (projectId && !/^[a-z][a-z0-9-]{4,61}[a-z0-9]$/.test(projectId)) {
+    sendJSON(res, 400, { error: "invalid Google Cloud project id" });
+    return;
+  }
+  const result = await startOAuthLogin(provider, { projectId, identity });
+  if (!result.ok) {
+    sendJSON(res, result.code, { error: result.error });
+    return;
+  }
+  sendJSON(res, 201, result.session);
+}
+
+// Some flows ask a question on stdin (e.g. picking a Gemini project); forward one answer line.
+async function handleOAuthInput(req, res, id) {
+  const session = oauthSessions.get(id);
+  if (!session || session.endedAt) {
+    sendJSON(res, 404, { error: "no running login with that id" });
+    return;
+  }
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error instanceof Error ? error.message : "invalid body" });
+    return;
+  }
+  const text = String(body?.text ?? "").replace(/[\r\n]+/g, " ").slice(0, 500);
+  session.child.stdin.write(`${text}\n`);
+  sendJSON(res, 200, describeOAuthSession(session));
+}
+
+// When the browser is not on the docker host, the provider redirects to a localhost URL that
+// never arrives. The user can paste that URL here and the dashboard delivers it to the
+// container's callback port instead.
+async function handleOAuthCallbackForward(req, res, id) {
+  const session = oauthSessions.get(id);
+  if (!session || session.endedAt) {
+    sendJSON(res, 404, { error: "no running login with that id" });
+    return;
+  }
+  if (!session.callbackPort) {
+    sendJSON(res, 400, { error: `${session.label} logins do not use a callback URL` });
+    return;
+  }
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error instanceof Error ? error.message : "invalid body" });
+    return;
+  }
+  let pasted;
+  try {
+    pasted = new URL(String(body?.url || "").trim());
+  } catch {
+    sendJSON(res, 400, { error: "paste the full URL from the browser address bar" });
+    return;
+  }
+  if (Number.parseInt(pasted.port, 10) !== session.callbackPort) {
+    sendJSON(res, 400, { error: `expected a URL on port ${session.callbackPort}` });
+    return;
+  }
+  const target = `http://${new URL(PROXY_BASE).hostname}:${session.callbackPort}${pasted.pathname}${pasted.search}`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 15000);
+  try {
+    const response = await fetch(target, { signal: controller.signal });
+    const text = await response.text().catch(() => "");
+    if (!response.ok) {
+      sendJSON(res, 502, { error: `callback returned HTTP ${response.status}: ${truncateProbeText(text, 200)}` });
+      return;
+    }
+    session.callbackReceived = true;
+    appendOAuthOutput(session, "[dashboard] callback URL delivered to the login process");
+    sendJSON(res, 200, describeOAuthSession(session));
+  } catch (error) {
+    sendJSON(res, 502, { error: `could not reach the callback port: ${error instanceof Error ? error.message : error}` });
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 async function runComposeAction(action) {
@@ -1089,7 +3002,7 @@ async function runComposeAction(action) {
   if (!args) {
     return { ok: false, error: "unsupported action", backend: "compose" };
   }
-  const result = await runCommand("docker", args, 120000);
+  const result = await runCommand(CONTAINER_CLI, args, 120000);
   return {
     ok: result.code === 0,
     backend: "compose",
@@ -1109,7 +3022,13 @@ async function runDirectContainerAction(action) {
   if (!args) {
     return { ok: false, error: "unsupported action", backend: "container" };
   }
-  const result = await runCommand("docker", args, 120000);
+  if (useDockerAPI()) {
+    const result = noteDockerAPIResult(await dockerEngine.containerAction(TARGET_CONTAINER, action));
+    if (!result.unreachable) {
+      return { ok: result.ok, backend: "container", code: result.status, stdout: "", stderr: result.error };
+    }
+  }
+  const result = await runCommand(CONTAINER_CLI, args, 120000);
   return {
     ok: result.code === 0,
     backend: "container",
@@ -1119,7 +3038,29 @@ async function runDirectContainerAction(action) {
   };
 }
 
+async function runProcessAction(action) {
+  const actions = {
+    start: () => proxyProcess.start(),
+    stop: () => proxyProcess.stop(),
+    restart: () => proxyProcess.restart(),
+  };
+  if (!actions[action]) {
+    return { ok: false, error: "unsupported action", backend: "process" };
+  }
+  const result = await actions[action]();
+  return {
+    ok: result.ok,
+    backend: "process",
+    code: result.ok ? 0 : 1,
+    stdout: result.message || "",
+    stderr: result.error || "",
+  };
+}
+
 async function runContainerAction(action) {
+  if (PROCESS_MODE) {
+    return runProcessAction(action);
+  }
   if (DOCKER_MODE === "compose") {
     return runComposeAction(action);
   }
@@ -1148,70 +3089,2149 @@ async function runContainerAction(action) {
   };
 }
 
-function streamLogs(req, res, containerName) {
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream; charset=utf-8",
-    "Cache-Control": "no-cache, no-transform",
-    Connection: "keep-alive",
-    "X-Accel-Buffering": "no",
-  });
-  res.write(": connected\n\n");
-
-  const safeContainer = (containerName || TARGET_CONTAINER).replace(/[^a-zA-Z0-9_.-]/g, "");
-  const child = spawn("docker", ["logs", "--timestamps", "--tail", "200", "--follow", safeContainer], {
-    cwd: REPO_ROOT,
-    env: process.env,
-    stdio: ["ignore", "pipe", "pipe"],
-  });
+function describeValueType(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "list";
+  }
+  return typeof value === "object" ? "mapping" : typeof value;
+}
 
-  let buffer = "";
-  const writeLine = (line, kind = "log") => {
-    const payload = JSON.stringify({ kind, line, ts: new Date().toISOString() });
-    res.write(`data: ${payload}\n\n`);
-  };
+function isHTTPURL(value) {
+  try {
+    const parsed = new URL(String(value));
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
 
-  const flushChunk = (chunk, kind) => {
-    buffer += chunk.toString("utf8");
-    const parts = buffer.split(/\r?\n/);
-    buffer = parts.pop() || "";
-    for (const line of parts) {
-      if (!line) {
-        continue;
-      }
-      writeLine(line, kind);
+function validateKeyEntries(list, key, issues) {
+  list.forEach((entry, idx) => {
+    const where = `${key}[${idx}]`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      issues.errors.push({ path: where, message: `expected a mapping with api-key, got ${describeValueType(entry)}` });
+      return;
     }
-  };
-
-  child.stdout.on("data", (chunk) => flushChunk(chunk, "log"));
-  child.stderr.on("data", (chunk) => flushChunk(chunk, "error"));
-
-  child.on("close", (code) => {
-    if (buffer.trim()) {
-      writeLine(buffer.trim(), "log");
-      buffer = "";
+    if (typeof entry["api-key"] !== "string" || entry["api-key"].trim() === "") {
+      issues.errors.push({ path: `${where}.api-key`, message: "api-key is required" });
+    }
+    if (entry["base-url"] !== undefined && entry["base-url"] !== null && !isHTTPURL(entry["base-url"])) {
+      issues.errors.push({ path: `${where}.base-url`, message: "base-url must be an http(s) URL" });
+    }
+    if (entry.headers !== undefined && (typeof entry.headers !== "object" || Array.isArray(entry.headers))) {
+      issues.errors.push({ path: `${where}.headers`, message: "headers must be a mapping" });
+    }
+    for (const child of Object.keys(entry)) {
+      if (!CONFIG_KEY_ENTRY_FIELDS.has(child)) {
+        issues.warnings.push({ path: `${where}.${child}`, message: `unknown field "${child}"` });
+      }
     }
-    writeLine(`log stream ended (exit code ${code ?? "unknown"})`, "status");
-    res.end();
-  });
-
-  child.on("error", (error) => {
-    writeLine(`failed to start docker logs stream: ${error.message}`, "error");
-    res.end();
   });
+}
 
-  const heartbeat = setInterval(() => {
-    res.write(": ping\n\n");
-  }, 15000);
+function validateOpenAICompat(list, issues) {
+  const names = new Set();
+  const aliases = new Map();
+  list.forEach((entry, idx) => {
+    const where = `openai-compatibility[${idx}]`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      issues.errors.push({ path: where, message: `expected a mapping, got ${describeValueType(entry)}` });
+      return;
+    }
+    const name = typeof entry.name === "string" ? entry.name.trim() : "";
+    if (!name) {
+      issues.errors.push({ path: `${where}.name`, message: "name is required" });
+    } else if (names.has(name)) {
+      issues.errors.push({ path: `${where}.name`, message: `duplicate provider name "${name}"` });
+    }
+    names.add(name);
+    if (!isHTTPURL(entry["base-url"])) {
+      issues.errors.push({ path: `${where}.base-url`, message: "base-url is required and must be an http(s) URL" });
+    }
+    if (entry["api-keys"] !== undefined && !Array.isArray(entry["api-keys"])) {
+      issues.errors.push({ path: `${where}.api-keys`, message: "api-keys must be a list" });
+    }
+    if (entry["api-key-entries"] !== undefined) {
+      if (Array.isArray(entry["api-key-entries"])) {
+        validateKeyEntries(entry["api-key-entries"], `${where}.api-key-entries`, issues);
+      } else {
+        issues.errors.push({ path: `${where}.api-key-entries`, message: "api-key-entries must be a list" });
+      }
+    }
+    const keyCount = (Array.isArray(entry["api-keys"]) ? entry["api-keys"].length : 0) +
+      (Array.isArray(entry["api-key-entries"]) ? entry["api-key-entries"].length : 0);
+    if (keyCount === 0) {
+      issues.warnings.push({ path: where, message: "no api-keys or api-key-entries configured" });
+    }
+    if (entry.models !== undefined && !Array.isArray(entry.models)) {
+      issues.errors.push({ path: `${where}.models`, message: "models must be a list" });
+    }
+    (Array.isArray(entry.models) ? entry.models : []).forEach((model, modelIdx) => {
+      const modelWhere = `${where}.models[${modelIdx}]`;
+      if (!model || typeof model !== "object" || typeof model.name !== "string" || model.name.trim() === "") {
+        issues.errors.push({ path: modelWhere, message: "each model needs a name" });
+        return;
+      }
+      const alias = typeof model.alias === "string" ? model.alias.trim() : "";
+      if (alias && aliases.has(alias)) {
+        issues.warnings.push({ path: `${modelWhere}.alias`, message: `alias "${alias}" is also defined in ${aliases.get(alias)}` });
+      }
+      if (alias) {
+        aliases.set(alias, modelWhere);
+      }
+    });
+    for (const child of Object.keys(entry)) {
+      if (!CONFIG_OPENAI_COMPAT_FIELDS.has(child)) {
+        issues.warnings.push({ path: `${where}.${child}`, message: `unknown field "${child}"` });
+      }
+    }
+  });
+}
+
+function validateConfigText(text) {
+  const issues = { errors: [], warnings: [] };
+  let config = null;
+  try {
+    config = parseYAML(text);
+  } catch (error) {
+    issues.errors.push({ path: "", line: error.line || null, message: error.message });
+    return { ok: false, ...issues };
+  }
+  if (config === null) {
+    config = {};
+  }
+  if (typeof config !== "object" || Array.isArray(config)) {
+    issues.errors.push({ path: "", message: "config.yaml must be a mapping at the top level" });
+    return { ok: false, ...issues };
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const kind = CONFIG_SCHEMA[key];
+    if (!kind) {
+      issues.warnings.push({ path: key, message: `unknown setting "${key}" (ignored by CLIProxyAPI or from a newer version)` });
+      continue;
+    }
+    if (value === null && kind !== "port" && kind !== "string" && kind !== "text") {
+      continue;
+    }
+    switch (kind) {
+      case "port":
+        if (!Number.isInteger(value) || value < 1 || value > 65535) {
+          issues.errors.push({ path: key, message: "port must be an integer between 1 and 65535" });
+        } else if (value !== 8317) {
+          issues.warnings.push({ path: key, message: "docker-compose.yml publishes 8317; update the ports mapping too" });
+        }
+        break;
+      case "text":
+        if (typeof value !== "string") {
+          issues.errors.push({ path: key, message: `${key} must be a string` });
+        }
+        break;
+      case "string":
+        if (typeof value !== "string" || value.trim() === "") {
+          issues.errors.push({ path: key, message: `${key} must be a non-empty string` });
+        }
+        break;
+      case "boolean":
+        if (typeof value !== "boolean") {
+          issues.errors.push({ path: key, message: `${key} must be true or false` });
+        }
+        break;
+      case "integer":
+        if (!Number.isInteger(value) || value < 0) {
+          issues.errors.push({ path: key, message: `${key} must be a non-negative integer` });
+        }
+        break;
+      case "string-list":
+        if (!Array.isArray(value)) {
+          issues.errors.push({ path: key, message: `${key} must be a list` });
+          break;
+        }
+        value.forEach((item, idx) => {
+          if (typeof item !== "string" || item.trim() === "") {
+            issues.errors.push({ path: `${key}[${idx}]`, message: "entries must be non-empty strings" });
+          }
+        });
+        if (new Set(value).size !== value.length) {
+          issues.warnings.push({ path: key, message: "list contains duplicate entries" });
+        }
+        break;
+      case "key-entries":
+        if (!Array.isArray(value)) {
+          issues.errors.push({ path: key, message: `${key} must be a list` });
+          break;
+        }
+        validateKeyEntries(value, key, issues);
+        break;
+      case "openai-compatibility":
+        if (!Array.isArray(value)) {
+          issues.errors.push({ path: key, message: `${key} must be a list` });
+          break;
+        }
+        validateOpenAICompat(value, issues);
+        break;
+      case "mapping":
+        if (typeof value !== "object" || Array.isArray(value)) {
+          issues.errors.push({ path: key, message: `${key} must be a mapping` });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (config["auth-dir"] === undefined) {
+    issues.warnings.push({ path: "auth-dir", message: "auth-dir is not set; OAuth token files will not be found in ./data" });
+  }
+  if (config["proxy-url"] && !/^(https?|socks5h?):\/\//i.test(String(config["proxy-url"]))) {
+    issues.errors.push({ path: "proxy-url", message: "proxy-url must be an http(s):// or socks5:// URL" });
+  }
+
+  return { ok: issues.errors.length === 0, ...issues };
+}
+
+function hashText(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+function isValidBackupName(name) {
+  return /^config-[0-9TZ-]+\.yaml$/.test(name) && path.basename(name) === name;
+}
+
+async function listConfigBackups() {
+  try {
+    const entries = await readdir(CONFIG_BACKUP_DIR, { withFileTypes: true });
+    const backups = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || !isValidBackupName(entry.name)) {
+        continue;
+      }
+      try {
+        const fileStat = await stat(path.join(CONFIG_BACKUP_DIR, entry.name));
+        backups.push({ name: entry.name, createdAt: fileStat.mtime.toISOString(), size: fileStat.size });
+      } catch {
+        // The file was pruned while listing.
+      }
+    }
+    return backups.sort((a, b) => b.name.localeCompare(a.name));
+  } catch {
+    return [];
+  }
+}
+
+async function backupCurrentConfig() {
+  let current = "";
+  try {
+    current = await readFile(CONFIG_FILE, "utf8");
+  } catch {
+    return "";
+  }
+  await mkdir(CONFIG_BACKUP_DIR, { recursive: true });
+  const name = `config-${new Date().toISOString().replace(/[:.]/g, "-")}.yaml`;
+  await writeFile(path.join(CONFIG_BACKUP_DIR, name), current, { mode: 0o600 });
+
+  const backups = await listConfigBackups();
+  for (const stale of backups.slice(Math.max(1, CONFIG_BACKUP_LIMIT))) {
+    await unlink(path.join(CONFIG_BACKUP_DIR, stale.name)).catch(() => {});
+  }
+  return name;
+}
+
+let configWriteQueue = Promise.resolve();
+
+// Serializes config writes so concurrent saves cannot interleave backup and write.
+function withConfigWriteLock(task) {
+  const run = configWriteQueue.then(task, task);
+  configWriteQueue = run.catch(() => {});
+  return run;
+}
+
+function writeConfigText(text, options) {
+  return withConfigWriteLock(() => replaceConfigText(text, options));
+}
+
+// The body of writeConfigText, for callers that already hold the config write lock.
+async function replaceConfigText(text, { baseHash = "", restart = false } = {}) {
+  let current = "";
+  try {
+    current = await readFile(CONFIG_FILE, "utf8");
+  } catch {
+    current = "";
+  }
+  if (baseHash && baseHash !== hashText(current)) {
+    return { ok: false, status: 409, error: "config.yaml changed since it was loaded; reload and re-apply your edits" };
+  }
+
+  let backup = "";
+  try {
+    backup = await backupCurrentConfig();
+    // Write in place rather than rename: config.yaml is usually a single-file bind mount,
+    // and replacing the inode would detach it from the proxy container.
+    await writeFile(CONFIG_FILE, text);
+  } catch (error) {
+    return { ok: false, status: 500, error: `failed to save config: ${error.message}` };
+  }
+
+  const restartResult = restart ? await runContainerAction("restart") : null;
+  return {
+    ok: true,
+    backup,
+    hash: hashText(text),
+    restart: restartResult,
+  };
+}
+
+async function getRawConfig() {
+  try {
+    const [text, fileStat] = await Promise.all([readFile(CONFIG_FILE, "utf8"), stat(CONFIG_FILE)]);
+    return { ok: true, path: CONFIG_FILE, text, hash: hashText(text), modifiedAt: fileStat.mtime.toISOString() };
+  } catch (error) {
+    return { ok: false, path: CONFIG_FILE, text: "", hash: "", modifiedAt: "", error: error instanceof Error ? error.message : "failed to read config" };
+  }
+}
+
+async function previewConfigChange(text) {
+  const current = await getRawConfig();
+  return {
+    ...validateConfigText(text),
+    baseHash: current.hash,
+    diff: diffLines(current.text, text),
+  };
+}
+
+async function handleConfigSave(req, res) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+    return;
+  }
+  if (typeof body.text !== "string") {
+    sendJSON(res, 400, { error: "text is required" });
+    return;
+  }
+  const validation = validateConfigText(body.text);
+  if (!validation.ok) {
+    sendJSON(res, 422, { error: "config.yaml is invalid", ...validation });
+    return;
+  }
+  const result = await writeConfigText(body.text, { baseHash: String(body.baseHash || ""), restart: body.restart === true });
+  if (!result.ok) {
+    sendJSON(res, result.status, { error: result.error });
+    return;
+  }
+  sendJSON(res, 200, { ...result, warnings: validation.warnings });
+}
+
+async function handleConfigRestore(req, res, name) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+    return;
+  }
+  if (!isValidBackupName(name)) {
+    sendJSON(res, 400, { error: "invalid backup name" });
+    return;
+  }
+  let text;
+  try {
+    text = await readFile(path.join(CONFIG_BACKUP_DIR, name), "utf8");
+  } catch {
+    sendJSON(res, 404, { error: "backup not found" });
+    return;
+  }
+  // Restores skip validation on purpose: the point is getting back to a known state.
+  const result = await writeConfigText(text, { restart: body.restart === true });
+  if (!result.ok) {
+    sendJSON(res, result.status, { error: result.error });
+    return;
+  }
+  sendJSON(res, 200, { ...result, restoredFrom: name, validation: validateConfigText(text) });
+}
+
+function fingerprintKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex").slice(0, 16);
+}
+
+function sanitizeLabel(value, maxLength = 80) {
+  return String(value ?? "")
+    .replace(/[\r\n\t]+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+}
+
+// A missing file means no metadata yet. A file that is not JSON is moved aside, so the next save
+// does not silently replace the labels and revocations it held; read errors are passed on.
+async function loadAccessKeyMetadata() {
+  let text;
+  try {
+    text = await readFile(ACCESS_KEY_META_FILE, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { keys: {}, revoked: [] };
+    }
+    throw error;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    const aside = `${ACCESS_KEY_META_FILE}.corrupt-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    try {
+      await rename(ACCESS_KEY_META_FILE, aside);
+    } catch (renameError) {
+      // Another request moved it aside first.
+      if (renameError.code === "ENOENT") {
+        return { keys: {}, revoked: [] };
+      }
+      throw renameError;
+    }
+    console.warn(`Access key metadata ${ACCESS_KEY_META_FILE} is not valid JSON (${error.message}); moved it to ${aside}`);
+    return { keys: {}, revoked: [] };
+  }
+  return {
+    keys: parsed && typeof parsed.keys === "object" && !Array.isArray(parsed.keys) ? parsed.keys : {},
+    revoked: Array.isArray(parsed?.revoked) ? parsed.revoked : [],
+  };
+}
+
+async function saveAccessKeyMetadata(metadata) {
+  await mkdir(STATE_DIR, { recursive: true });
+  await writeFile(ACCESS_KEY_META_FILE, `${JSON.stringify({ version: 1, ...metadata }, null, 2)}\n`, { mode: 0o600 });
+}
+
+function renderAccessKeyBlock(keys) {
+  if (keys.length === 0) {
+    return ["api-keys: []"];
+  }
+  return ["api-keys:", ...keys.map((key) => `  - ${formatYAMLString(key)}`)];
+}
+
+async function readAccessKeys() {
+  const loaded = await loadConfig();
+  if (!loaded.readable || loaded.parseError) {
+    return { ok: false, error: loaded.readError || loaded.parseError, keys: [], text: loaded.text };
+  }
+  const rawKeys = loaded.config["api-keys"];
+  if (rawKeys !== undefined && rawKeys !== null && !Array.isArray(rawKeys)) {
+    return { ok: false, error: "api-keys in config.yaml is not a list", keys: [], text: loaded.text };
+  }
+  const keys = (rawKeys || []).filter((key) => typeof key === "string" && key !== "");
+  // Rewriting the block would drop entries that are not plain strings, so refuse to edit it.
+  if (keys.length !== (rawKeys || []).length) {
+    return { ok: false, error: "api-keys in config.yaml has entries that are not non-empty strings", keys, text: loaded.text };
+  }
+  return { ok: true, error: "", keys, text: loaded.text };
+}
+
+async function getAccessKeys() {
+  const [current, metadata] = await Promise.all([readAccessKeys(), loadAccessKeyMetadata()]);
+  const diagnosticsKey = PROXY_API_KEY ? fingerprintKey(PROXY_API_KEY) : "";
+  const keys = current.keys.map((key) => {
+    const id = fingerprintKey(key);
+    const meta = metadata.keys[id] || null;
+    return {
+      id,
+      masked: maskSecret(key),
+      label: meta?.label || "",
+      owner: meta?.owner || "",
+      createdAt: meta?.createdAt || "",
+      createdBy: meta?.createdBy || "",
+      managed: Boolean(meta),
+      usedByDiagnostics: id === diagnosticsKey,
+    };
+  });
+  return {
+    generatedAt: new Date().toISOString(),
+    configPath: CONFIG_FILE,
+    error: current.error,
+    keys,
+    revoked: [...metadata.revoked].sort((a, b) => String(b.revokedAt).localeCompare(String(a.revokedAt))),
+  };
+}
+
+// Rewrites only the api-keys block of config.yaml; the rest of the file stays as it is. Labels live in
+// the sidecar file so renaming a key never touches the config. Callers hold the config write lock.
+async function writeAccessKeys(current, keys, restart) {
+  const text = replaceTopLevelYAMLKey(current.text, "api-keys", renderAccessKeyBlock(keys));
+  const validation = validateConfigText(text);
+  if (!validation.ok) {
+    return { ok: false, status: 422, error: "updated config.yaml would be invalid", validation };
+  }
+  return replaceConfigText(text, { baseHash: hashText(current.text), restart });
+}
+
+// Runs one access-key change under the config write lock, so concurrent changes cannot lose each
+// other's metadata, and answers with the { status, body } it returns.
+async function runAccessKeyChange(res, change) {
+  let result;
+  try {
+    result = await withConfigWriteLock(change);
+  } catch (error) {
+    sendJSON(res, 500, { error: `failed to update access keys: ${error.message}` });
+    return;
+  }
+  sendJSON(res, result.status, result.body);
+}
+
+// By the time the sidecar is saved the config already has the change, so a failed save becomes a
+// warning on the response; the caller still needs the key, or to know it is gone.
+async function saveAccessKeyMetadataAfterWrite(metadata) {
+  try {
+    await saveAccessKeyMetadata(metadata);
+    return "";
+  } catch (error) {
+    return `config.yaml was updated, but the key labels could not be saved: ${error.message}`;
+  }
+}
+
+async function handleAccessKeyCreate(req, res, identity) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+    return;
+  }
+  const label = sanitizeLabel(body.label);
+  if (!label) {
+    sendJSON(res, 400, { error: "label is required" });
+    return;
+  }
+  await runAccessKeyChange(res, async () => {
+    const current = await readAccessKeys();
+    if (!current.ok) {
+      return { status: 409, body: { error: `cannot update api-keys: ${current.error}` } };
+    }
+
+    const key = `${ACCESS_KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+    const id = fingerprintKey(key);
+    const metadata = await loadAccessKeyMetadata();
+    metadata.keys[id] = {
+      label,
+      owner: sanitizeLabel(body.owner),
+      createdAt: new Date().toISOString(),
+      createdBy: identity?.user || "",
+    };
+    const result = await writeAccessKeys(current, [...current.keys, key], body.restart === true);
+    if (!result.ok) {
+      return { status: result.status, body: { error: result.error, validation: result.validation } };
+    }
+    const warning = await saveAccessKeyMetadataAfterWrite(metadata);
+    // The only time the full key leaves the server; the UI must show it now or never.
+    return { status: 201, body: { id, key, ...metadata.keys[id], backup: result.backup, restart: result.restart, warning } };
+  });
+}
+
+async function handleAccessKeyUpdate(req, res, id) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+    return;
+  }
+  await runAccessKeyChange(res, async () => {
+    const current = await readAccessKeys();
+    if (!current.ok) {
+      return { status: 409, body: { error: `cannot update api-keys: ${current.error}` } };
+    }
+    if (!current.keys.some((key) => fingerprintKey(key) === id)) {
+      return { status: 404, body: { error: "access key not found" } };
+    }
+
+    const metadata = await loadAccessKeyMetadata();
+    const existing = metadata.keys[id] || { label: "", owner: "", createdAt: "", createdBy: "" };
+    metadata.keys[id] = {
+      ...existing,
+      label: body.label !== undefined ? sanitizeLabel(body.label) : existing.label,
+      owner: body.owner !== undefined ? sanitizeLabel(body.owner) : existing.owner,
+    };
+    await saveAccessKeyMetadata(metadata);
+    return { status: 200, body: { id, ...metadata.keys[id] } };
+  });
+}
+
+async function handleAccessKeyRevoke(req, res, id, identity) {
+  const restart = /^(1|true|yes)$/i.test(new URL(req.url || "/", "http://localhost").searchParams.get("restart") || "");
+  await runAccessKeyChange(res, async () => {
+    const current = await readAccessKeys();
+    if (!current.ok) {
+      return { status: 409, body: { error: `cannot update api-keys: ${current.error}` } };
+    }
+    const remaining = current.keys.filter((key) => fingerprintKey(key) !== id);
+    if (remaining.length === current.keys.length) {
+      return { status: 404, body: { error: "access key not found" } };
+    }
+
+    const metadata = await loadAccessKeyMetadata();
+    const meta = metadata.keys[id] || {};
+    delete metadata.keys[id];
+    metadata.revoked.push({
+      id,
+      label: meta.label || "",
+      owner: meta.owner || "",
+      createdAt: meta.createdAt || "",
+      revokedAt: new Date().toISOString(),
+      revokedBy: identity?.user || "",
+    });
+    metadata.revoked = metadata.revoked.slice(-ACCESS_KEY_REVOKED_HISTORY);
+
+    const result = await writeAccessKeys(current, remaining, restart);
+    if (!result.ok) {
+      return { status: result.status, body: { error: result.error, validation: result.validation } };
+    }
+    const warning = await saveAccessKeyMetadataAfterWrite(metadata);
+    return { status: 200, body: { ok: true, id, backup: result.backup, restart: result.restart, warning } };
+  });
+}
+
+function inferLogProvider(model) {
+  const provider = inferProviderFromModel(model, "");
+  return provider === "unknown" ? "" : provider;
+}
+
+// Summary, auth health and the model catalog are computed once per interval, however many
+// tabs, scripts and scrapes ask for them. While a dashboard is connected to /api/state/stream
+// each topic refreshes on its own timer and is pushed only when it changed; with nobody
+// connected the topics are loaded on demand and cached for one interval.
+function createStateTopic(intervalMs, load) {
+  return { intervalMs, load, data: null, fingerprint: "", loadedAt: 0, pending: null, timer: null };
+}
+
+const stateTopics = {
+  summary: createStateTopic(STATE_REFRESH_MS, getServiceSummary),
+  auth: createStateTopic(STATE_REFRESH_MS, getAuthMechanisms),
+  models: createStateTopic(STATE_MODELS_REFRESH_MS, getProviderModels),
+};
+const stateClients = new Set();
+let stateRefreshTimer = null;
+
+// Every load stamps `generatedAt`; leaving it out means an unchanged topic is not pushed again.
+function stateFingerprint(data) {
+  return JSON.stringify(data, (key, value) => (key === "generatedAt" ? undefined : value));
+}
+
+function sendStateTopic(client, name) {
+  const topic = stateTopics[name];
+  if (!topic.data || client.sent[name] === topic.fingerprint) {
+    return;
+  }
+  client.sent[name] = topic.fingerprint;
+  const data = name === "auth" ? viewAuthTopic(topic.data, client.identity) : topic.data;
+  client.res.write(`event: state\ndata: ${JSON.stringify({ topic: name, data })}\n\n`);
+}
+
+function refreshStateTopic(name) {
+  const topic = stateTopics[name];
+  if (!topic.pending) {
+    topic.pending = topic
+      .load()
+      .then((data) => {
+        topic.data = data;
+        topic.loadedAt = Date.now();
+        topic.fingerprint = stateFingerprint(data);
+        for (const client of stateClients) {
+          sendStateTopic(client, name);
+        }
+        return data;
+      })
+      .finally(() => {
+        topic.pending = null;
+      });
+  }
+  return topic.pending;
+}
+
+async function readStateTopic(name) {
+  const topic = stateTopics[name];
+  if (topic.data && Date.now() - topic.loadedAt < topic.intervalMs) {
+    return topic.data;
+  }
+  return refreshStateTopic(name);
+}
+
+function scheduleStateTopic(name) {
+  const topic = stateTopics[name];
+  const delayMs = Math.max(1000, topic.loadedAt + topic.intervalMs - Date.now());
+  topic.timer = setTimeout(async () => {
+    topic.timer = null;
+    if (stateClients.size === 0) {
+      return;
+    }
+    try {
+      await readStateTopic(name);
+    } catch (error) {
+      console.error(`State refresh (${name}) failed: ${error instanceof Error ? error.message : error}`);
+    }
+    scheduleStateTopic(name);
+  }, delayMs);
+  topic.timer.unref();
+}
+
+// After a change made through the API (container action, config save, login, probe, ...) the
+// connected dashboards get the new state right away instead of at the next tick.
+function scheduleStateRefresh() {
+  if (stateRefreshTimer) {
+    return;
+  }
+  stateRefreshTimer = setTimeout(() => {
+    stateRefreshTimer = null;
+    for (const name of Object.keys(stateTopics)) {
+      refreshStateTopic(name).catch(() => {});
+    }
+  }, 500);
+  stateRefreshTimer.unref();
+}
+
+function streamState(req, res, identity) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(": connected\n\n");
+
+  const client = { res, identity, sent: {} };
+  stateClients.add(client);
+  // The snapshot: cached topics go out right away, the rest as soon as they have loaded.
+  for (const name of Object.keys(stateTopics)) {
+    readStateTopic(name)
+      .then(() => {
+        if (stateClients.has(client)) {
+          sendStateTopic(client, name);
+        }
+      })
+      .catch((error) => {
+        res.write(`event: state-error\ndata: ${JSON.stringify({ topic: name, error: error instanceof Error ? error.message : String(error) })}\n\n`);
+      });
+    if (!stateTopics[name].timer) {
+      scheduleStateTopic(name);
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    stateClients.delete(client);
+  };
+  req.on("close", cleanup);
+  req.on("aborted", cleanup);
+}
+
+// One `docker logs --follow` per container, however many tabs watch it. Lines go into a ring
+// buffer and out to every subscriber; a tab that reconnects with Last-Event-ID gets exactly the
+// lines it missed. When the stream ends (container restarted, docker down) the tailer reconnects
+// with `--since` the last line it saw and skips the replayed ones, so subscribers stay connected.
+// The metrics collector is a subscriber too, which keeps the proxy container's tailer running.
+const logTailers = new Map();
+
+function getLogTailer(container) {
+  let tailer = logTailers.get(container);
+  if (!tailer) {
+    tailer = {
+      container,
+      buffer: createLogBuffer({ capacity: LOG_BUFFER_LINES }),
+      subscribers: new Set(),
+      child: null,
+      replay: createReplayFilter(),
+      retryDelayMs: 0,
+      retryTimer: null,
+      idleTimer: null,
+      state: "stopped",
+      connectedAt: "",
+      restarts: 0,
+      error: "",
+    };
+    logTailers.set(container, tailer);
+  }
+  return tailer;
+}
+
+function publishLogLine(tailer, line, kind = "log") {
+  const fields = parseLogLine(line, { inferProvider: inferLogProvider });
+  if (!tailer.replay.accept(fields.dockerTime)) {
+    return;
+  }
+  fields.problem = classifyLogFields(fields);
+  sendLogEntry(tailer, { kind, line, ts: new Date().toISOString(), fields });
+}
+
+// The tailer's own messages (reconnecting, failed to start) are shown but never parsed as proxy output.
+function publishStatusLine(tailer, message, kind = "status") {
+  sendLogEntry(tailer, { kind, line: message, ts: new Date().toISOString(), fields: null });
+}
+
+function sendLogEntry(tailer, entry) {
+  const stored = tailer.buffer.push(entry);
+  for (const send of tailer.subscribers) {
+    send(stored);
+  }
+}
+
+function startLogTailer(tailer) {
+  tailer.retryTimer = null;
+  const since = tailer.replay.resume();
+  // A reconnect asks for everything since the last line, up to what the buffer holds.
+  const tail = since ? LOG_BUFFER_LINES : LOG_REPLAY_LINES;
+  const child = openContainerLogs(tailer.container, { follow: true, tail, since });
+  tailer.child = child;
+  tailer.state = "running";
+  tailer.connectedAt = new Date().toISOString();
+  const startedAt = Date.now();
+  const buffers = { stdout: "", stderr: "" };
+
+  const consume = (name, chunk, kind) => {
+    const parts = (buffers[name] + chunk.toString("utf8")).split(/\r?\n/);
+    buffers[name] = parts.pop() || "";
+    for (const line of parts) {
+      if (line) {
+        publishLogLine(tailer, line, kind);
+      }
+    }
+  };
+  child.stdout.on("data", (chunk) => consume("stdout", chunk, "log"));
+  child.stderr.on("data", (chunk) => consume("stderr", chunk, "error"));
+
+  const retry = (message, kind) => {
+    tailer.child = null;
+    if (tailer.subscribers.size === 0) {
+      tailer.state = "stopped";
+      return;
+    }
+    tailer.state = "reconnecting";
+    tailer.error = message;
+    tailer.restarts += 1;
+    // Back off when docker logs fails straight away (container missing, docker down).
+    const quickFailure = Date.now() - startedAt < 5000;
+    tailer.retryDelayMs = quickFailure ? Math.min(60000, Math.max(5000, tailer.retryDelayMs * 2)) : 2000;
+    publishStatusLine(tailer, `${message}; reconnecting in ${Math.round(tailer.retryDelayMs / 1000)}s`, kind);
+    tailer.retryTimer = setTimeout(() => startLogTailer(tailer), tailer.retryDelayMs);
+    tailer.retryTimer.unref();
+  };
+  child.on("close", (code) => {
+    for (const [name, rest] of Object.entries(buffers)) {
+      if (rest.trim()) {
+        publishLogLine(tailer, rest.trim(), name === "stderr" ? "error" : "log");
+      }
+    }
+    if (tailer.child === child) {
+      retry(`log stream ended (exit code ${code ?? "unknown"})`, "status");
+    }
+  });
+  child.on("error", (error) => {
+    child.removeAllListeners("close");
+    if (tailer.child === child) {
+      retry(`failed to start docker logs stream: ${error.message}`, "error");
+    }
+  });
+}
+
+function stopLogTailer(tailer) {
+  clearTimeout(tailer.retryTimer);
+  clearTimeout(tailer.idleTimer);
+  const { child } = tailer;
+  tailer.child = null;
+  tailer.state = "stopped";
+  if (child && !child.killed) {
+    child.kill("SIGTERM");
+  }
+  logTailers.delete(tailer.container);
+}
+
+function streamLogs(req, res, containerName, lastEventId = "") {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(": connected\n\n");
+
+  const tailer = getLogTailer(sanitizeContainerName(containerName));
+  const send = ({ id, ...entry }) => {
+    res.write(`id: ${id}\ndata: ${JSON.stringify(entry)}\n\n`);
+  };
+  const { entries, resumed } = tailer.buffer.since(lastEventId, LOG_REPLAY_LINES);
+  if (lastEventId && !resumed) {
+    // The lines after the client's last one are gone; it should drop its view and start over.
+    res.write(`event: reset\ndata: ${JSON.stringify({ reason: "resume point no longer buffered" })}\n\n`);
+  }
+  entries.forEach(send);
+  const unsubscribe = subscribeLogTailer(tailer, send);
+
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on("close", cleanup);
+  req.on("aborted", cleanup);
+}
+
+// Adds a subscriber and starts the tailer if needed. The returned function removes it again; the
+// last one to leave stops the tailer after LOG_TAILER_IDLE_MS.
+function subscribeLogTailer(tailer, send) {
+  tailer.subscribers.add(send);
+  clearTimeout(tailer.idleTimer);
+  tailer.idleTimer = null;
+  if (!tailer.child && !tailer.retryTimer) {
+    tailer.retryDelayMs = 0;
+    startLogTailer(tailer);
+  }
+  return () => {
+    if (!tailer.subscribers.delete(send) || tailer.subscribers.size > 0) {
+      return;
+    }
+    tailer.idleTimer = setTimeout(() => stopLogTailer(tailer), LOG_TAILER_IDLE_MS);
+    tailer.idleTimer.unref();
+  };
+}
+
+function sanitizeContainerName(raw) {
+  return (raw || TARGET_CONTAINER).replace(/[^a-zA-Z0-9_.-]/g, "");
+}
+
+// `docker logs --since/--until` accepts RFC 3339 timestamps and relative durations ("2h").
+function parseLogTimeBound(raw, name) {
+  const value = String(raw || "").trim();
+  if (!value) {
+    return { ok: true, value: "" };
+  }
+  if (/^\d+(?:\.\d+)?[smh]$/.test(value)) {
+    return { ok: true, value };
+  }
+  const parsed = Date.parse(value);
+  if (!Number.isFinite(parsed)) {
+    return { ok: false, error: `${name} must be an ISO timestamp or a duration like 30m or 2h` };
+  }
+  return { ok: true, value: new Date(parsed).toISOString() };
+}
+
+function buildLogMatcher(query, { regex = false, caseSensitive = false } = {}) {
+  if (!query) {
+    return { ok: true, test: () => true };
+  }
+  if (query.length > 500) {
+    return { ok: false, error: "query is too long (max 500 characters)" };
+  }
+  if (regex) {
+    try {
+      const pattern = new RegExp(query, caseSensitive ? "" : "i");
+      return { ok: true, test: (line) => pattern.test(line) };
+    } catch (error) {
+      return { ok: false, error: `invalid regex: ${error.message}` };
+    }
+  }
+  const needle = caseSensitive ? query : query.toLowerCase();
+  return { ok: true, test: (line) => (caseSensitive ? line : line.toLowerCase()).includes(needle) };
+}
+
+function parseLogSearchQuery(searchParams, identity) {
+  const flag = (name) => /^(1|true|yes|on)$/i.test(searchParams.get(name) || "");
+  // A regex runs synchronously over every scanned line, and a backtracking pattern such as
+  // `(a+)+$` can block the event loop past LOG_SEARCH_TIMEOUT_MS, so viewers only get text search.
+  if (flag("regex") && searchParams.get("q") && !hasRole(identity, "operator")) {
+    return { ok: false, status: 403, error: "regex search requires the operator role" };
+  }
+  const since = parseLogTimeBound(searchParams.get("since"), "since");
+  const until = parseLogTimeBound(searchParams.get("until"), "until");
+  const query = String(searchParams.get("q") || "");
+  const matcher = buildLogMatcher(query, { regex: flag("regex"), caseSensitive: flag("case") });
+  const error = [since, until, matcher].find((item) => !item.ok)?.error;
+  if (error) {
+    return { ok: false, error };
+  }
+  if (!since.value) {
+    // An unbounded `docker logs` replays everything the container ever printed.
+    return { ok: false, error: "since is required" };
+  }
+
+  const offset = Math.max(0, Number.parseInt(searchParams.get("offset") || "0", 10) || 0);
+  const limit = Math.min(LOG_SEARCH_PAGE_MAX, Math.max(1, Number.parseInt(searchParams.get("limit") || "200", 10) || 200));
+  return {
+    ok: true,
+    container: sanitizeContainerName(searchParams.get("container")),
+    since: since.value,
+    until: until.value,
+    query,
+    regex: flag("regex"),
+    caseSensitive: flag("case"),
+    level: searchParams.get("level") || "all",
+    status: searchParams.get("status") || "all",
+    matcher,
+    offset,
+    limit,
+  };
+}
+
+// Runs `docker logs` once over a time range and hands every line to `onLine(line, kind)`.
+// stdout and stderr keep separate buffers so a partial line on one never merges with the other.
+function scanContainerLogs(container, { since, until }, onLine) {
+  const child = openContainerLogs(container, { since, until });
+
+  const done = new Promise((resolve) => {
+    let scanned = 0;
+    let truncated = false;
+    let timedOut = false;
+    let stopped = false;
+    let stderrTail = "";
+    const buffers = { log: "", error: "" };
+
+    const stop = () => {
+      if (!stopped) {
+        stopped = true;
+        child.kill("SIGTERM");
+      }
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, LOG_SEARCH_TIMEOUT_MS);
+
+    const emit = (line, kind) => {
+      if (stopped || !line) {
+        return;
+      }
+      scanned += 1;
+      if (onLine(line, kind) === false) {
+        stop();
+      } else if (scanned >= LOG_SEARCH_MAX_LINES) {
+        truncated = true;
+        stop();
+      }
+    };
+    const consume = (chunk, kind) => {
+      const text = buffers[kind] + chunk.toString("utf8");
+      const parts = text.split(/\r?\n/);
+      buffers[kind] = parts.pop() || "";
+      for (const line of parts) {
+        emit(line, kind);
+      }
+    };
+
+    child.stdout.on("data", (chunk) => consume(chunk, "log"));
+    child.stderr.on("data", (chunk) => {
+      stderrTail = `${stderrTail}${chunk}`.slice(-2000);
+      consume(chunk, "error");
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      emit(buffers.log.trim(), "log");
+      emit(buffers.error.trim(), "error");
+      resolve({ code: Number.isInteger(code) ? code : -1, scanned, truncated, timedOut, stopped, stderr: stderrTail.trim() });
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolve({ code: -1, scanned, truncated, timedOut, stopped, stderr: error.message });
+    });
+  });
+
+  return { child, done, stop: () => child.kill("SIGTERM") };
+}
+
+function matchLogLine(search, line, kind) {
+  if (!search.matcher.test(line)) {
+    return null;
+  }
+  const fields = parseLogLine(line, { inferProvider: inferLogProvider });
+  if (!matchesLogFilter(fields, search)) {
+    return null;
+  }
+  fields.problem = classifyLogFields(fields);
+  return { kind, line, fields };
+}
+
+async function handleLogSearch(req, res, searchParams, identity) {
+  const search = parseLogSearchQuery(searchParams, identity);
+  if (!search.ok) {
+    sendJSON(res, search.status || 400, { error: search.error });
+    return;
+  }
+
+  let total = 0;
+  const lines = [];
+  const scan = scanContainerLogs(search.container, search, (line, kind) => {
+    const match = matchLogLine(search, line, kind);
+    if (match) {
+      if (total >= search.offset && lines.length < search.limit) {
+        lines.push(match);
+      }
+      total += 1;
+    }
+  });
+  res.on("close", scan.stop);
+  const result = await scan.done;
+
+  // docker prints container stderr on its own stderr, so only treat it as a failure
+  // when the command itself failed.
+  if (result.code !== 0 && !result.timedOut && !result.truncated && !result.stopped) {
+    sendJSON(res, 502, { error: result.stderr || `docker logs exited with code ${result.code}` });
+    return;
+  }
+  sendJSON(res, 200, {
+    generatedAt: new Date().toISOString(),
+    container: search.container,
+    since: search.since,
+    until: search.until,
+    query: search.query,
+    total,
+    offset: search.offset,
+    limit: search.limit,
+    hasMore: search.offset + lines.length < total,
+    scanned: result.scanned,
+    truncated: result.truncated,
+    timedOut: result.timedOut,
+    lines,
+  });
+}
+
+async function handleLogDownload(req, res, searchParams, identity) {
+  const search = parseLogSearchQuery(searchParams, identity);
+  if (!search.ok) {
+    sendJSON(res, search.status || 400, { error: search.error });
+    return;
+  }
+  const ndjson = searchParams.get("format") === "ndjson";
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  res.writeHead(200, {
+    "Content-Type": ndjson ? "application/x-ndjson; charset=utf-8" : "text/plain; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${search.container}-logs-${stamp}.${ndjson ? "ndjson" : "log"}"`,
+    "Cache-Control": "no-store",
+  });
+
+  let paused = false;
+  const scan = scanContainerLogs(search.container, search, (line, kind) => {
+    const match = matchLogLine(search, line, kind);
+    if (!match) {
+      return;
+    }
+    const ok = res.write(ndjson ? `${JSON.stringify(match)}\n` : `${line}\n`);
+    // One chunk can hold many lines; pause once and wait for a single drain.
+    if (!ok && !paused) {
+      paused = true;
+      scan.child.stdout.pause();
+      scan.child.stderr.pause();
+      res.once("drain", () => {
+        paused = false;
+        scan.child.stdout.resume();
+        scan.child.stderr.resume();
+      });
+    }
+  });
+  res.on("close", scan.stop);
+  const result = await scan.done;
+  if (result.truncated || result.timedOut) {
+    const note = `download stopped after ${result.scanned} lines (${result.truncated ? "line limit" : "timeout"}); narrow the time range`;
+    res.write(ndjson ? `${JSON.stringify({ kind: "status", line: note })}\n` : `# ${note}\n`);
+  }
+  res.end();
+}
+
+// Request metrics come from the proxy container's log tailer, which the collector subscribes to
+// for the life of the server, independent of whether anyone has the dashboard open.
+const metricsStore = createMetricsStore();
+const accountUsage = createAccountUsageTracker();
+const problemStore = createProblemStore();
+// Rate-limit and quota lockouts. Saved to disk because a quota lockout can outlast a restart.
+const rateLimitState = { tracker: createRateLimitTracker(), saveTimer: null };
+// Connection state is the tailer's; getters keep `{ ...metricsCollector }` a plain snapshot.
+let metricsTailer = null;
+const metricsCollector = {
+  container: sanitizeContainerName(TARGET_CONTAINER),
+  get state() {
+    return metricsTailer ? metricsTailer.state : METRICS_ENABLED ? "starting" : "disabled";
+  },
+  get connectedAt() {
+    return metricsTailer?.connectedAt || "";
+  },
+  get lastDockerTime() {
+    return metricsTailer?.replay.lastTime || "";
+  },
+  get restarts() {
+    return metricsTailer?.restarts || 0;
+  },
+  get error() {
+    return metricsTailer?.error || "";
+  },
+  lastLineAt: "",
+  lines: 0,
+  requests: 0,
+};
+// CLIProxyAPI logs the model and the credential it picked on separate lines from the access
+// log; join them by request id.
+const requestContext = new Map();
+
+function rememberRequestContext(requestId, fields, failureRecorded = false) {
+  const existing = requestContext.get(requestId) || {};
+  const failedAccounts = new Set(existing.failedAccounts || []);
+  if (failureRecorded) {
+    failedAccounts.add(normalizeAccountIdentifier(fields.account));
+  }
+  requestContext.delete(requestId);
+  requestContext.set(requestId, {
+    model: fields.model || existing.model || "",
+    provider: fields.provider || existing.provider || "",
+    // The last credential named wins: after a 429 the proxy rotates and logs the next one.
+    account: fields.account || existing.account || "",
+    failedAccounts,
+    atMs: Date.now(),
+  });
+  while (requestContext.size > METRICS_REQUEST_ID_LIMIT) {
+    requestContext.delete(requestContext.keys().next().value);
+  }
+}
+
+function lookupRequestContext(requestId) {
+  const context = requestContext.get(requestId);
+  if (!context || Date.now() - context.atMs > METRICS_REQUEST_ID_TTL_MS) {
+    return null;
+  }
+  return context;
+}
+
+async function loadRateLimitState() {
+  try {
+    const parsed = JSON.parse(await readFile(RATE_LIMIT_STATE_FILE, "utf8"));
+    rateLimitState.tracker = createRateLimitTracker({ entries: Array.isArray(parsed?.cooldowns) ? parsed.cooldowns : [] });
+  } catch {
+    // No saved state yet.
+  }
+}
+
+function scheduleRateLimitSave() {
+  if (rateLimitState.saveTimer) {
+    return;
+  }
+  rateLimitState.saveTimer = setTimeout(async () => {
+    rateLimitState.saveTimer = null;
+    const cooldowns = rateLimitState.tracker.snapshot().map(({ active, remainingMs, ...entry }) => entry);
+    try {
+      await mkdir(STATE_DIR, { recursive: true });
+      await writeFile(RATE_LIMIT_STATE_FILE, `${JSON.stringify({ version: 1, cooldowns }, null, 2)}\n`, { mode: 0o600 });
+    } catch (error) {
+      console.error(`Failed to save rate-limit state: ${error.message}`);
+    }
+  }, 2000);
+  rateLimitState.saveTimer.unref();
+}
+
+function recordRateLimitHit(hit) {
+  if (rateLimitState.tracker.record(hit)) {
+    scheduleRateLimitSave();
+  }
+}
+
+function recordRateLimitSuccess(provider, account = "") {
+  if (rateLimitState.tracker.recordSuccess({ provider, account })) {
+    scheduleRateLimitSave();
+  }
+}
+
+function recordProbeRateLimit(provider, completion) {
+  if (completion.ok) {
+    recordRateLimitSuccess(provider);
+    return;
+  }
+  const message = [completion.error, completion.retryAfter ? `retry-after: ${completion.retryAfter}` : ""].filter(Boolean).join(" ");
+  const hit = completion.status ? detectRateLimit({ status: completion.status, level: "error", message }) : null;
+  if (hit) {
+    recordRateLimitHit({ ...hit, provider, source: "probe", message });
+  }
+}
+
+// Cooldowns with the provider filled in from the account they name, when the log line only
+// named the account.
+function describeRateLimits(accounts) {
+  const owners = new Map();
+  for (const account of accounts) {
+    for (const identifier of accountIdentifiers(account)) {
+      owners.set(normalizeAccountIdentifier(identifier), account);
+    }
+  }
+  return rateLimitState.tracker
+    .snapshot()
+    .map((entry) => {
+      const owner = entry.account ? owners.get(normalizeAccountIdentifier(entry.account)) : null;
+      return { ...entry, provider: entry.provider || owner?.provider || "unknown", accountKey: owner?.key || "" };
+    })
+    .sort((a, b) => Number(b.active) - Number(a.active) || a.remainingMs - b.remainingMs);
+}
+
+function annotateCooldowns(providerHealth, accounts, rateLimits) {
+  const active = rateLimits.filter((entry) => entry.active);
+  for (const account of accounts) {
+    const own = active.filter((entry) => entry.accountKey === account.key);
+    account.cooldown = own.sort((a, b) => b.remainingMs - a.remainingMs)[0] || null;
+  }
+  for (const item of providerHealth) {
+    const own = active.filter((entry) => entry.provider === item.provider);
+    item.cooldown =
+      own.length === 0
+        ? null
+        : {
+            kind: own.some((entry) => entry.kind === "quota") ? "quota" : "rate-limit",
+            entries: own.length,
+            // The provider is usable again as soon as the first locked account resets.
+            resetAt: own.reduce((soonest, entry) => (entry.resetAt < soonest ? entry.resetAt : soonest), own[0].resetAt),
+            estimated: own.every((entry) => entry.estimated),
+            message: own[0].message,
+          };
+  }
+}
+
+function recordRateLimitLine(fields, atMs) {
+  const hit = detectRateLimit(fields, atMs);
+  if (!hit) {
+    return;
+  }
+  const context = fields.requestId ? lookupRequestContext(fields.requestId) : null;
+  const model = fields.model || context?.model || "";
+  recordRateLimitHit({
+    ...hit,
+    provider: fields.provider || context?.provider || (model ? inferLogProvider(model) : ""),
+    account: fields.account || context?.account || "",
+    atMs,
+    source: "log",
+    message: fields.message,
+    requestId: fields.requestId,
+  });
+}
+
+// Only warnings, errors and failed statuses are classified. Access-log lines are skipped: a 401
+// there is a client with a wrong proxy key, not an upstream problem.
+function logLineProvider(fields, context) {
+  const provider = fields.provider || context?.provider || "";
+  if (provider) {
+    return provider;
+  }
+  // A token file name such as codex-me@example.com.json still says which provider it is.
+  const inferred = fields.account ? inferProviderFromFileName(fields.account) : "unknown";
+  return inferred === "unknown" ? "" : inferred;
+}
+
+function classifyLogFields(fields, context = null) {
+  const isAccessLine = fields.status !== null && fields.method && fields.path && /^\d{3}\s*\|/.test(fields.message);
+  if (isAccessLine || !(fields.level === "warn" || fields.level === "error" || fields.status >= 400)) {
+    return null;
+  }
+  const provider = logLineProvider(fields, context);
+  return classifyError(fields.message, {
+    status: fields.status,
+    provider,
+    providerLabel: provider ? formatProviderLabel(provider) : "",
+    model: fields.model || context?.model || "",
+  });
+}
+
+// `fields` is shared with the tailer's buffer and every other subscriber; read it, don't change it.
+function recordMetricsLine(fields) {
+  metricsCollector.lines += 1;
+  metricsCollector.lastLineAt = new Date().toISOString();
+  const dockerMs = Date.parse(fields.dockerTime);
+  const atMs = Number.isFinite(dockerMs) ? dockerMs : Date.now();
+  recordRateLimitLine(fields, atMs);
+  const lineContext = fields.requestId ? lookupRequestContext(fields.requestId) : null;
+  const problem = classifyLogFields(fields, lineContext);
+  if (problem) {
+    problemStore.record(problem, {
+      provider: logLineProvider(fields, lineContext),
+      account: fields.account || lineContext?.account || "",
+      model: fields.model || lineContext?.model || "",
+      source: "log",
+      sample: fields.message,
+      atMs,
+    });
+  }
+  const isAccessLine = fields.status !== null && fields.method && fields.path;
+  if (!isAccessLine) {
+    // An upstream 401/429 for one credential counts against it even if a retry succeeded.
+    const failureRecorded = fields.account && fields.status !== null ? accountUsage.recordFailure({ account: fields.account, status: fields.status, atMs }) : false;
+    if (fields.requestId && (fields.model || fields.provider || fields.account)) {
+      rememberRequestContext(fields.requestId, fields, failureRecorded);
+    }
+    return;
+  }
+
+  const { endpoint, model: pathModel } = normalizeEndpoint(fields.path);
+  const context = fields.requestId ? lookupRequestContext(fields.requestId) : null;
+  const model = fields.model || pathModel || context?.model || "";
+  const provider = fields.provider || context?.provider || (model ? inferLogProvider(model) : "");
+  const account = fields.account || context?.account || "";
+  if (fields.status < 400 && provider) {
+    recordRateLimitSuccess(provider, account);
+    recordRateLimitSuccess(provider);
+  }
+  if (account) {
+    accountUsage.recordRequest({
+      account,
+      status: fields.status,
+      atMs,
+      failureRecorded: Boolean(context?.failedAccounts.has(normalizeAccountIdentifier(account))),
+    });
+  }
+  metricsStore.record({
+    atMs,
+    provider,
+    model,
+    endpoint: endpointLabel(fields.method, endpoint),
+    statusClass: statusBucket(fields.status),
+    latencyMs: fields.latencyMs,
+  });
+  metricsCollector.requests += 1;
+}
+
+function startMetricsCollector() {
+  if (!METRICS_ENABLED) {
+    return;
+  }
+  metricsTailer = getLogTailer(metricsCollector.container);
+  // The tailer replays recent lines when it starts; those were logged before the server was
+  // counting, so only lines from now on go into the metrics.
+  const subscribedAtMs = Date.now();
+  subscribeLogTailer(metricsTailer, (entry) => {
+    if (entry.fields && !(Date.parse(entry.fields.dockerTime) < subscribedAtMs)) {
+      recordMetricsLine(entry.fields);
+    }
+  });
+}
+
+// Background `docker stats` for the proxy container, kept as a rolling hour of samples so a
+// slow memory climb is visible without anyone watching at the time.
+const statsCollector = {
+  state: PROCESS_MODE ? "unsupported" : STATS_ENABLED ? "starting" : "disabled",
+  container: sanitizeContainerName(TARGET_CONTAINER),
+  connectedAt: "",
+  lastSampleAt: "",
+  restarts: 0,
+  error: "",
+};
+const statsSamples = [];
+let latestStats = null;
+
+function recordStatsLine(line) {
+  const nowMs = Date.now();
+  const sample = parseStatsLine(line, nowMs);
+  if (!sample) {
+    return;
+  }
+  latestStats = sample;
+  statsCollector.lastSampleAt = sample.t;
+  // docker stats refreshes about once a second; keep one sample per STATS_SAMPLE_MS.
+  const last = statsSamples[statsSamples.length - 1];
+  if (last && nowMs - Date.parse(last.t) < STATS_SAMPLE_MS) {
+    return;
+  }
+  statsSamples.push(sample);
+  if (statsSamples.length > STATS_HISTORY_SAMPLES) {
+    statsSamples.shift();
+  }
+}
+
+function startStatsCollector(delayMs = 0) {
+  if (!STATS_ENABLED || PROCESS_MODE) {
+    return;
+  }
+  setTimeout(() => {
+    const child = openDockerStream(
+      () => dockerEngine.stats(statsCollector.container),
+      ["stats", "--format", "{{json .}}", statsCollector.container],
+    );
+    const startedAt = Date.now();
+    let buffer = "";
+    let stderrTail = "";
+    statsCollector.state = "running";
+    statsCollector.connectedAt = new Date().toISOString();
+
+    child.stdout.on("data", (chunk) => {
+      const parts = (buffer + chunk.toString("utf8")).split(/\r?\n/);
+      buffer = parts.pop() || "";
+      for (const line of parts) {
+        recordStatsLine(line);
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      stderrTail = `${stderrTail}${chunk}`.slice(-500);
+    });
+
+    const retry = (message) => {
+      statsCollector.state = "reconnecting";
+      statsCollector.error = message;
+      statsCollector.restarts += 1;
+      latestStats = null;
+      const quickFailure = Date.now() - startedAt < 5000;
+      startStatsCollector(quickFailure ? Math.min(60000, Math.max(5000, delayMs * 2)) : 2000);
+    };
+    child.on("close", (code) => {
+      retry(code === 0 ? "stats stream ended (container removed?)" : stderrTail.trim() || `docker stats exited with code ${code}`);
+    });
+    child.on("error", (error) => {
+      child.removeAllListeners("close");
+      retry(`failed to start docker stats: ${error.message}`);
+    });
+  }, delayMs).unref();
+}
+
+function getContainerStats(windowMinutes) {
+  const minutes = Math.min(60, Math.max(1, windowMinutes));
+  const cutoffMs = Date.now() - minutes * 60 * 1000;
+  // Rates need the sample just before the window, so slice one early and drop it after.
+  const firstIdx = Math.max(0, statsSamples.findIndex((sample) => Date.parse(sample.t) >= cutoffMs) - 1);
+  const windowed = withRates(statsSamples.slice(firstIdx)).filter((sample) => Date.parse(sample.t) >= cutoffMs);
+  return {
+    generatedAt: new Date().toISOString(),
+    collector: { ...statsCollector },
+    windowMinutes: minutes,
+    sampleSeconds: STATS_SAMPLE_MS / 1000,
+    latest: latestStats,
+    samples: windowed,
+    memoryTrend: memoryTrend(statsSamples),
+  };
+}
+
+// Background `docker events` for the proxy container. Every event is kept in a timeline saved
+// to the state dir; on a crash the logs written just before it are captured alongside.
+// In process mode the supervisor reports lifecycle changes itself; there is no event stream.
+const eventsCollector = {
+  state: PROCESS_MODE ? "process" : EVENTS_ENABLED ? "starting" : "disabled",
+  container: sanitizeContainerName(TARGET_CONTAINER),
+  connectedAt: "",
+  restarts: 0,
+  error: "",
+};
+let containerTimeline = createContainerTimeline();
+let eventsSaveTimer = null;
+
+async function loadContainerEvents() {
+  try {
+    const parsed = JSON.parse(await readFile(CONTAINER_EVENTS_FILE, "utf8"));
+    containerTimeline = createContainerTimeline({ events: Array.isArray(parsed?.events) ? parsed.events : [] });
+  } catch {
+    // No saved timeline yet.
+  }
+}
+
+function scheduleContainerEventsSave() {
+  if (eventsSaveTimer) {
+    return;
+  }
+  eventsSaveTimer = setTimeout(async () => {
+    eventsSaveTimer = null;
+    try {
+      await mkdir(STATE_DIR, { recursive: true });
+      await writeFile(CONTAINER_EVENTS_FILE, `${JSON.stringify({ version: 1, events: containerTimeline.entries() })}\n`, { mode: 0o600 });
+    } catch (error) {
+      console.error(`Failed to save container events: ${error.message}`);
+    }
+  }, 2000);
+  eventsSaveTimer.unref();
+}
+
+// The restart policy may already have started the container again, so read a little more than
+// needed and keep only lines written up to the moment it died.
+async function captureCrashLogs(entry) {
+  const tail = CRASH_LOG_LINES + 200;
+  const result = await collectOutput(openContainerLogs(eventsCollector.container, { tail }), 20000);
+  if (result.code !== 0) {
+    containerTimeline.attachLogs(entry.id, [], (result.stderr || "docker logs failed").trim().slice(0, 300));
+    scheduleContainerEventsSave();
+    return;
+  }
+  const diedAtMs = Date.parse(entry.at);
+  const lines = `${result.stdout}${result.stderr}`
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => ({ line, atMs: Date.parse(parseLogLine(line).dockerTime) }))
+    .filter((item) => !Number.isFinite(item.atMs) || item.atMs <= diedAtMs + 1000)
+    .sort((a, b) => (a.atMs || 0) - (b.atMs || 0))
+    .slice(-CRASH_LOG_LINES)
+    .map((item) => item.line);
+  containerTimeline.attachLogs(entry.id, lines);
+  scheduleContainerEventsSave();
+}
+
+function recordEventLine(line) {
+  const event = parseDockerEvent(line);
+  if (event) {
+    recordContainerEvent(event);
+  }
+}
+
+// Lifecycle of the supervised binary in process mode, as the `docker events` entry it matches.
+function recordProcessEvent({ action, at, pid, exitCode, signal }) {
+  recordContainerEvent({
+    id: `${Date.parse(at)}-${action}`,
+    at,
+    action,
+    detail: "",
+    container: TARGET_CONTAINER,
+    containerId: pid ? String(pid) : "",
+    image: PROCESS_COMMAND,
+    exitCode: action === "die" ? exitCode : null,
+    signal: action === "kill" ? signal : "",
+  });
+}
+
+function recordContainerEvent(event) {
+  const entry = containerTimeline.record(event);
+  if (!entry) {
+    return;
+  }
+  scheduleContainerEventsSave();
+  if (entry.action === "die") {
+    const reason = entry.oom ? "out of memory" : entry.intentional ? "stopped" : `exit code ${entry.exitCode}`;
+    console.log(`Proxy container died (${reason}) at ${entry.at}`);
+    captureCrashLogs(entry).catch((error) => {
+      console.error(`Failed to capture crash logs: ${error.message}`);
+    });
+  }
+}
+
+function startEventsCollector(delayMs = 0) {
+  if (!EVENTS_ENABLED || PROCESS_MODE) {
+    return;
+  }
+  setTimeout(() => {
+    // Resume from the last recorded event so a restart of the stream (or the dashboard) does
+    // not leave a gap; replayed events are dropped by the timeline.
+    const since = containerTimeline.lastEventAt() || new Date().toISOString();
+    const child = openDockerStream(
+      () => dockerEngine.events({ since, filters: { type: ["container"], container: [eventsCollector.container] } }),
+      ["events", "--since", since, "--filter", "type=container", "--filter", `container=${eventsCollector.container}`, "--format", "{{json .}}"],
+    );
+    const startedAt = Date.now();
+    let buffer = "";
+    let stderrTail = "";
+    eventsCollector.state = "running";
+    eventsCollector.connectedAt = new Date().toISOString();
+
+    child.stdout.on("data", (chunk) => {
+      const parts = (buffer + chunk.toString("utf8")).split(/\r?\n/);
+      buffer = parts.pop() || "";
+      for (const line of parts) {
+        recordEventLine(line);
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      stderrTail = `${stderrTail}${chunk}`.slice(-500);
+    });
+
+    const retry = (message) => {
+      eventsCollector.state = "reconnecting";
+      eventsCollector.error = message;
+      eventsCollector.restarts += 1;
+      const quickFailure = Date.now() - startedAt < 5000;
+      startEventsCollector(quickFailure ? Math.min(60000, Math.max(5000, delayMs * 2)) : 2000);
+    };
+    child.on("close", (code) => {
+      retry(stderrTail.trim() || `docker events exited with code ${code}`);
+    });
+    child.on("error", (error) => {
+      child.removeAllListeners("close");
+      retry(`failed to start docker events: ${error.message}`);
+    });
+  }, delayMs).unref();
+}
+
+function getContainerEvents() {
+  return {
+    generatedAt: new Date().toISOString(),
+    collector: { ...eventsCollector },
+    crashLogLines: CRASH_LOG_LINES,
+    crashLoop: containerTimeline.crashLoop(),
+    events: containerTimeline.list(),
+  };
+}
+
+function getMetricsSummary(windowMinutes) {
+  return {
+    generatedAt: new Date().toISOString(),
+    collector: { ...metricsCollector },
+    ...metricsStore.summarize(windowMinutes),
+  };
+}
+
+async function getPrometheusMetrics() {
+  const startedAt = performance.now();
+  const [summary, auth, models] = await Promise.all([readStateTopic("summary"), readStateTopic("auth"), readStateTopic("models")]);
+  const nowMs = Date.now();
+  const seconds = (ms) => (ms === null || ms === undefined ? null : ms / 1000);
+
+  const families = [
+    {
+      name: "api4llm_docker_available",
+      help: "Whether the diagnostics server can talk to Docker (1) or not (0).",
+      samples: [{ value: summary.dockerAvailable }],
+    },
+    {
+      name: "api4llm_container_running",
+      help: "Whether the proxy container is running (1) or not (0).",
+      samples: summary.services.map((svc) => ({ labels: { service: svc.service, container: svc.container }, value: svc.running })),
+    },
+    {
+      name: "api4llm_container_info",
+      help: "Proxy container state as reported by Docker; always 1.",
+      samples: summary.services.map((svc) => ({
+        labels: { service: svc.service, container: svc.container, state: svc.state, image: svc.image || "" },
+        value: 1,
+      })),
+    },
+    {
+      name: "api4llm_container_exit_code",
+      help: "Last exit code of the proxy container, when it has exited.",
+      samples: summary.services
+        .filter((svc) => svc.exitCode !== null && svc.exitCode !== undefined)
+        .map((svc) => ({ labels: { service: svc.service, container: svc.container }, value: svc.exitCode })),
+    },
+    {
+      name: "api4llm_provider_credential_status",
+      help: "Worst credential freshness per provider; 1 for the current status, 0 otherwise.",
+      samples: auth.providerHealth.flatMap((item) =>
+        Object.keys(FRESHNESS_SEVERITY).map((status) => ({ labels: { provider: item.provider, status }, value: item.status === status })),
+      ),
+    },
+    {
+      name: "api4llm_provider_credentials",
+      help: "Credentials configured per provider, by kind.",
+      samples: auth.providerHealth.flatMap((item) => [
+        { labels: { provider: item.provider, kind: "oauth" }, value: item.oauthCount },
+        { labels: { provider: item.provider, kind: "api_key" }, value: item.staticKeyCount },
+      ]),
+    },
+    {
+      name: "api4llm_provider_credentials_expired",
+      help: "OAuth credentials past their expiry time per provider.",
+      samples: auth.providerHealth.map((item) => ({ labels: { provider: item.provider }, value: item.expiredCount })),
+    },
+    {
+      name: "api4llm_provider_credentials_expiring_soon",
+      help: "OAuth credentials expiring within 24 hours per provider.",
+      samples: auth.providerHealth.map((item) => ({ labels: { provider: item.provider }, value: item.expiringSoonCount })),
+    },
+    {
+      name: "api4llm_provider_credential_expiry_seconds",
+      help: "Seconds until the soonest OAuth credential expiry per provider; negative once expired.",
+      samples: auth.providerHealth
+        .filter((item) => item.soonestExpiry)
+        .map((item) => ({ labels: { provider: item.provider }, value: Math.round((Date.parse(item.soonestExpiry) - nowMs) / 1000) })),
+    },
+    {
+      name: "api4llm_provider_credential_refresh_timestamp_seconds",
+      help: "Unix time of the latest credential refresh per provider.",
+      samples: auth.providerHealth
+        .filter((item) => item.latestRefresh)
+        .map((item) => ({ labels: { provider: item.provider }, value: Math.floor(Date.parse(item.latestRefresh) / 1000) })),
+    },
+    {
+      name: "api4llm_rate_limit_cooldown_seconds",
+      help: "Seconds left in an active rate-limit or quota cooldown per provider account.",
+      samples: auth.rateLimits
+        .filter((entry) => entry.active)
+        .map((entry) => ({ labels: { provider: entry.provider, account: entry.account, kind: entry.kind }, value: Math.round(entry.remainingMs / 1000) })),
+    },
+    {
+      name: "api4llm_proxy_endpoint_up",
+      help: "Whether the proxy model-list endpoint answered successfully.",
+      samples: Object.entries(models.endpointStatus).map(([endpoint, status]) => ({ labels: { endpoint }, value: status.ok })),
+    },
+    {
+      name: "api4llm_proxy_endpoint_status_code",
+      help: "HTTP status of the last model-list request (0 when unreachable).",
+      samples: Object.entries(models.endpointStatus).map(([endpoint, status]) => ({ labels: { endpoint }, value: status.status })),
+    },
+    {
+      name: "api4llm_provider_models",
+      help: "Models the proxy lists per provider.",
+      samples: models.providerModels.map((group) => ({ labels: { provider: group.provider }, value: group.count })),
+    },
+    {
+      name: "api4llm_probe_success",
+      help: "Whether the last probe of a model succeeded.",
+      samples: [...probeResults.values()].map((probe) => ({ labels: { provider: probe.provider, model: probe.model }, value: probe.ok })),
+    },
+    {
+      name: "api4llm_probe_status_code",
+      help: "HTTP status of the last probe of a model (0 when unreachable).",
+      samples: [...probeResults.values()].map((probe) => ({ labels: { provider: probe.provider, model: probe.model }, value: probe.status })),
+    },
+    {
+      name: "api4llm_probe_latency_seconds",
+      help: "Total latency of the last non-streaming probe of a model.",
+      samples: [...probeResults.values()].map((probe) => ({ labels: { provider: probe.provider, model: probe.model }, value: seconds(probe.latencyMs) })),
+    },
+    {
+      name: "api4llm_probe_ttft_seconds",
+      help: "Time to first token of the last streaming probe of a model.",
+      samples: [...probeResults.values()].map((probe) => ({ labels: { provider: probe.provider, model: probe.model }, value: seconds(probe.ttftMs) })),
+    },
+    {
+      name: "api4llm_probe_timestamp_seconds",
+      help: "Unix time of the last probe of a model.",
+      samples: [...probeResults.values()].map((probe) => ({
+        labels: { provider: probe.provider, model: probe.model },
+        value: Math.floor(Date.parse(probe.checkedAt) / 1000),
+      })),
+    },
+  ];
+
+  if (METRICS_ENABLED) {
+    const series = metricsStore.snapshot();
+    const labelsOf = (item) => ({
+      provider: item.labels.provider,
+      model: item.labels.model,
+      endpoint: item.labels.endpoint,
+      status_class: item.labels.statusClass,
+    });
+    families.push(
+      {
+        name: "api4llm_metrics_collector_up",
+        help: "Whether the background log collector is attached to the proxy container.",
+        samples: [{ value: metricsCollector.state === "running" }],
+      },
+      {
+        name: "api4llm_proxy_requests_total",
+        help: "Proxy requests seen in the container logs since the diagnostics server started.",
+        type: "counter",
+        samples: series.map((item) => ({ labels: labelsOf(item), value: item.count })),
+      },
+      {
+        name: "api4llm_proxy_request_duration_seconds",
+        help: "Proxy request latency from the container access log.",
+        type: "histogram",
+        samples: series
+          .filter((item) => item.latencyCount > 0)
+          .flatMap((item) =>
+            histogramSamples(
+              labelsOf(item),
+              LATENCY_BUCKETS_MS.map((bound) => bound / 1000),
+              item.buckets,
+              item.latencySum / 1000,
+            ),
+          ),
+      },
+    );
+  }
+
+  // A sample older than a few refreshes means the stream is down; report nothing rather than stale numbers.
+  if (latestStats && nowMs - Date.parse(latestStats.t) < 30 * 1000) {
+    const labels = { container: statsCollector.container };
+    families.push(
+      {
+        name: "api4llm_container_cpu_percent",
+        help: "CPU use of the proxy container as reported by docker stats (100 = one core).",
+        samples: [{ labels, value: latestStats.cpuPercent }],
+      },
+      {
+        name: "api4llm_container_memory_bytes",
+        help: "Memory use of the proxy container.",
+        samples: [{ labels, value: latestStats.memBytes }],
+      },
+      {
+        name: "api4llm_container_memory_limit_bytes",
+        help: "Memory limit of the proxy container (host memory when unlimited).",
+        samples: [{ labels, value: latestStats.memLimitBytes }],
+      },
+      {
+        name: "api4llm_container_network_bytes_total",
+        help: "Network bytes of the proxy container since it started.",
+        type: "counter",
+        samples: [
+          { labels: { ...labels, direction: "receive" }, value: latestStats.netRxBytes },
+          { labels: { ...labels, direction: "transmit" }, value: latestStats.netTxBytes },
+        ],
+      },
+      {
+        name: "api4llm_container_block_io_bytes_total",
+        help: "Block device bytes of the proxy container since it started.",
+        type: "counter",
+        samples: [
+          { labels: { ...labels, operation: "read" }, value: latestStats.blockReadBytes },
+          { labels: { ...labels, operation: "write" }, value: latestStats.blockWriteBytes },
+        ],
+      },
+      {
+        name: "api4llm_container_pids",
+        help: "Processes and threads in the proxy container.",
+        samples: [{ labels, value: latestStats.pids }],
+      },
+    );
+  }
+
+  if (EVENTS_ENABLED) {
+    const crashLoop = containerTimeline.crashLoop();
+    families.push(
+      {
+        name: "api4llm_container_crashes_recent",
+        help: `Crashes of the proxy container in the last ${crashLoop.windowMinutes} minutes.`,
+        samples: [{ value: crashLoop.crashes }],
+      },
+      {
+        name: "api4llm_container_crash_loop",
+        help: "Whether the proxy container is in a crash loop (1) or not (0).",
+        samples: [{ value: crashLoop.looping }],
+      },
+    );
+  }
+
+  families.push({
+    name: "api4llm_diagnostics_scrape_duration_seconds",
+    help: "Time spent collecting these metrics.",
+    samples: [{ value: Math.round(performance.now() - startedAt) / 1000 }],
+  });
+  return renderPrometheus(families);
+}
+
+// Background alerting. State survives restarts so a condition that was already reported is
+// not reported again just because the dashboard container was recreated.
+const alertEngine = {
+  loaded: false,
+  state: {},
+  notifications: [],
+  lastEvaluatedAt: "",
+  lastError: "",
+};
+let alertQueue = Promise.resolve();
+
+async function loadAlertState() {
+  if (alertEngine.loaded) {
+    return;
+  }
+  alertEngine.loaded = true;
+  try {
+    const parsed = JSON.parse(await readFile(ALERT_STATE_FILE, "utf8"));
+    alertEngine.state = parsed && typeof parsed.alerts === "object" && !Array.isArray(parsed.alerts) ? parsed.alerts : {};
+    alertEngine.notifications = Array.isArray(parsed?.notifications) ? parsed.notifications.slice(0, ALERT_NOTIFICATION_HISTORY) : [];
+  } catch {
+    alertEngine.state = {};
+  }
+}
 
-  const cleanup = () => {
-    clearInterval(heartbeat);
-    if (!child.killed) {
-      child.kill("SIGTERM");
+async function saveAlertState() {
+  await mkdir(STATE_DIR, { recursive: true });
+  const payload = { version: 1, alerts: alertEngine.state, notifications: alertEngine.notifications };
+  await writeFile(ALERT_STATE_FILE, `${JSON.stringify(payload, null, 2)}\n`, { mode: 0o600 });
+}
+
+function credentialAlertSeverity(status) {
+  if (status === "expired" || status === "error") {
+    return "critical";
+  }
+  if (status === "warning" || status === "stale") {
+    return "warning";
+  }
+  return "ok";
+}
+
+async function collectAlertObservations() {
+  const [summary, auth, models] = await Promise.all([readStateTopic("summary"), readStateTopic("auth"), readStateTopic("models")]);
+  const observations = [];
+
+  observations.push({
+    key: "docker",
+    severity: summary.dockerAvailable ? "ok" : "warning",
+    title: "Docker access",
+    message: summary.dockerAvailable ? "The dashboard can reach Docker again" : "The dashboard cannot reach Docker; container state is unknown",
+  });
+
+  const running = summary.overallState === "running";
+  const container = summary.services[0] || {};
+  observations.push({
+    key: "container",
+    severity: summary.dockerAvailable ? (running ? "ok" : "critical") : null,
+    title: `Proxy container ${container.container || TARGET_CONTAINER}`,
+    message: running
+      ? "Container is running"
+      : `Container is ${summary.overallState}${Number.isFinite(container.exitCode) ? ` (exit code ${container.exitCode})` : ""}`,
+    details: { state: summary.overallState, exitCode: container.exitCode ?? null },
+  });
+
+  if (EVENTS_ENABLED) {
+    const crashLoop = containerTimeline.crashLoop();
+    observations.push({
+      key: "container:crash-loop",
+      severity: crashLoop.looping ? "critical" : "ok",
+      title: `Proxy container ${container.container || TARGET_CONTAINER} crash loop`,
+      message: crashLoop.looping
+        ? `${crashLoop.crashes} crashes in the last ${crashLoop.windowMinutes} minutes (last exit code ${crashLoop.lastExitCode ?? "unknown"})`
+        : "No crash loop",
+      details: { crashes: crashLoop.crashes, lastCrashAt: crashLoop.lastCrashAt, lastExitCode: crashLoop.lastExitCode },
+    });
+  }
+
+  // With the container down the endpoint fails too; the container alert already covers that.
+  const endpoint = models.endpointStatus.openai;
+  observations.push({
+    key: "endpoint:openai",
+    severity: summary.dockerAvailable && !running ? null : endpoint.ok ? "ok" : "critical",
+    title: "Proxy /v1/models",
+    message: endpoint.ok
+      ? `Responding (${endpoint.count} models)`
+      : `Request failed${endpoint.status ? ` with HTTP ${endpoint.status}` : ""}: ${truncateProbeText(endpoint.error, 200)}`,
+    details: { status: endpoint.status },
+  });
+
+  for (const item of auth.providerHealth) {
+    if (item.status === "missing") {
+      continue;
+    }
+    observations.push({
+      key: `provider:${item.provider}`,
+      severity: credentialAlertSeverity(item.status),
+      title: `${item.label} credentials`,
+      message: `${item.status}: ${item.statusMessage}`,
+      details: {
+        provider: item.provider,
+        status: item.status,
+        expiredCount: item.expiredCount,
+        expiringSoonCount: item.expiringSoonCount,
+        soonestExpiry: item.soonestExpiry || "",
+      },
+    });
+  }
+  return observations;
+}
+
+async function deliverAlert(target, notification) {
+  if (target.format === "invalid") {
+    return { ok: false, status: 0, error: "invalid webhook URL" };
+  }
+  const request = buildWebhookRequest(target, notification, { dashboardUrl: ALERT_DASHBOARD_URL });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ALERT_WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(target.url, { method: "POST", headers: request.headers, body: request.body, signal: controller.signal });
+    const text = await response.text().catch(() => "");
+    return { ok: response.ok, status: response.status, error: response.ok ? "" : truncateProbeText(text || `HTTP ${response.status}`, 200) };
+  } catch (error) {
+    return { ok: false, status: 0, error: error instanceof Error ? error.message : "request failed" };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function dispatchNotification(notification) {
+  const deliveries = await Promise.all(
+    ALERT_WEBHOOKS.map(async (target) => ({ host: target.host, format: target.format, ...(await deliverAlert(target, notification)) })),
+  );
+  for (const delivery of deliveries) {
+    if (!delivery.ok) {
+      console.error(`Alert webhook ${delivery.host || "(invalid)"} failed: ${delivery.error}`);
+    }
+  }
+  alertEngine.notifications = [{ ...notification, deliveries }, ...alertEngine.notifications].slice(0, ALERT_NOTIFICATION_HISTORY);
+  return deliveries;
+}
+
+// Serialized so a slow webhook can't make two evaluations race on the same state.
+function withAlertLock(task) {
+  const run = alertQueue.then(task, task);
+  alertQueue = run.catch(() => {});
+  return run;
+}
+
+function evaluateAlertsNow() {
+  return withAlertLock(async () => {
+    await loadAlertState();
+    try {
+      const observations = await collectAlertObservations();
+      const result = evaluateAlerts(alertEngine.state, observations, {
+        cooldownMs: ALERT_COOLDOWN_MS,
+        confirmations: ALERT_CONFIRMATIONS,
+      });
+      alertEngine.state = result.state;
+      for (const notification of result.notifications) {
+        console.log(`Alert ${notification.status}: ${notification.title} (${notification.severity})`);
+        await dispatchNotification(notification);
+      }
+      alertEngine.lastError = "";
+    } catch (error) {
+      alertEngine.lastError = error instanceof Error ? error.message : String(error);
+      console.error(`Alert evaluation failed: ${alertEngine.lastError}`);
     }
+    alertEngine.lastEvaluatedAt = new Date().toISOString();
+    await saveAlertState().catch((error) => {
+      console.error(`Failed to save alert state: ${error instanceof Error ? error.message : error}`);
+    });
+  });
+}
+
+function startAlertEngine() {
+  const tick = async () => {
+    await evaluateAlertsNow();
+    setTimeout(tick, ALERT_INTERVAL_MS).unref();
   };
+  setTimeout(tick, 15 * 1000).unref();
+}
 
-  req.on("close", cleanup);
-  req.on("aborted", cleanup);
+async function getAlerts() {
+  await loadAlertState();
+  const alerts = Object.values(alertEngine.state)
+    .map((entry) => ({
+      key: entry.key,
+      title: entry.title,
+      message: entry.message,
+      severity: entry.severity,
+      since: entry.since,
+      firing: entry.firing,
+      suppressed: entry.suppressed,
+      lastNotifiedAt: entry.lastNotifiedAt,
+      pending: entry.pendingSeverity ? { severity: entry.pendingSeverity, count: entry.pendingCount } : null,
+    }))
+    .sort((a, b) => Number(b.firing) - Number(a.firing) || a.key.localeCompare(b.key));
+  return {
+    generatedAt: new Date().toISOString(),
+    enabled: ALERT_WEBHOOKS.length > 0,
+    webhooks: ALERT_WEBHOOKS.map((target) => ({ host: target.host, format: target.format })),
+    intervalSeconds: ALERT_INTERVAL_MS / 1000,
+    cooldownMinutes: ALERT_COOLDOWN_MS / 60000,
+    confirmations: ALERT_CONFIRMATIONS,
+    lastEvaluatedAt: alertEngine.lastEvaluatedAt,
+    lastError: alertEngine.lastError,
+    alerts,
+    notifications: alertEngine.notifications,
+  };
+}
+
+async function handleAlertTest(res, identity) {
+  if (ALERT_WEBHOOKS.length === 0) {
+    sendJSON(res, 400, { error: "no webhooks configured; set DIAG_ALERT_WEBHOOKS" });
+    return;
+  }
+  const notification = {
+    status: "test",
+    key: "test",
+    severity: "warning",
+    title: "Test alert from the diagnostics dashboard",
+    message: `Sent by ${identity?.user || "an operator"}. Alerts are delivered to this webhook.`,
+    since: "",
+    at: new Date().toISOString(),
+    details: {},
+  };
+  const deliveries = await withAlertLock(async () => {
+    await loadAlertState();
+    const result = await dispatchNotification(notification);
+    await saveAlertState().catch(() => {});
+    return result;
+  });
+  const failed = deliveries.filter((item) => !item.ok);
+  if (failed.length > 0) {
+    sendJSON(res, 502, { error: `${failed.length} of ${deliveries.length} webhooks failed: ${failed[0].error}`, deliveries });
+    return;
+  }
+  sendJSON(res, 200, { deliveries });
 }
 
 async function serveStatic(res, urlPath) {
@@ -1241,32 +5261,377 @@ const server = http.createServer(async (req, res) => {
   const requestURL = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
   const pathname = requestURL.pathname;
 
-  if (pathname.startsWith("/api/") && !ALLOW_REMOTE && !isLocalRequest(req)) {
-    sendJSON(res, 403, { error: "Local access only", details: "Diagnostics API is bound to localhost." });
+  if (isCrossOriginWrite(req, method)) {
+    sendJSON(res, 403, { error: "Cross-origin request rejected" });
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/healthz") {
+    sendJSON(res, 200, { ok: true, timestamp: new Date().toISOString() });
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/auth/login") {
+    if (!AUTH_ENABLED) {
+      sendJSON(res, 400, { error: "Authentication is not configured" });
+      return;
+    }
+    await handleLogin(req, res);
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/auth/logout") {
+    handleLogout(req, res);
+    return;
+  }
+
+  const identity = await authenticateRequest(req);
+
+  if (method === "GET" && pathname === "/api/auth/session") {
+    sendJSON(res, 200, describeSession(identity));
+    return;
+  }
+
+  if (pathname === "/login.html" && (!AUTH_ENABLED || identity)) {
+    res.writeHead(302, { Location: "/", "Cache-Control": "no-store" });
+    res.end();
+    return;
+  }
+
+  // Without configured credentials the static UI stays public and only the API is local-only, as before.
+  const needsIdentity = AUTH_ENABLED ? !PUBLIC_PATHS.has(pathname) : isAPIPath(pathname);
+  if (needsIdentity && !identity) {
+    rejectUnauthenticated(req, res, pathname);
+    return;
+  }
+
+  // Anything that changes state is operator-only; viewers get the read-only GET routes.
+  if (pathname.startsWith("/api/") && method !== "GET" && method !== "HEAD" && !hasRole(identity, "operator")) {
+    sendJSON(res, 403, { error: "Operator role required", details: `Signed in as ${identity?.user || "unknown"} (${identity?.role || "none"}).` });
+    return;
+  }
+
+  if (pathname.startsWith("/api/") && method !== "GET" && method !== "HEAD") {
+    res.on("finish", () => {
+      if (res.statusCode < 400) {
+        scheduleStateRefresh();
+      }
+    });
+  }
+
+  if (method === "GET" && pathname === "/api/state/stream") {
+    streamState(req, res, identity);
     return;
   }
 
   if (method === "GET" && pathname === "/api/summary") {
-    const summary = await getServiceSummary();
+    const summary = await readStateTopic("summary");
     sendJSON(res, 200, summary);
     return;
   }
 
   if (method === "GET" && pathname === "/api/auth-mechanisms") {
-    const auth = await getAuthMechanisms();
-    sendJSON(res, 200, auth);
+    const auth = await readStateTopic("auth");
+    sendJSON(res, 200, viewAuthTopic(auth, identity));
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/config") {
+    const configView = await getConfigView();
+    sendJSON(res, 200, configView);
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/access-keys") {
+    try {
+      sendJSON(res, 200, await getAccessKeys());
+    } catch (error) {
+      sendJSON(res, 500, { error: `failed to read access keys: ${error.message}` });
+    }
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/access-keys") {
+    await handleAccessKeyCreate(req, res, identity);
+    return;
+  }
+
+  const accessKeyMatch = pathname.match(/^\/api\/access-keys\/([0-9a-f]{16})$/);
+  if (accessKeyMatch && method === "PATCH") {
+    await handleAccessKeyUpdate(req, res, accessKeyMatch[1]);
+    return;
+  }
+  if (accessKeyMatch && method === "DELETE") {
+    await handleAccessKeyRevoke(req, res, accessKeyMatch[1], identity);
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/auth-files/import") {
+    await handleAuthFileImport(req, res, identity);
+    return;
+  }
+
+  const authFileMatch = pathname.match(/^\/api\/auth-files\/(quarantine\/)?([^/]+?)(?:\/(disable|enable|quarantine|restore))?$/);
+  if (authFileMatch && (method === "POST" || method === "DELETE")) {
+    let name = "";
+    try {
+      name = decodeURIComponent(authFileMatch[2]);
+    } catch {
+      sendJSON(res, 400, { error: "invalid file name" });
+      return;
+    }
+    const quarantined = Boolean(authFileMatch[1]);
+    const action = authFileMatch[3] || "";
+    let result = null;
+    if (method === "DELETE" && !action) {
+      result = await deleteAuthFile(name, requestURL.searchParams.get("confirm") || "", { quarantined, identity });
+    } else if (method === "POST" && quarantined && action === "restore") {
+      result = await restoreQuarantinedFile(name, identity);
+    } else if (method === "POST" && !quarantined && action && action !== "restore") {
+      result = await runAuthFileAction(name, action, identity);
+    }
+    if (!result) {
+      sendJSON(res, 405, { error: "unsupported auth file operation" });
+      return;
+    }
+    sendJSON(res, result.ok ? 200 : result.status, result.ok ? result : { error: result.error });
+    return;
+  }
+
+  // Login sessions carry authorization URLs and CLI output, so they are operator-only too.
+  if (pathname.startsWith("/api/oauth/") && !hasRole(identity, "operator")) {
+    sendJSON(res, 403, { error: "Operator role required" });
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/oauth/sessions") {
+    sendJSON(res, 200, {
+      providers: Object.entries(OAUTH_LOGIN_PROVIDERS).map(([provider, flow]) => ({
+        provider,
+        label: formatProviderLabel(provider),
+        callbackPort: flow.callbackPort,
+      })),
+      sessions: listOAuthSessions(),
+    });
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/oauth/login") {
+    await handleOAuthLoginStart(req, res, identity);
+    return;
+  }
+
+  const oauthMatch = pathname.match(/^\/api\/oauth\/sessions\/([0-9a-f]{16})(\/callback|\/input)?$/);
+  if (oauthMatch && method === "GET" && !oauthMatch[2]) {
+    const session = oauthSessions.get(oauthMatch[1]);
+    if (!session) {
+      sendJSON(res, 404, { error: "login session not found" });
+      return;
+    }
+    sendJSON(res, 200, describeOAuthSession(session));
+    return;
+  }
+  if (oauthMatch && method === "DELETE" && !oauthMatch[2]) {
+    const session = await cancelOAuthLogin(oauthMatch[1]);
+    sendJSON(res, session ? 200 : 404, session || { error: "login session not found" });
+    return;
+  }
+  if (oauthMatch && method === "POST" && oauthMatch[2] === "/callback") {
+    await handleOAuthCallbackForward(req, res, oauthMatch[1]);
+    return;
+  }
+  if (oauthMatch && method === "POST" && oauthMatch[2] === "/input") {
+    await handleOAuthInput(req, res, oauthMatch[1]);
+    return;
+  }
+
+  // The editor routes expose unmasked secrets, so even their GETs are operator-only.
+  if (pathname.startsWith("/api/config/") && !hasRole(identity, "operator")) {
+    sendJSON(res, 403, { error: "Operator role required" });
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/config/raw") {
+    const raw = await getRawConfig();
+    sendJSON(res, raw.ok ? 200 : 500, raw);
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/config/validate") {
+    let body;
+    try {
+      body = await readJSONBody(req);
+    } catch (error) {
+      sendJSON(res, 400, { error: error.message });
+      return;
+    }
+    if (typeof body.text !== "string") {
+      sendJSON(res, 400, { error: "text is required" });
+      return;
+    }
+    try {
+      sendJSON(res, 200, await previewConfigChange(body.text));
+    } catch (error) {
+      sendJSON(res, 500, { error: error.message });
+    }
+    return;
+  }
+
+  if (method === "PUT" && pathname === "/api/config/raw") {
+    await handleConfigSave(req, res);
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/config/backups") {
+    sendJSON(res, 200, { generatedAt: new Date().toISOString(), backupDir: CONFIG_BACKUP_DIR, backups: await listConfigBackups() });
+    return;
+  }
+
+  const backupMatch = pathname.match(/^\/api\/config\/backups\/([^/]+?)(\/restore)?$/);
+  if (backupMatch) {
+    let name = "";
+    try {
+      name = decodeURIComponent(backupMatch[1]);
+    } catch {
+      sendJSON(res, 400, { error: "invalid backup name" });
+      return;
+    }
+    if (method === "POST" && backupMatch[2]) {
+      await handleConfigRestore(req, res, name);
+      return;
+    }
+    if (method === "GET" && !backupMatch[2]) {
+      if (!isValidBackupName(name)) {
+        sendJSON(res, 400, { error: "invalid backup name" });
+        return;
+      }
+      try {
+        const text = await readFile(path.join(CONFIG_BACKUP_DIR, name), "utf8");
+        const current = await getRawConfig();
+        sendJSON(res, 200, { name, text, diff: diffLines(current.text, text) });
+      } catch {
+        sendJSON(res, 404, { error: "backup not found" });
+      }
+      return;
+    }
+  }
+
+  if (method === "GET" && pathname === "/api/probe") {
+    sendJSON(res, 200, getProbeResults());
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/probe") {
+    await handleProbe(req, res);
+    return;
+  }
+
+  if (method === "GET" && pathname === "/metrics") {
+    const body = await getPrometheusMetrics();
+    res.writeHead(200, { "Content-Type": PROMETHEUS_CONTENT_TYPE, "Cache-Control": "no-store" });
+    res.end(body);
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/metrics/summary") {
+    sendJSON(res, 200, getMetricsSummary(Number.parseInt(requestURL.searchParams.get("window") || "15", 10) || 15));
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/container-stats") {
+    sendJSON(res, 200, getContainerStats(Number.parseInt(requestURL.searchParams.get("window") || "15", 10) || 15));
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/container-events") {
+    sendJSON(res, 200, getContainerEvents());
+    return;
+  }
+
+  const eventLogsMatch = pathname.match(/^\/api\/container-events\/([^/]+)\/logs$/);
+  if (method === "GET" && eventLogsMatch) {
+    let id = "";
+    try {
+      id = decodeURIComponent(eventLogsMatch[1]);
+    } catch {
+      sendJSON(res, 400, { error: "invalid event id" });
+      return;
+    }
+    const entry = containerTimeline.get(id);
+    if (!entry) {
+      sendJSON(res, 404, { error: "event not found" });
+      return;
+    }
+    sendJSON(res, 200, { event: { ...entry, logs: undefined }, logs: entry.logs || [], error: entry.logError || "" });
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/problems") {
+    sendJSON(res, 200, {
+      generatedAt: new Date().toISOString(),
+      collector: metricsCollector.state,
+      problems: problemStore.list({ includeDismissed: requestURL.searchParams.get("dismissed") === "1" }),
+    });
+    return;
+  }
+
+  const problemMatch = pathname.match(/^\/api\/problems\/([^/]+)\/dismiss$/);
+  if (method === "POST" && problemMatch) {
+    let key = "";
+    try {
+      key = decodeURIComponent(problemMatch[1]);
+    } catch {
+      sendJSON(res, 400, { error: "invalid problem key" });
+      return;
+    }
+    const dismissed = problemStore.dismiss(key);
+    sendJSON(res, dismissed ? 200 : 404, dismissed ? { ok: true } : { error: "problem not found" });
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/rate-limits") {
+    const auth = await readStateTopic("auth");
+    sendJSON(res, 200, { generatedAt: auth.generatedAt, cooldowns: auth.rateLimits });
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/alerts") {
+    sendJSON(res, 200, await getAlerts());
+    return;
+  }
+
+  if (method === "POST" && pathname === "/api/alerts/test") {
+    await handleAlertTest(res, identity);
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/history") {
+    sendJSON(res, 200, await getHealthHistory(requestURL.searchParams.get("range") || "24h"));
     return;
   }
 
   if (method === "GET" && pathname === "/api/provider-models") {
-    const models = await getProviderModels();
+    const models = requestURL.searchParams.get("refresh") === "1" ? await refreshStateTopic("models") : await readStateTopic("models");
     sendJSON(res, 200, models);
     return;
   }
 
+  if (method === "GET" && pathname === "/api/logs/search") {
+    await handleLogSearch(req, res, requestURL.searchParams, identity);
+    return;
+  }
+
+  if (method === "GET" && pathname === "/api/logs/download") {
+    await handleLogDownload(req, res, requestURL.searchParams, identity);
+    return;
+  }
+
   if (method === "GET" && pathname === "/api/logs/stream") {
     const container = requestURL.searchParams.get("container") || TARGET_CONTAINER;
-    streamLogs(req, res, container);
+    // EventSource only sends Last-Event-ID on its own reconnects; the dashboard passes it
+    // as a query parameter when it opens a new stream.
+    const lastEventId = String(req.headers["last-event-id"] || requestURL.searchParams.get("lastEventId") || "");
+    streamLogs(req, res, container, lastEventId);
     return;
   }
 
@@ -1277,22 +5642,62 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (method === "GET" && pathname === "/api/healthz") {
-    sendJSON(res, 200, { ok: true, timestamp: new Date().toISOString() });
-    return;
-  }
-
   await serveStatic(res, pathname);
 });
 
+if (!PROCESS_MODE) {
+  await detectDockerTransport();
+}
+
+// The binary is our child: take it down with us rather than leave it running unsupervised.
+if (PROCESS_MODE) {
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+      proxyProcess.stop().finally(() => process.exit(0));
+    });
+  }
+}
+
 server.listen(PORT, HOST, () => {
   console.log(`Diagnostics dashboard listening on http://${HOST}:${PORT}`);
   console.log(`Docker mode: ${DOCKER_MODE}`);
+  if (PROCESS_MODE) {
+    console.log(`Proxy process: ${[PROCESS_COMMAND, ...PROCESS_ARGS].join(" ")}${PROCESS_AUTOSTART ? "" : " (not started automatically)"}`);
+  } else {
+    console.log(
+      dockerTransport.api
+        ? `Docker transport: Engine API at ${DOCKER_SOCKET}`
+        : `Docker transport: ${CONTAINER_CLI} CLI${dockerTransport.error ? ` (API at ${DOCKER_SOCKET} unavailable: ${dockerTransport.error})` : ""}`,
+    );
+  }
   console.log(`Default service: ${DEFAULT_SERVICE}`);
   console.log(`Target container: ${TARGET_CONTAINER}`);
   console.log(`Watching compose file: ${COMPOSE_FILE}`);
   console.log(`Inspecting config file: ${CONFIG_FILE}`);
-  if (ALLOW_REMOTE) {
-    console.log("Remote diagnostics API access is enabled");
+  if (AUTH_ENABLED) {
+    const sources = [AUTH_PASSWORD && "password", AUTH_TOKEN && "token", AUTH_USERS_FILE && `users file ${AUTH_USERS_FILE}`];
+    console.log(`Dashboard authentication enabled (${sources.filter(Boolean).join(" + ")})`);
+  } else if (ALLOW_REMOTE) {
+    console.warn("WARNING: remote diagnostics API access is enabled without authentication; set DIAG_AUTH_PASSWORD");
   }
+  console.log(
+    `Health history: ${HISTORY_DIR} (checks every ${HEALTH_CHECK_INTERVAL_MS / 1000 || "-"}s, probes every ${PROBE_INTERVAL_MS / 60000 || "-"}min, keep ${HISTORY_RETENTION_DAYS}d)`,
+  );
+  console.log(
+    ALERT_WEBHOOKS.length > 0
+      ? `Alerts: ${ALERT_WEBHOOKS.map((target) => `${target.format}:${target.host || "?"}`).join(", ")} (every ${ALERT_INTERVAL_MS / 1000}s, cooldown ${ALERT_COOLDOWN_MS / 60000}min)`
+      : "Alerts: no webhooks configured (set DIAG_ALERT_WEBHOOKS)",
+  );
+  startHistoryScheduler();
+  loadRateLimitState().then(() => startMetricsCollector());
+  startStatsCollector();
+  loadContainerEvents().then(async () => {
+    startEventsCollector();
+    // After the timeline has loaded, so the first start is recorded in it.
+    if (PROCESS_MODE && PROCESS_AUTOSTART) {
+      const result = await proxyProcess.start();
+      console.log(result.ok ? `Proxy process ${result.message}` : `Proxy process failed to start: ${result.error}`);
+    }
+  });
+  startAlertEngine();
 });
@@ -0,0 +1,127 @@
+// Account metadata decoded from OAuth token files. JWTs are decoded without verifying the
+// signature: the result is for display only, never used to make an auth decision. The server
+// strips the account id, scopes and claims before sending auth data to viewers.
+// Raw tokens never leave this module; callers get plan, workspace, scopes and a whitelist of
+// registered claims.
+//
+// Where the data lives, per provider:
+//   codex   id_token / access_token claims under "https://api.openai.com/auth"
+//           (chatgpt_plan_type, chatgpt_account_id, organizations[]), plus "scp" on the access token
+//   gemini  project_id at the top level, token.scope(s), and "hd" (Workspace domain) in token.id_token
+//   others  plain fields such as plan_type, subscription_type or organization when present
+
+const OPENAI_AUTH_CLAIM = "https://api.openai.com/auth";
+const OPENAI_PROFILE_CLAIM = "https://api.openai.com/profile";
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.([A-Za-z0-9_-]+)\.[A-Za-z0-9_-]*$/;
+const TOKEN_FIELDS = ["id_token", "access_token", "token.id_token", "token.access_token"];
+
+function readField(object, dottedPath) {
+  return dottedPath.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), object);
+}
+
+function firstString(...values) {
+  for (const value of values) {
+    if (typeof value === "string" && value.trim() !== "") {
+      return value.trim();
+    }
+  }
+  return "";
+}
+
+function epochToIso(value) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : "";
+}
+
+function toScopeList(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  if (typeof value === "string") {
+    return value.split(/[\s,]+/).filter(Boolean);
+  }
+  return [];
+}
+
+// Returns the payload object of a JWT, or null for anything that is not one (opaque tokens).
+export function decodeJwtPayload(token) {
+  const match = typeof token === "string" ? token.trim().match(JWT_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(match[1], "base64url").toString("utf8"));
+    return payload && typeof payload === "object" && !Array.isArray(payload) ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function summarizeClaims(field, payload) {
+  const audience = Array.isArray(payload.aud) ? payload.aud.join(", ") : firstString(payload.aud);
+  return {
+    token: field,
+    issuer: firstString(payload.iss),
+    subject: firstString(payload.sub),
+    audience,
+    email: firstString(payload.email, payload[OPENAI_PROFILE_CLAIM]?.email),
+    issuedAt: epochToIso(payload.iat),
+    expiresAt: epochToIso(payload.exp),
+  };
+}
+
+function pickOrganization(organizations) {
+  if (!Array.isArray(organizations) || organizations.length === 0) {
+    return null;
+  }
+  return organizations.find((org) => org?.is_default) || organizations[0];
+}
+
+export function extractTokenMetadata(parsed) {
+  const metadata = {
+    plan: "",
+    organization: "",
+    workspace: "",
+    accountId: "",
+    projectId: "",
+    scopes: [],
+    tokenExpiresAt: "",
+    claims: [],
+  };
+  if (!parsed || typeof parsed !== "object") {
+    return metadata;
+  }
+
+  const scopes = new Set();
+  for (const field of TOKEN_FIELDS) {
+    const payload = decodeJwtPayload(readField(parsed, field));
+    if (!payload) {
+      continue;
+    }
+    metadata.claims.push(summarizeClaims(field, payload));
+    const auth = payload[OPENAI_AUTH_CLAIM] || {};
+    const organization = pickOrganization(auth.organizations);
+    metadata.plan ||= firstString(auth.chatgpt_plan_type, payload.plan_type, payload.plan);
+    metadata.accountId ||= firstString(auth.chatgpt_account_id, auth.account_id);
+    metadata.organization ||= firstString(organization?.title, organization?.id);
+    metadata.workspace ||= firstString(payload.hd);
+    toScopeList(payload.scp ?? payload.scope).forEach((scope) => scopes.add(scope));
+    // Access tokens usually expire before the id token; the earliest expiry is the useful one.
+    const expiresAt = epochToIso(payload.exp);
+    if (field.endsWith("access_token") && expiresAt && (!metadata.tokenExpiresAt || expiresAt < metadata.tokenExpiresAt)) {
+      metadata.tokenExpiresAt = expiresAt;
+    }
+  }
+
+  metadata.plan ||= firstString(parsed.plan_type, parsed.plan, parsed.subscription_type, parsed.subscriptionType, parsed.tier);
+  metadata.accountId ||= firstString(parsed.account_id, parsed.accountId);
+  metadata.organization ||= firstString(
+    parsed.organization?.name,
+    parsed.organization_name,
+    typeof parsed.organization === "string" ? parsed.organization : "",
+  );
+  metadata.projectId = firstString(parsed.project_id, parsed.projectId);
+  toScopeList(parsed.token?.scopes ?? parsed.token?.scope ?? parsed.scopes ?? parsed.scope).forEach((scope) => scopes.add(scope));
+  metadata.scopes = [...scopes].sort();
+  return metadata;
+}
@@ -0,0 +1,859 @@
+// Minimal YAML 1.2 reader for config.yaml. The diagnostics image ships without
+// node_modules, so this covers what CLIProxyAPI configs use in practice: block and
+// flow collections, quoted/plain/block scalars, anchors, aliases and merge keys.
+// Only the first document of a stream is read.
+
+const NULL_PATTERN = /^(?:~|null|Null|NULL)?$/;
+const TRUE_PATTERN = /^(?:true|True|TRUE)$/;
+const FALSE_PATTERN = /^(?:false|False|FALSE)$/;
+const INT_PATTERN = /^[-+]?[0-9]+$/;
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/;
+const OCT_PATTERN = /^0o[0-7]+$/;
+const FLOAT_PATTERN = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const INF_PATTERN = /^[-+]?\.(?:inf|Inf|INF)$/;
+const NAN_PATTERN = /^\.(?:nan|NaN|NAN)$/;
+
+const DOUBLE_QUOTE_ESCAPES = {
+  0: "\0",
+  a: "\x07",
+  b: "\b",
+  t: "\t",
+  "\t": "\t",
+  n: "\n",
+  v: "\v",
+  f: "\f",
+  r: "\r",
+  e: "\x1b",
+  " ": " ",
+  '"': '"',
+  "/": "/",
+  "\\": "\\",
+  N: "\u0085",
+  _: " ",
+  L: "\u2028",
+  P: "\u2029",
+};
+
+function yamlError(message, lineIndex) {
+  const error = new Error(lineIndex >= 0 ? `${message} (line ${lineIndex + 1})` : message);
+  error.name = "YAMLParseError";
+  error.line = lineIndex >= 0 ? lineIndex + 1 : null;
+  return error;
+}
+
+function setKey(target, key, value) {
+  if (key === "__proto__") {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+    return;
+  }
+  target[key] = value;
+}
+
+function resolvePlainScalar(raw, tag = "") {
+  const value = raw.trim();
+  if (tag === "!!str" || tag === "!") {
+    return value;
+  }
+  if (tag === "!!null") {
+    return null;
+  }
+  if (tag === "!!bool") {
+    return TRUE_PATTERN.test(value);
+  }
+  if (tag === "!!int") {
+    return Number.parseInt(value, 10);
+  }
+  if (tag === "!!float") {
+    return Number.parseFloat(value);
+  }
+  if (NULL_PATTERN.test(value)) {
+    return null;
+  }
+  if (TRUE_PATTERN.test(value)) {
+    return true;
+  }
+  if (FALSE_PATTERN.test(value)) {
+    return false;
+  }
+  if (INT_PATTERN.test(value)) {
+    const parsed = Number(value);
+    return Number.isSafeInteger(parsed) ? parsed : value;
+  }
+  if (HEX_PATTERN.test(value)) {
+    return Number.parseInt(value.slice(2), 16);
+  }
+  if (OCT_PATTERN.test(value)) {
+    return Number.parseInt(value.slice(2), 8);
+  }
+  if (FLOAT_PATTERN.test(value)) {
+    return Number.parseFloat(value);
+  }
+  if (INF_PATTERN.test(value)) {
+    return value.startsWith("-") ? Number.NEGATIVE_INFINITY : Number.POSITIVE_INFINITY;
+  }
+  if (NAN_PATTERN.test(value)) {
+    return Number.NaN;
+  }
+  return value;
+}
+
+// Applies YAML line folding to the raw body of a multi-line quoted scalar.
+function foldQuotedLines(raw) {
+  const lines = raw.split("\n");
+  if (lines.length === 1) {
+    return raw;
+  }
+  let out = lines[0].replace(/[ \t]+$/, "");
+  let emptyRun = 0;
+  for (let i = 1; i < lines.length; i += 1) {
+    const isLast = i === lines.length - 1;
+    const line = isLast ? lines[i].replace(/^[ \t]+/, "") : lines[i].trim();
+    if (!line && !isLast) {
+      emptyRun += 1;
+      continue;
+    }
+    out += emptyRun > 0 ? "\n".repeat(emptyRun) : " ";
+    out += line;
+    emptyRun = 0;
+  }
+  return out;
+}
+
+function decodeDoubleQuoted(body, lineIndex) {
+  // A backslash before a line break joins the lines without folding whitespace.
+  const joined = body.replace(/\\\n[ \t]*/g, "\u0000LINE-JOIN\u0000");
+  const folded = foldQuotedLines(joined).replaceAll("\u0000LINE-JOIN\u0000", "");
+  let out = "";
+  for (let i = 0; i < folded.length; i += 1) {
+    const ch = folded[i];
+    if (ch !== "\\") {
+      out += ch;
+      continue;
+    }
+    const next = folded[i + 1];
+    if (next in DOUBLE_QUOTE_ESCAPES) {
+      out += DOUBLE_QUOTE_ESCAPES[next];
+      i += 1;
+      continue;
+    }
+    const width = next === "x" ? 2 : next === "u" ? 4 : next === "U" ? 8 : 0;
+    if (width > 0) {
+      const hex = folded.slice(i + 2, i + 2 + width);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== width) {
+        throw yamlError(`invalid escape \\${next}${hex}`, lineIndex);
+      }
+      out += String.fromCodePoint(Number.parseInt(hex, 16));
+      i += 1 + width;
+      continue;
+    }
+    throw yamlError(`invalid escape \\${next || ""}`, lineIndex);
+  }
+  return out;
+}
+
+function decodeSingleQuoted(body) {
+  return foldQuotedLines(body).replaceAll("''", "'");
+}
+
+// Returns the index just past the closing quote, or -1 when the string is unterminated.
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote === '"' && ch === "\\") {
+      i += 1;
+      continue;
+    }
+    if (ch === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i += 1;
+        continue;
+      }
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+function stripComment(text) {
+  const match = text.match(/(^|[ \t])#/);
+  return match ? text.slice(0, match.index).trimEnd() : text.trimEnd();
+}
+
+function isBlankOrComment(line) {
+  return /^[ \t]*(#.*)?$/.test(line);
+}
+
+function indentOf(line) {
+  return (line.match(/^ */) || [""])[0].length;
+}
+
+// Finds the `:` that separates a block mapping key from its value, ignoring quotes.
+function findMappingColon(content) {
+  let i = 0;
+  if (content[0] === '"' || content[0] === "'") {
+    const end = findClosingQuote(content, 0);
+    if (end < 0) {
+      return -1;
+    }
+    i = end;
+    while (content[i] === " " || content[i] === "\t") {
+      i += 1;
+    }
+    return content[i] === ":" && (i + 1 >= content.length || /[ \t]/.test(content[i + 1])) ? i : -1;
+  }
+  if (/^[[{|>*!&%@`]/.test(content) || /^-( |$)/.test(content)) {
+    return -1;
+  }
+  for (; i < content.length; i += 1) {
+    const ch = content[i];
+    if (ch === "#" && i > 0 && /[ \t]/.test(content[i - 1])) {
+      return -1;
+    }
+    if (ch === ":" && (i + 1 >= content.length || /[ \t]/.test(content[i + 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function createParser(text) {
+  const lines = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n");
+  const anchors = new Map();
+  let index = 0;
+
+  const registerAnchor = (name, value) => {
+    if (name) {
+      anchors.set(name, value);
+    }
+    return value;
+  };
+
+  const resolveAlias = (name, lineIndex) => {
+    if (!anchors.has(name)) {
+      throw yamlError(`unknown alias *${name}`, lineIndex);
+    }
+    return anchors.get(name);
+  };
+
+  const skipBlankLines = () => {
+    while (index < lines.length && isBlankOrComment(lines[index])) {
+      index += 1;
+    }
+  };
+
+  const checkIndentation = (line, lineIndex) => {
+    if (/^ *\t/.test(line) && !isBlankOrComment(line)) {
+      throw yamlError("tabs are not allowed for indentation", lineIndex);
+    }
+  };
+
+  // Reads `&anchor` and `!tag` prefixes off a node's text.
+  const readProperties = (raw, lineIndex) => {
+    let rest = raw.trimStart();
+    let anchor = "";
+    let tag = "";
+    for (;;) {
+      const anchorMatch = rest.match(/^&([^\s,[\]{}]+)(?:[ \t]+|$)/);
+      if (anchorMatch && !anchor) {
+        anchor = anchorMatch[1];
+        rest = rest.slice(anchorMatch[0].length);
+        continue;
+      }
+      const tagMatch = rest.match(/^(![^\s,[\]{}]*)(?:[ \t]+|$)/);
+      if (tagMatch && !tag) {
+        tag = tagMatch[1];
+        rest = rest.slice(tagMatch[0].length);
+        continue;
+      }
+      break;
+    }
+    if (/^&/.test(rest)) {
+      throw yamlError("a node can only have one anchor", lineIndex);
+    }
+    return { anchor, tag, rest };
+  };
+
+  const parseBlockScalar = (header, ownerIndent, lineIndex) => {
+    const match = header.match(/^([|>])([1-9][-+]?|[-+][1-9]?)?[ \t]*(#.*)?$/);
+    if (!match) {
+      throw yamlError(`invalid block scalar header "${header}"`, lineIndex);
+    }
+    const folded = match[1] === ">";
+    const indicators = match[2] || "";
+    const chomp = indicators.includes("-") ? "strip" : indicators.includes("+") ? "keep" : "clip";
+    const explicitIndent = Number.parseInt(indicators.replace(/[-+]/g, ""), 10);
+
+    const bodyStart = index + 1;
+    let contentIndent = Number.isNaN(explicitIndent) ? -1 : Math.max(ownerIndent, 0) + explicitIndent;
+    if (contentIndent < 0) {
+      for (let i = bodyStart; i < lines.length; i += 1) {
+        if (lines[i].trim() !== "") {
+          contentIndent = indentOf(lines[i]);
+          break;
+        }
+      }
+    }
+
+    const body = [];
+    let i = bodyStart;
+    for (; i < lines.length; i += 1) {
+      const line = lines[i];
+      if (line.trim() === "") {
+        body.push("");
+        continue;
+      }
+      const lineIndent = indentOf(line);
+      if (contentIndent < 0 || lineIndent < contentIndent || lineIndent <= ownerIndent) {
+        break;
+      }
+      body.push(line.slice(contentIndent));
+    }
+    index = i;
+
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === "") {
+      body.pop();
+      trailing += 1;
+    }
+
+    let value = "";
+    if (folded) {
+      let emptyRun = 0;
+      let previousMore = false;
+      for (const line of body) {
+        if (line === "") {
+          emptyRun += 1;
+          continue;
+        }
+        const more = /^[ \t]/.test(line);
+        if (value === "" && emptyRun === 0) {
+          value = line;
+        } else if (value === "") {
+          value = "\n".repeat(emptyRun) + line;
+        } else if (more || previousMore) {
+          value += `\n${"\n".repeat(emptyRun)}${line}`;
+        } else if (emptyRun > 0) {
+          value += "\n".repeat(emptyRun) + line;
+        } else {
+          value += ` ${line}`;
+        }
+        emptyRun = 0;
+        previousMore = more;
+      }
+    } else {
+      value = body.join("\n");
+    }
+
+    if (chomp === "strip") {
+      return value;
+    }
+    if (chomp === "keep") {
+      return value === "" ? "\n".repeat(trailing) : `${value}\n${"\n".repeat(trailing)}`;
+    }
+    return value === "" ? "" : `${value}\n`;
+  };
+
+  // Collects text from the current line until `isComplete` accepts it, for values that may span lines.
+  const collectMultiline = (firstText, isComplete, lineIndex, what) => {
+    let combined = firstText;
+    let end = index;
+    while (!isComplete(combined)) {
+      end += 1;
+      if (end >= lines.length) {
+        throw yamlError(`unterminated ${what}`, lineIndex);
+      }
+      combined += `\n${lines[end]}`;
+    }
+    index = end;
+    return combined;
+  };
+
+  const flowParser = (source, lineIndex) => {
+    let pos = 0;
+
+    const skipSpace = () => {
+      for (;;) {
+        while (pos < source.length && /[ \t\n]/.test(source[pos])) {
+          pos += 1;
+        }
+        if (source[pos] === "#" && (pos === 0 || /[ \t\n]/.test(source[pos - 1]))) {
+          while (pos < source.length && source[pos] !== "\n") {
+            pos += 1;
+          }
+          continue;
+        }
+        return;
+      }
+    };
+
+    const parseFlowNode = () => {
+      skipSpace();
+      const props = source.slice(pos).match(/^(?:(?:&([^\s,[\]{}]+)|(![^\s,[\]{}]*))[ \t\n]+)*/);
+      let anchor = "";
+      let tag = "";
+      if (props && props[0]) {
+        for (const part of props[0].trim().split(/[ \t\n]+/)) {
+          if (part.startsWith("&")) {
+            anchor = part.slice(1);
+          } else {
+            tag = part;
+          }
+        }
+        pos += props[0].length;
+        skipSpace();
+      }
+
+      const ch = source[pos];
+      let value;
+      if (ch === "[") {
+        value = parseFlowSequence();
+      } else if (ch === "{") {
+        value = parseFlowMapping();
+      } else if (ch === "*") {
+        const match = source.slice(pos).match(/^\*([^\s,[\]{}]+)/);
+        pos += match[0].length;
+        return resolveAlias(match[1], lineIndex);
+      } else if (ch === '"' || ch === "'") {
+        const end = findClosingQuote(source, pos);
+        if (end < 0) {
+          throw yamlError("unterminated quoted string in flow collection", lineIndex);
+        }
+        const body = source.slice(pos + 1, end - 1);
+        value = ch === '"' ? decodeDoubleQuoted(body, lineIndex) : decodeSingleQuoted(body);
+        pos = end;
+      } else {
+        const start = pos;
+        while (pos < source.length) {
+          const c = source[pos];
+          if (c === "," || c === "]" || c === "}" || c === "[" || c === "{") {
+            break;
+          }
+          if (c === ":" && (pos + 1 >= source.length || /[ \t\n,\]}]/.test(source[pos + 1]))) {
+            break;
+          }
+          if (c === "#" && /[ \t\n]/.test(source[pos - 1] || "")) {
+            break;
+          }
+          pos += 1;
+        }
+        const raw = source.slice(start, pos).replace(/[ \t]*\n[ \t]*/g, " ").trim();
+        value = raw === "" && !tag ? null : resolvePlainScalar(raw, tag);
+      }
+      return registerAnchor(anchor, value);
+    };
+
+    const parseFlowSequence = () => {
+      pos += 1;
+      const items = [];
+      for (;;) {
+        skipSpace();
+        if (source[pos] === "]") {
+          pos += 1;
+          return items;
+        }
+        const item = parseFlowNode();
+        skipSpace();
+        if (source[pos] === ":") {
+          pos += 1;
+          const pair = {};
+          setKey(pair, String(item), parseFlowNode());
+          items.push(pair);
+          skipSpace();
+        } else {
+          items.push(item);
+        }
+        if (source[pos] === ",") {
+          pos += 1;
+          continue;
+        }
+        if (source[pos] !== "]") {
+          throw yamlError("expected , or ] in flow sequence", lineIndex);
+        }
+      }
+    };
+
+    const parseFlowMapping = () => {
+      pos += 1;
+      const mapping = {};
+      for (;;) {
+        skipSpace();
+        if (source[pos] === "}") {
+          pos += 1;
+          return mapping;
+        }
+        const key = parseFlowNode();
+        skipSpace();
+        let value = null;
+        if (source[pos] === ":") {
+          pos += 1;
+          skipSpace();
+          value = source[pos] === "," || source[pos] === "}" ? null : parseFlowNode();
+          skipSpace();
+        }
+        // Like yaml.v3, a repeated key is an error rather than a silent override.
+        if (Object.prototype.hasOwnProperty.call(mapping, String(key))) {
+          throw yamlError(`duplicate key "${key}"`, lineIndex);
+        }
+        setKey(mapping, String(key), value);
+        if (source[pos] === ",") {
+          pos += 1;
+          continue;
+        }
+        if (source[pos] !== "}") {
+          throw yamlError("expected , or } in flow mapping", lineIndex);
+        }
+      }
+    };
+
+    return {
+      parse() {
+        const value = parseFlowNode();
+        skipSpace();
+        if (pos < source.length) {
+          throw yamlError(`unexpected content after flow collection: "${source.slice(pos).split("\n")[0]}"`, lineIndex);
+        }
+        return value;
+      },
+    };
+  };
+
+  const isFlowBalanced = (text) => {
+    let depth = 0;
+    for (let i = 0; i < text.length; i += 1) {
+      const ch = text[i];
+      if (ch === '"' || ch === "'") {
+        const end = findClosingQuote(text, i);
+        if (end < 0) {
+          return false;
+        }
+        i = end - 1;
+        continue;
+      }
+      if (ch === "#" && (i === 0 || /[ \t\n]/.test(text[i - 1]))) {
+        const newline = text.indexOf("\n", i);
+        if (newline < 0) {
+          break;
+        }
+        i = newline;
+        continue;
+      }
+      if (ch === "[" || ch === "{") {
+        depth += 1;
+      } else if (ch === "]" || ch === "}") {
+        depth -= 1;
+        if (depth === 0) {
+          return true;
+        }
+      }
+    }
+    return depth <= 0;
+  };
+
+  // Parses a value that starts on the current line at `text`; `ownerIndent` is the indent of the
+  // mapping key or sequence dash that owns it.
+  const parseInlineValue = (text, ownerIndent, lineIndex) => {
+    const { anchor, tag, rest } = readProperties(text, lineIndex);
+    const trimmed = stripComment(rest).trim();
+
+    if (trimmed === "") {
+      index += 1;
+      return registerAnchor(anchor, parseNestedBlock(ownerIndent, tag));
+    }
+
+    let value;
+    if (trimmed.startsWith("|") || trimmed.startsWith(">")) {
+      value = parseBlockScalar(trimmed, ownerIndent, lineIndex);
+      return registerAnchor(anchor, value);
+    }
+
+    if (trimmed.startsWith("*")) {
+      const match = trimmed.match(/^\*([^\s,[\]{}]+)$/);
+      if (!match) {
+        throw yamlError(`invalid alias "${trimmed}"`, lineIndex);
+      }
+      index += 1;
+      return resolveAlias(match[1], lineIndex);
+    }
+
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      const source = collectMultiline(rest.trim(), isFlowBalanced, lineIndex, "flow collection");
+      value = flowParser(source, lineIndex).parse();
+      index += 1;
+      return registerAnchor(anchor, value);
+    }
+
+    if (trimmed.startsWith('"') || trimmed.startsWith("'")) {
+      const quote = trimmed[0];
+      const raw = rest.trim();
+      const source = collectMultiline(raw, (candidate) => findClosingQuote(candidate, 0) >= 0, lineIndex, "quoted string");
+      const end = findClosingQuote(source, 0);
+      const after = source.slice(end);
+      if (stripComment(after).trim() !== "") {
+        throw yamlError(`unexpected content after quoted string: "${after.trim()}"`, lineIndex);
+      }
+      const body = source.slice(1, end - 1);
+      value = quote === '"' ? decodeDoubleQuoted(body, lineIndex) : decodeSingleQuoted(body);
+      index += 1;
+      return registerAnchor(anchor, value);
+    }
+
+    if (findMappingColon(trimmed) >= 0 && ownerIndent >= 0 && !/^-( |$)/.test(trimmed)) {
+      throw yamlError("nested mappings cannot start on the same line as their key", lineIndex);
+    }
+
+    // Plain scalars may continue on more-indented lines; they fold into one line.
+    let raw = trimmed;
+    index += 1;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.trim() === "") {
+        let lookahead = index;
+        while (lookahead < lines.length && lines[lookahead].trim() === "") {
+          lookahead += 1;
+        }
+        if (lookahead < lines.length && indentOf(lines[lookahead]) > ownerIndent && !/^\s*#/.test(lines[lookahead])) {
+          raw += "\n".repeat(lookahead - index);
+          index = lookahead;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) <= ownerIndent || /^\s*#/.test(line)) {
+        break;
+      }
+      const content = stripComment(line).trim();
+      if (findMappingColon(content) >= 0 || /^-( |$)/.test(content)) {
+        break;
+      }
+      raw += raw.endsWith("\n") ? content : ` ${content}`;
+      index += 1;
+      if (content !== line.trim()) {
+        break;
+      }
+    }
+    return registerAnchor(anchor, resolvePlainScalar(raw, tag));
+  };
+
+  const parseNestedBlock = (ownerIndent, tag = "", ownerIsMapping = true) => {
+    skipBlankLines();
+    if (index >= lines.length) {
+      return tag === "!!str" ? "" : null;
+    }
+    const line = lines[index];
+    checkIndentation(line, index);
+    const lineIndent = indentOf(line);
+    const content = line.slice(lineIndent);
+    // Block sequences may sit at the same indentation as their parent mapping key.
+    if (ownerIsMapping && lineIndent === ownerIndent && /^-( |$)/.test(content)) {
+      return parseSequence(lineIndent);
+    }
+    if (lineIndent <= ownerIndent) {
+      return tag === "!!str" ? "" : null;
+    }
+    return parseNode(lineIndent);
+  };
+
+  const parseNode = (nodeIndent) => {
+    const lineIndex = index;
+    const line = lines[index];
+    const content = line.slice(nodeIndent);
+    if (/^-( |$)/.test(content)) {
+      return parseSequence(nodeIndent);
+    }
+    if (/^\?( |$)/.test(content)) {
+      throw yamlError("complex mapping keys (?) are not supported", lineIndex);
+    }
+    if (findMappingColon(stripComment(content)) >= 0) {
+      return parseMapping(nodeIndent);
+    }
+    if (/^[&!]/.test(content)) {
+      const { anchor, tag, rest } = readProperties(content, lineIndex);
+      if (findMappingColon(stripComment(rest)) >= 0) {
+        lines[index] = " ".repeat(line.length - rest.length) + rest;
+        return registerAnchor(anchor, parseMapping(line.length - rest.length));
+      }
+      if (stripComment(rest).trim() === "") {
+        index += 1;
+        return registerAnchor(anchor, parseNestedBlock(nodeIndent - 1, tag));
+      }
+    }
+    return parseInlineValue(content, nodeIndent - 1, lineIndex);
+  };
+
+  const parseSequence = (seqIndent) => {
+    const items = [];
+    for (;;) {
+      skipBlankLines();
+      if (index >= lines.length) {
+        break;
+      }
+      const line = lines[index];
+      checkIndentation(line, index);
+      const lineIndent = indentOf(line);
+      const content = line.slice(lineIndent);
+      if (lineIndent < seqIndent) {
+        break;
+      }
+      if (lineIndent > seqIndent) {
+        throw yamlError("bad indentation of a sequence entry", index);
+      }
+      if (!/^-( |$)/.test(content)) {
+        break;
+      }
+      const afterDash = content.slice(1);
+      const rest = afterDash.trimStart();
+      if (stripComment(rest).trim() === "") {
+        index += 1;
+        items.push(parseNestedBlock(seqIndent, "", false));
+        continue;
+      }
+      // Re-indent the entry's text so `- key: value` parses as a mapping at the text's column.
+      const column = seqIndent + 1 + (afterDash.length - rest.length);
+      lines[index] = " ".repeat(column) + rest;
+      items.push(parseNode(column));
+    }
+    return items;
+  };
+
+  const parseMapping = (mapIndent) => {
+    const mapping = {};
+    const explicitKeys = new Set();
+    const merges = [];
+    for (;;) {
+      skipBlankLines();
+      if (index >= lines.length) {
+        break;
+      }
+      const lineIndex = index;
+      const line = lines[index];
+      checkIndentation(line, index);
+      const lineIndent = indentOf(line);
+      if (lineIndent < mapIndent) {
+        break;
+      }
+      if (lineIndent > mapIndent) {
+        throw yamlError("bad indentation of a mapping entry", lineIndex);
+      }
+      const content = line.slice(lineIndent);
+      if (/^(---|\.\.\.)( |$)/.test(content) && lineIndent === 0) {
+        break;
+      }
+      const colon = findMappingColon(stripComment(content));
+      if (colon < 0) {
+        if (/^-( |$)/.test(content)) {
+          break;
+        }
+        throw yamlError(`expected a "key: value" entry, got "${content.trim()}"`, lineIndex);
+      }
+
+      const rawKey = content.slice(0, colon).trim();
+      let key = rawKey;
+      if (rawKey.startsWith('"')) {
+        key = decodeDoubleQuoted(rawKey.slice(1, -1), lineIndex);
+      } else if (rawKey.startsWith("'")) {
+        key = decodeSingleQuoted(rawKey.slice(1, -1));
+      }
+      // Like yaml.v3, a repeated key is an error rather than a silent override.
+      if (explicitKeys.has(key)) {
+        throw yamlError(`duplicate key "${key}"`, lineIndex);
+      }
+
+      const value = parseInlineValue(content.slice(colon + 1), mapIndent, lineIndex);
+      if (key === "<<" && !rawKey.startsWith('"') && !rawKey.startsWith("'")) {
+        const sources = Array.isArray(value) ? value : [value];
+        for (const source of sources) {
+          if (!source || typeof source !== "object" || Array.isArray(source)) {
+            throw yamlError("merge key (<<) expects a mapping or a list of mappings", lineIndex);
+          }
+          merges.push(source);
+        }
+        continue;
+      }
+      setKey(mapping, key, value);
+      explicitKeys.add(key);
+    }
+
+    // Explicit keys win over merged ones; earlier merge sources win over later ones.
+    for (const source of merges) {
+      for (const [key, value] of Object.entries(source)) {
+        if (!explicitKeys.has(key) && !Object.prototype.hasOwnProperty.call(mapping, key)) {
+          setKey(mapping, key, value);
+        }
+      }
+    }
+    return mapping;
+  };
+
+  return {
+    parseDocument() {
+      skipBlankLines();
+      while (index < lines.length && /^%/.test(lines[index])) {
+        index += 1;
+        skipBlankLines();
+      }
+      if (index < lines.length && /^---( |$)/.test(lines[index])) {
+        const rest = lines[index].slice(3).trim();
+        if (stripComment(rest) !== "") {
+          lines[index] = rest;
+        } else {
+          index += 1;
+        }
+      }
+      skipBlankLines();
+      if (index >= lines.length || /^\.\.\.( |$)/.test(lines[index])) {
+        return null;
+      }
+      checkIndentation(lines[index], index);
+      const value = parseNode(indentOf(lines[index]));
+      skipBlankLines();
+      if (index < lines.length && !/^(---|\.\.\.)( |$)/.test(lines[index])) {
+        throw yamlError(`unexpected content "${lines[index].trim()}"`, index);
+      }
+      return value;
+    },
+  };
+}
+
+export function parseYAML(text) {
+  return createParser(String(text ?? "")).parseDocument();
+}
+
+// Quotes a string for use as a YAML scalar. Always double-quoted so keys like `no` or `0x1`
+// never change type.
+export function formatYAMLString(value) {
+  return JSON.stringify(String(value ?? ""));
+}
+
+// Replaces the block of a top-level key (its line plus everything nested under it) with
+// `replacementLines`, leaving the rest of the file untouched. Appends the key when missing.
+export function replaceTopLevelYAMLKey(text, key, replacementLines) {
+  const source = String(text ?? "").replace(/\r\n?/g, "\n");
+  const lines = source.split("\n");
+  const keyPattern = new RegExp(`^(?:${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}|"${key}"|'${key}')[ \t]*:(?:[ \t]|$)`);
+  const start = lines.findIndex((line) => keyPattern.test(line));
+
+  if (start < 0) {
+    const trimmed = source.replace(/\n+$/, "");
+    return `${trimmed}${trimmed ? "\n\n" : ""}${replacementLines.join("\n")}\n`;
+  }
+
+  let end = start + 1;
+  let lastContent = start;
+  for (; end < lines.length; end += 1) {
+    const line = lines[end];
+    if (isBlankOrComment(line)) {
+      continue;
+    }
+    // Nested content is indented, except block sequences which may sit at column 0.
+    if (/^[ \t]/.test(line) || /^-( |$)/.test(line)) {
+      lastContent = end;
+      continue;
+    }
+    break;
+  }
+
+  // Comments and blank lines after the block belong to whatever follows it.
+  const next = [...lines.slice(0, start), ...replacementLines, ...lines.slice(lastContent + 1)];
+  return next.join("\n");
+}